@@ -0,0 +1,177 @@
+// src/components/AdvancedSettingsPanel.js
+// 연결 고급 설정 (페이징, 버퍼, 하트비트, 메트릭, 재연결 횟수, 오류 타입별 재연결 지연 표)
+// 설정마다 즉시 적용/재연결 필요 여부를 표시하고, 현재 연결에 아직 반영되지 않은 설정을 알려 줌
+import React, { useState, useEffect } from 'react';
+import {
+    DEFAULT_SSE_SETTINGS,
+    SETTING_APPLY_MODES,
+    SSE_SETTING_APPLY_MODES,
+    getPendingReconnectSettings,
+    validateSseSetting
+} from '../core/environmentProfiles';
+
+const SETTING_FIELDS = [
+    { key: 'enablePaging', label: '재전송 페이징', type: 'boolean' },
+    { key: 'pageSize', label: '페이지 크기', type: 'number' },
+    { key: 'maxReplayEvents', label: '최대 재전송 이벤트', type: 'number' },
+    { key: 'maxBufferSize', label: '이벤트 버퍼 크기', type: 'number' },
+    { key: 'enableHeartbeat', label: '하트비트 확인', type: 'boolean' },
+    { key: 'heartbeatInterval', label: '하트비트 간격 (ms)', type: 'number' },
+    { key: 'enableMetrics', label: '메트릭 수집', type: 'boolean' },
+    { key: 'maxReconnectAttempts', label: '최대 재연결 시도', type: 'number' }
+];
+
+const SETTING_LABELS = Object.fromEntries(SETTING_FIELDS.map(field => [field.key, field.label]));
+
+const DELAY_TYPE_LABELS = {
+    network: '네트워크',
+    server_error: '서버 오류',
+    auth_error: '인증 오류',
+    default: '기타'
+};
+
+const DELAY_FIELDS = ['base', 'max', 'multiplier'];
+
+const APPLY_MODE_LABELS = {
+    [SETTING_APPLY_MODES.LIVE]: '⚡ 즉시 적용',
+    [SETTING_APPLY_MODES.RECONNECT]: '🔄 재연결 필요'
+};
+
+// 숫자는 문자열로 편집하고 적용할 때 변환 (빈 값/잘못된 값은 검증 오류로 표시)
+const toNumber = (text) => (text.trim() === '' ? NaN : Number(text));
+
+const toDraft = (settings) => ({
+    ...Object.fromEntries(SETTING_FIELDS.map(({ key, type }) => [key, type === 'number' ? String(settings[key]) : settings[key]])),
+    reconnectDelays: Object.fromEntries(Object.entries(settings.reconnectDelays).map(([type, config]) => [
+        type,
+        Object.fromEntries(DELAY_FIELDS.map(field => [field, String(config[field])]))
+    ]))
+});
+
+const fromDraft = (draft) => ({
+    ...Object.fromEntries(SETTING_FIELDS.map(({ key, type }) => [key, type === 'number' ? toNumber(draft[key]) : draft[key]])),
+    reconnectDelays: Object.fromEntries(Object.entries(draft.reconnectDelays).map(([type, config]) => [
+        type,
+        Object.fromEntries(DELAY_FIELDS.map(field => [field, toNumber(config[field])]))
+    ]))
+});
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const AdvancedSettingsPanel = ({ settings, appliedSettings, isConnected, onApply, onApplyAndReconnect }) => {
+    const [draft, setDraft] = useState(() => toDraft(settings));
+
+    // 프로필 전환 등으로 설정이 바뀌면 편집 내용을 새로 채움
+    useEffect(() => {
+        setDraft(toDraft(settings));
+    }, [settings]);
+
+    const edited = fromDraft(draft);
+    const errors = Object.fromEntries(Object.keys(edited).map(key => [key, validateSseSetting(key, edited[key])]));
+    const hasErrors = Object.values(errors).some(messages => messages.length > 0);
+    const changedKeys = Object.keys(edited).filter(key => !isSame(edited[key], settings[key]));
+    const changedNeedReconnect = changedKeys.filter(key => SSE_SETTING_APPLY_MODES[key] === SETTING_APPLY_MODES.RECONNECT);
+    // 이미 적용했지만 현재 연결은 예전 값으로 맺어진 설정
+    const pending = isConnected && appliedSettings ? getPendingReconnectSettings(appliedSettings, settings) : [];
+
+    const updateField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+    const updateDelay = (type, field, value) => setDraft(prev => ({
+        ...prev,
+        reconnectDelays: { ...prev.reconnectDelays, [type]: { ...prev.reconnectDelays[type], [field]: value } }
+    }));
+
+    return (
+        <div className="advanced-settings">
+            <h4>⚙️ 고급 설정</h4>
+
+            <table className="data-table advanced-settings-table">
+                <thead>
+                    <tr>
+                        <th>설정</th>
+                        <th>값</th>
+                        <th>적용 시점</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {SETTING_FIELDS.map(({ key, label, type }) => (
+                        <tr key={key} className={changedKeys.includes(key) ? 'setting-changed' : ''}>
+                            <td>{label}</td>
+                            <td>
+                                {type === 'boolean' ? (
+                                    <input type="checkbox" checked={draft[key]} onChange={e => updateField(key, e.target.checked)} />
+                                ) : (
+                                    <input type="number" value={draft[key]} onChange={e => updateField(key, e.target.value)} />
+                                )}
+                                {errors[key].map(message => <div key={message} className="setting-error">{message}</div>)}
+                            </td>
+                            <td>{APPLY_MODE_LABELS[SSE_SETTING_APPLY_MODES[key]]}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h5>
+                재연결 지연 (base × multiplier^(시도-1), 최대 max, ms){' '}
+                <span className="setting-apply-mode">{APPLY_MODE_LABELS[SSE_SETTING_APPLY_MODES.reconnectDelays]}</span>
+            </h5>
+            <table className={`data-table advanced-settings-table ${changedKeys.includes('reconnectDelays') ? 'setting-changed' : ''}`}>
+                <thead>
+                    <tr>
+                        <th>오류 타입</th>
+                        {DELAY_FIELDS.map(field => <th key={field}>{field}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(draft.reconnectDelays).map(([type, config]) => (
+                        <tr key={type}>
+                            <td>{DELAY_TYPE_LABELS[type] || type} <code>{type}</code></td>
+                            {DELAY_FIELDS.map(field => (
+                                <td key={field}>
+                                    <input
+                                        type="number"
+                                        step={field === 'multiplier' ? '0.1' : '100'}
+                                        value={config[field]}
+                                        onChange={e => updateDelay(type, field, e.target.value)}
+                                    />
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {errors.reconnectDelays.map(message => <div key={message} className="setting-error">{message}</div>)}
+
+            {isConnected && changedNeedReconnect.length > 0 && (
+                <p className="setting-warning">
+                    ⚠️ {changedNeedReconnect.map(key => SETTING_LABELS[key]).join(', ')}은(는) 다시 연결해야 적용됩니다
+                </p>
+            )}
+            {pending.length > 0 && (
+                <p className="setting-warning">
+                    ⏳ 현재 연결에 아직 반영되지 않은 설정: {pending.map(key => SETTING_LABELS[key]).join(', ')}
+                </p>
+            )}
+
+            <div className="button-group">
+                <button className="btn small blue" onClick={() => onApply(edited)} disabled={hasErrors || changedKeys.length === 0}>
+                    ✅ 적용
+                </button>
+                <button
+                    className="btn small green"
+                    onClick={() => onApplyAndReconnect(edited)}
+                    disabled={hasErrors || !isConnected || (changedKeys.length === 0 && pending.length === 0)}
+                >
+                    🔄 적용 후 재연결
+                </button>
+                <button className="btn small gray" onClick={() => setDraft(toDraft(settings))} disabled={changedKeys.length === 0}>
+                    ↺ 되돌리기
+                </button>
+                <button className="btn small gray" onClick={() => setDraft(toDraft(DEFAULT_SSE_SETTINGS))}>
+                    기본값
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AdvancedSettingsPanel;
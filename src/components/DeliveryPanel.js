@@ -0,0 +1,84 @@
+// src/components/DeliveryPanel.js
+// /cast 전달 검증 결과 (clientId별 수신/누락/중복/지연)
+import React, { useState, useEffect } from 'react';
+import { LOAD_TEST_CONFIG } from '../utils/constants';
+
+const formatMs = (value) => (value === null ? '-' : `${Math.round(value).toLocaleString()}ms`);
+
+const DeliveryPanel = ({ tracker }) => {
+    const [report, setReport] = useState(() => tracker.getReport());
+
+    useEffect(() => {
+        const timer = setInterval(() => setReport(tracker.getReport()), LOAD_TEST_CONFIG.DELIVERY_REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, [tracker]);
+
+    const handleReset = () => {
+        tracker.reset();
+        setReport(tracker.getReport());
+    };
+
+    return (
+        <section className="sse-section delivery-panel">
+            <h3>📬 전달 검증</h3>
+
+            <div className="delivery-totals">
+                <span><strong>검증 대상 이벤트:</strong> {report.sentEvents.toLocaleString()}</span>
+                <span><strong>기대 수신:</strong> {report.expected.toLocaleString()}</span>
+                <span><strong>수신:</strong> {report.delivered.toLocaleString()}</span>
+                <span><strong>대기:</strong> {report.pending.toLocaleString()}</span>
+                <span><strong>누락:</strong> {report.missing.toLocaleString()}</span>
+                <span><strong>중복:</strong> {report.duplicated.toLocaleString()}</span>
+                <span><strong>지연 p50/p95/p99:</strong> {formatMs(report.latency.p50)} / {formatMs(report.latency.p95)} / {formatMs(report.latency.p99)}</span>
+                {report.unobserved > 0 && (
+                    <span title="대시보드에서 구독하지 않는 clientId로 보낸 unicast는 수신 여부를 알 수 없습니다">
+                        <strong>확인 불가:</strong> {report.unobserved.toLocaleString()}
+                    </span>
+                )}
+            </div>
+
+            {report.clients.length === 0 ? (
+                <p className="no-deliveries">검증할 구독 연결이 없습니다. 테스트 클라이언트를 연결한 뒤 /cast를 실행하세요.</p>
+            ) : (
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Client ID</th>
+                            <th>기대</th>
+                            <th>수신</th>
+                            <th>대기</th>
+                            <th>누락</th>
+                            <th>중복</th>
+                            <th>기타 수신</th>
+                            <th>p50</th>
+                            <th>p95</th>
+                            <th>max</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.clients.map(row => (
+                            <tr key={row.clientId} className={row.missing > 0 ? 'delivery-missing' : ''}>
+                                <td>{row.clientId}{!row.observed && ' (연결 종료)'}</td>
+                                <td>{row.expected.toLocaleString()}</td>
+                                <td>{row.delivered.toLocaleString()}</td>
+                                <td>{row.pending.toLocaleString()}</td>
+                                <td>{row.missing.toLocaleString()}</td>
+                                <td>{row.duplicated.toLocaleString()}</td>
+                                <td>{row.unexpected.toLocaleString()}</td>
+                                <td>{formatMs(row.latency.p50)}</td>
+                                <td>{formatMs(row.latency.p95)}</td>
+                                <td>{formatMs(row.latency.max)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <div className="button-group">
+                <button className="btn small gray" onClick={handleReset}>초기화</button>
+            </div>
+        </section>
+    );
+};
+
+export default DeliveryPanel;
@@ -0,0 +1,116 @@
+// src/components/EnvironmentProfilePanel.js
+// 환경 프로필 편집 (주소, 구독/인증 경로), 파일로 내보내기/가져오기
+// 연결 설정(sseSettings)은 화면의 각 설정/고급 설정에서 바꾸면 활성 프로필에 저장됨
+import React, { useState } from 'react';
+import { downloadFile } from '../utils/exporters';
+import { LOG_TYPES } from '../utils/constants';
+
+const ENDPOINT_FIELDS = [
+    ['subscribe', '구독 경로'],
+    ['cast', '발송 경로'],
+    ['authToken', '로그인 경로'],
+    ['authRefresh', '토큰 갱신 경로']
+];
+
+const toDraft = (profile) => ({ ...profile, endpoints: { ...profile.endpoints } });
+
+const EnvironmentProfilePanel = ({ profiles, activeProfile, onSave, onRemove, onImport, onExport, onLog }) => {
+    const [draft, setDraft] = useState(() => toDraft(activeProfile));
+    const [draftSource, setDraftSource] = useState(activeProfile.name);
+    const [error, setError] = useState(null);
+
+    // 다른 프로필로 전환되면 편집 내용을 새로 채움 (활성 프로필의 연결 설정만 바뀐 경우 편집 중인 내용 유지)
+    if (activeProfile.name !== draftSource) {
+        setDraftSource(activeProfile.name);
+        setDraft(toDraft(activeProfile));
+        setError(null);
+    }
+
+    const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+    const updateEndpoint = (key, value) => setDraft(prev => ({ ...prev, endpoints: { ...prev.endpoints, [key]: value } }));
+
+    const save = (previousName) => {
+        try {
+            const saved = onSave(draft, previousName);
+            setDraft(toDraft(saved));
+            setError(null);
+            onLog(`💾 환경 프로필 저장: ${saved.name}`, LOG_TYPES.SUCCESS);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRemove = () => {
+        try {
+            onRemove(activeProfile.name);
+            onLog(`🗑 환경 프로필 삭제: ${activeProfile.name}`, LOG_TYPES.INFO);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleExport = () => {
+        downloadFile(onExport(), 'sse-profiles.json', 'application/json');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const imported = onImport(await file.text());
+            // 활성 프로필을 덮어썼으면 가져온 내용으로 다시 채움
+            const replaced = imported.find(profile => profile.name === activeProfile.name);
+            if (replaced) setDraft(toDraft(replaced));
+            setError(null);
+            onLog(`📥 ${file.name}에서 프로필 ${imported.length}개를 가져왔습니다`, LOG_TYPES.SUCCESS);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <section className="sse-section environment-profiles">
+            <h3>🌍 환경 프로필 ({profiles.length})</h3>
+
+            <div className="form-grid">
+                <label>
+                    이름:
+                    <input type="text" value={draft.name} onChange={e => updateDraft({ name: e.target.value })} />
+                </label>
+                <label>
+                    Base URL:
+                    <input
+                        type="text"
+                        value={draft.baseUrl}
+                        onChange={e => updateDraft({ baseUrl: e.target.value })}
+                        placeholder="http://localhost:9292"
+                    />
+                </label>
+                {ENDPOINT_FIELDS.map(([key, label]) => (
+                    <label key={key}>
+                        {label}:
+                        <input type="text" value={draft.endpoints[key]} onChange={e => updateEndpoint(key, e.target.value)} />
+                    </label>
+                ))}
+            </div>
+            <p className="profile-hint">연결 설정(트랜스포트, 연결 모드, 인증 갱신, 고급 설정)은 바꾸면 활성 프로필에 바로 저장되고, 새 프로필로 저장하면 함께 복사됩니다.</p>
+
+            {error && <pre className="profile-error">{error}</pre>}
+
+            <div className="button-group">
+                <button className="btn small blue" onClick={() => save(activeProfile.name)}>💾 저장</button>
+                <button className="btn small green" onClick={() => save(null)}>➕ 새 프로필로 저장</button>
+                <button className="btn small red" onClick={handleRemove} disabled={profiles.length <= 1}>🗑 삭제</button>
+                <button className="btn small gray" onClick={handleExport}>📤 전체 내보내기</button>
+                <label className="btn small gray">
+                    📥 파일 불러오기
+                    <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+                </label>
+            </div>
+        </section>
+    );
+};
+
+export default EnvironmentProfilePanel;
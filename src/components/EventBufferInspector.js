@@ -0,0 +1,174 @@
+// src/components/EventBufferInspector.js
+// 이벤트 버퍼 검사기 (타입/ID 필터, JSON 트리, 두 이벤트 비교, curl/JSON 복사)
+import React, { useState, useEffect, useMemo } from 'react';
+import JsonTree from './JsonTree';
+import { diffJSON, DIFF_KINDS } from '../utils/jsonDiff';
+import { toCurlCommand } from '../utils/exporters';
+import { formatBytes } from '../utils/formatters';
+
+const REFRESH_INTERVAL = 1000;
+const DIFF_EXPAND_DEPTH = 10;
+
+const DIFF_LABELS = {
+    [DIFF_KINDS.ADDED]: '추가',
+    [DIFF_KINDS.REMOVED]: '삭제',
+    [DIFF_KINDS.CHANGED]: '변경'
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('ko-KR', { hour12: false });
+
+const EventBufferInspector = ({ url, getEventBuffer, onCopy }) => {
+    const [events, setEvents] = useState(() => getEventBuffer());
+    const [autoRefresh, setAutoRefresh] = useState(true);
+    const [typeFilter, setTypeFilter] = useState('');
+    const [idQuery, setIdQuery] = useState('');
+    const [activeEvent, setActiveEvent] = useState(null);
+    // 비교 대상 (최대 2개, 세 번째를 고르면 가장 먼저 고른 것이 빠짐)
+    const [compared, setCompared] = useState([]);
+
+    useEffect(() => {
+        if (!autoRefresh) return;
+        const timer = setInterval(() => setEvents(getEventBuffer()), REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, [autoRefresh, getEventBuffer]);
+
+    const eventTypes = useMemo(() => [...new Set(events.map(event => event.type))], [events]);
+
+    // 최신 이벤트가 위로
+    const filteredEvents = useMemo(() => {
+        const query = idQuery.trim();
+        return events
+            .filter(event => (!typeFilter || event.type === typeFilter)
+                && (!query || String(event.id ?? '').includes(query)))
+            .reverse();
+    }, [events, typeFilter, idQuery]);
+
+    const [diffBefore, diffAfter] = [...compared].sort((a, b) => a.timestamp - b.timestamp);
+    const diffs = useMemo(
+        () => (diffBefore && diffAfter ? diffJSON(diffBefore.data, diffAfter.data) : []),
+        [diffBefore, diffAfter]
+    );
+    const highlights = useMemo(() => new Map(diffs.map(diff => [diff.path, diff.kind])), [diffs]);
+
+    const toggleCompared = (event) => {
+        setCompared(prev => {
+            if (prev.includes(event)) return prev.filter(item => item !== event);
+            return [...prev, event].slice(-2);
+        });
+    };
+
+    const copyText = async (text, label) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            onCopy?.(`${label} 복사됨`);
+        } catch (error) {
+            onCopy?.(`${label} 복사 실패: ${error.message}`, error);
+        }
+    };
+
+    // 바로 앞 이벤트 ID로 재개하면 서버가 이 이벤트부터 다시 보냄
+    const copyAsCurl = (event) => {
+        const index = events.indexOf(event);
+        const previousId = index > 0 ? events[index - 1].id : null;
+        const headers = { Accept: 'text/event-stream', 'Cache-Control': 'no-cache' };
+        if (previousId) headers['Last-Event-ID'] = previousId;
+        copyText(toCurlCommand({ url, headers }), 'curl 명령');
+    };
+
+    const copyAsJSON = (event) => copyText(JSON.stringify(event, null, 2), 'JSON');
+
+    return (
+        <section className="sse-section buffer-inspector">
+            <h3>🧾 이벤트 버퍼 ({events.length.toLocaleString()}개)</h3>
+
+            <div className="buffer-toolbar">
+                <select value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+                    <option value="">모든 타입</option>
+                    {eventTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <input
+                    type="text"
+                    value={idQuery}
+                    onChange={e => setIdQuery(e.target.value)}
+                    placeholder="이벤트 ID 검색"
+                />
+                <label>
+                    <input type="checkbox" checked={autoRefresh} onChange={e => setAutoRefresh(e.target.checked)} />
+                    자동 새로고침
+                </label>
+                <button className="btn small gray" onClick={() => setEvents(getEventBuffer())}>🔄 새로고침</button>
+                <button className="btn small gray" onClick={() => setCompared([])} disabled={compared.length === 0}>
+                    비교 해제
+                </button>
+            </div>
+
+            <div className="buffer-inspector-body">
+                <div className="buffer-list">
+                    {filteredEvents.length === 0 ? (
+                        <p className="no-buffer">버퍼에 이벤트가 없습니다</p>
+                    ) : filteredEvents.map((event, index) => (
+                        <div
+                            key={`${event.timestamp}-${event.id}-${index}`}
+                            className={`buffer-item ${event === activeEvent ? 'active' : ''}`}
+                            onClick={() => setActiveEvent(event)}
+                        >
+                            <input
+                                type="checkbox"
+                                title="비교 대상으로 선택"
+                                checked={compared.includes(event)}
+                                onClick={e => e.stopPropagation()}
+                                onChange={() => toggleCompared(event)}
+                            />
+                            <span className="log-timestamp">{formatTime(event.timestamp)}</span>
+                            <span className="buffer-type">{event.type}</span>
+                            <span className="buffer-id">#{event.id ?? '-'}</span>
+                            <span className="buffer-size">{formatBytes(event.size)}</span>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="buffer-detail">
+                    {activeEvent ? (
+                        <>
+                            <div className="buffer-toolbar">
+                                <strong>{activeEvent.type} #{activeEvent.id ?? '-'}</strong>
+                                <button className="btn small blue" onClick={() => copyAsJSON(activeEvent)}>📋 JSON 복사</button>
+                                <button className="btn small blue" onClick={() => copyAsCurl(activeEvent)}>📋 curl 복사</button>
+                            </div>
+                            <div className="buffer-data">
+                                <JsonTree value={activeEvent.data} />
+                            </div>
+                        </>
+                    ) : (
+                        <p className="no-selection">이벤트를 선택하면 내용을 표시합니다</p>
+                    )}
+                </div>
+            </div>
+
+            {diffBefore && diffAfter && (
+                <div className="buffer-diff">
+                    <h4>🔍 비교: #{diffBefore.id ?? '-'} → #{diffAfter.id ?? '-'} (차이 {diffs.length}개)</h4>
+                    <div className="buffer-diff-columns">
+                        <div className="buffer-data">
+                            <JsonTree value={diffBefore.data} defaultExpandDepth={DIFF_EXPAND_DEPTH} highlights={highlights} />
+                        </div>
+                        <div className="buffer-data">
+                            <JsonTree value={diffAfter.data} defaultExpandDepth={DIFF_EXPAND_DEPTH} highlights={highlights} />
+                        </div>
+                    </div>
+                    {diffs.length > 0 && (
+                        <ul className="buffer-diff-list">
+                            {diffs.map(diff => (
+                                <li key={diff.path} className={`json-diff-${diff.kind}`}>
+                                    [{DIFF_LABELS[diff.kind]}] {diff.path}: {JSON.stringify(diff.before) ?? '없음'} → {JSON.stringify(diff.after) ?? '없음'}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default EventBufferInspector;
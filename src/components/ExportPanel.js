@@ -0,0 +1,130 @@
+// src/components/ExportPanel.js
+// 로그/이벤트 버퍼/메트릭 내보내기와 SSE 원문 가져오기
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/constants';
+import { serializeRecords, downloadFile, parseSSETranscript } from '../utils/exporters';
+
+const EXPORT_SOURCES = {
+    LOGS: 'logs',
+    EVENT_BUFFER: 'event-buffer',
+    METRICS: 'metrics'
+};
+
+const SOURCE_LABELS = {
+    [EXPORT_SOURCES.LOGS]: '로그',
+    [EXPORT_SOURCES.EVENT_BUFFER]: '이벤트 버퍼',
+    [EXPORT_SOURCES.METRICS]: '메트릭 스냅샷'
+};
+
+const FORMAT_LABELS = {
+    [EXPORT_FORMATS.JSON]: 'JSON',
+    [EXPORT_FORMATS.NDJSON]: 'NDJSON',
+    [EXPORT_FORMATS.CSV]: 'CSV',
+    [EXPORT_FORMATS.SSE_TRANSCRIPT]: 'SSE 원문 (.sse)'
+};
+
+// 20240101-093000
+const toFileTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+const ExportPanel = ({ url, getLogs, getEventBuffer, getMetrics, onImport, onError }) => {
+    const [source, setSource] = useState(EXPORT_SOURCES.LOGS);
+    const [format, setFormat] = useState(EXPORT_FORMATS.JSON);
+    const [metricSnapshots, setMetricSnapshots] = useState([]);
+
+    // SSE 원문은 이벤트 버퍼만 가능
+    const availableFormats = Object.values(EXPORT_FORMATS).filter(value => (
+        value !== EXPORT_FORMATS.SSE_TRANSCRIPT || source === EXPORT_SOURCES.EVENT_BUFFER
+    ));
+    const selectedFormat = availableFormats.includes(format) ? format : EXPORT_FORMATS.JSON;
+
+    const captureMetrics = () => ({ capturedAt: new Date().toISOString(), ...getMetrics() });
+
+    const collectRecords = () => {
+        switch (source) {
+            case EXPORT_SOURCES.EVENT_BUFFER:
+                return getEventBuffer();
+            case EXPORT_SOURCES.METRICS:
+                return metricSnapshots.length > 0 ? metricSnapshots : [captureMetrics()];
+            default:
+                return getLogs().map(({ id, time, type, message }) => ({
+                    id,
+                    time: new Date(time).toISOString(),
+                    type,
+                    message
+                }));
+        }
+    };
+
+    const handleExport = () => {
+        const now = new Date();
+        try {
+            const { content, extension, mimeType } = serializeRecords(collectRecords(), selectedFormat, {
+                url,
+                'exported-at': now.toISOString()
+            });
+            downloadFile(content, `sse-${source}-${toFileTimestamp(now)}.${extension}`, mimeType);
+        } catch (error) {
+            onError?.(`내보내기 실패: ${error.message}`);
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const events = parseSSETranscript(await file.text());
+            onImport(events, file.name);
+        } catch (error) {
+            onError?.(`가져오기 실패: ${error.message}`);
+        }
+    };
+
+    return (
+        <section className="sse-section export-panel">
+            <h3>💾 내보내기 / 가져오기</h3>
+            <div className="export-toolbar">
+                <label>
+                    대상:
+                    <select value={source} onChange={e => setSource(e.target.value)}>
+                        {Object.values(EXPORT_SOURCES).map(value => (
+                            <option key={value} value={value}>{SOURCE_LABELS[value]}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    형식:
+                    <select value={selectedFormat} onChange={e => setFormat(e.target.value)}>
+                        {availableFormats.map(value => (
+                            <option key={value} value={value}>{FORMAT_LABELS[value]}</option>
+                        ))}
+                    </select>
+                </label>
+                <button className="btn small blue" onClick={handleExport}>📤 내보내기</button>
+            </div>
+
+            <div className="export-toolbar">
+                <button
+                    className="btn small gray"
+                    onClick={() => setMetricSnapshots(prev => [...prev, captureMetrics()])}
+                >
+                    📸 메트릭 스냅샷 저장 ({metricSnapshots.length})
+                </button>
+                <button
+                    className="btn small gray"
+                    onClick={() => setMetricSnapshots([])}
+                    disabled={metricSnapshots.length === 0}
+                >
+                    스냅샷 비우기
+                </button>
+                <label className="btn small gray">
+                    📥 SSE 원문 가져오기
+                    <input type="file" accept=".sse,.txt,text/event-stream,text/plain" onChange={handleImport} hidden />
+                </label>
+            </div>
+        </section>
+    );
+};
+
+export default ExportPanel;
@@ -0,0 +1,72 @@
+// src/components/JsonTree.js
+// 접을 수 있는 JSON 트리 (highlights: 경로 -> diff 종류, 비교 시 변경된 노드 강조)
+import React, { useState } from 'react';
+import { joinPath } from '../utils/jsonDiff';
+
+const formatPrimitive = (value) => {
+    if (value === undefined) return 'undefined';
+    return JSON.stringify(value);
+};
+
+const getPrimitiveClass = (value) => (value === null ? 'json-null' : `json-${typeof value}`);
+
+const JsonNode = ({ name, value, path, depth, defaultExpandDepth, highlights }) => {
+    const isContainer = value !== null && typeof value === 'object';
+    const [expanded, setExpanded] = useState(depth < defaultExpandDepth);
+    const highlight = highlights?.get(path);
+    const label = name !== undefined && <span className="json-key">{name}: </span>;
+
+    if (!isContainer) {
+        return (
+            <div className={`json-node ${highlight ? `json-diff-${highlight}` : ''}`}>
+                {label}
+                <span className={getPrimitiveClass(value)}>{formatPrimitive(value)}</span>
+            </div>
+        );
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    return (
+        <div className={`json-node ${highlight ? `json-diff-${highlight}` : ''}`}>
+            <span className="json-toggle" onClick={() => setExpanded(prev => !prev)}>
+                {expanded ? '▾' : '▸'} {label}{open}
+                {!expanded && <span className="json-summary"> {entries.length}개 {close}</span>}
+            </span>
+            {expanded && (
+                <>
+                    <div className="json-children">
+                        {entries.map(([key, child]) => (
+                            <JsonNode
+                                key={key}
+                                name={key}
+                                value={child}
+                                path={joinPath(path, key)}
+                                depth={depth + 1}
+                                defaultExpandDepth={defaultExpandDepth}
+                                highlights={highlights}
+                            />
+                        ))}
+                    </div>
+                    <span>{close}</span>
+                </>
+            )}
+        </div>
+    );
+};
+
+const JsonTree = ({ value, defaultExpandDepth = 2, highlights }) => (
+    <div className="json-tree">
+        <JsonNode
+            value={value}
+            path="$"
+            depth={0}
+            defaultExpandDepth={defaultExpandDepth}
+            highlights={highlights}
+        />
+    </div>
+);
+
+export default JsonTree;
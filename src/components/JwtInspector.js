@@ -0,0 +1,136 @@
+// src/components/JwtInspector.js
+// 현재 토큰의 header/payload, 시간 클레임, 시계 오차, 로그인 입력값 대조 결과 표시
+import React from 'react';
+import JsonTree from './JsonTree';
+import { inspectJWT, JWT_ISSUE_LEVELS } from '../utils/jwt';
+import { formatDuration } from '../utils/formatters';
+
+const ISSUE_ICONS = {
+    [JWT_ISSUE_LEVELS.ERROR]: '❌',
+    [JWT_ISSUE_LEVELS.WARNING]: '⚠️'
+};
+
+const CLAIM_LABELS = {
+    iat: '발급 시각',
+    nbf: '사용 시작',
+    exp: '만료 시각',
+    sub: '주체',
+    iss: '발급자',
+    aud: '대상',
+    jti: '토큰 ID',
+    accountId: '계정 ID',
+    sessionId: '세션 ID',
+    uuid: 'UUID'
+};
+
+const formatRelative = (time, now) => {
+    const diff = time - now;
+    if (Math.abs(diff) < 1000) return '지금';
+    return `${formatDuration(Math.abs(diff))} ${diff > 0 ? '후' : '전'}`;
+};
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const JwtInspector = ({ token, expected, receivedAt }) => {
+    if (!token) {
+        return (
+            <div className="jwt-inspector">
+                <h4>🔍 JWT 검사</h4>
+                <p className="no-token">검사할 토큰이 없습니다</p>
+            </div>
+        );
+    }
+
+    const now = Date.now();
+    let result;
+    try {
+        result = inspectJWT(token, { now, expected, receivedAt });
+    } catch (error) {
+        return (
+            <div className="jwt-inspector">
+                <h4>🔍 JWT 검사</h4>
+                <p className="error-message">❌ {error.message}</p>
+            </div>
+        );
+    }
+
+    const { header, claims, expectedClaims, clockSkew, issues } = result;
+
+    return (
+        <div className="jwt-inspector">
+            <h4>🔍 JWT 검사 ({header.alg || '알 수 없는 알고리즘'}, 서명 미검증)</h4>
+
+            {issues.length === 0 ? (
+                <p className="jwt-ok">✅ 문제 없음</p>
+            ) : (
+                <ul className="jwt-issues">
+                    {issues.map((issue, index) => (
+                        <li key={index} className={`jwt-issue ${issue.level}`}>
+                            {ISSUE_ICONS[issue.level]} <code>{issue.claim}</code> {issue.message}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <p>
+                <strong>시계 오차:</strong>{' '}
+                {clockSkew === null
+                    ? '추정 불가 (토큰을 받은 시각을 모름)'
+                    : `${clockSkew > 0 ? '+' : ''}${Math.round(clockSkew / 1000)}초 (서버 - 로컬)`}
+            </p>
+
+            <table className="data-table jwt-claims">
+                <thead>
+                    <tr>
+                        <th>클레임</th>
+                        <th>값</th>
+                        <th>해석</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {claims.map(claim => (
+                        <tr key={claim.name}>
+                            <td><code>{claim.name}</code>{CLAIM_LABELS[claim.name] ? ` (${CLAIM_LABELS[claim.name]})` : ''}</td>
+                            <td className="jwt-claim-value">{formatValue(claim.value)}</td>
+                            <td>
+                                {claim.time !== null
+                                    ? `${new Date(claim.time).toLocaleString('ko-KR')} (${formatRelative(claim.time, now)})`
+                                    : ''}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {expectedClaims.length > 0 && (
+                <table className="data-table jwt-expected">
+                    <thead>
+                        <tr>
+                            <th>클레임</th>
+                            <th>로그인 입력</th>
+                            <th>토큰</th>
+                            <th>결과</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {expectedClaims.map(claim => (
+                            <tr key={claim.name} className={claim.match ? '' : 'jwt-mismatch'}>
+                                <td><code>{claim.name}</code></td>
+                                <td>{formatValue(claim.expected)}</td>
+                                <td>{claim.actual === null ? '(없음)' : formatValue(claim.actual)}</td>
+                                <td>{claim.match ? '✅ 일치' : '❌ 불일치'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <details>
+                <summary>header</summary>
+                <JsonTree value={header} />
+            </details>
+        </div>
+    );
+};
+
+export default JwtInspector;
@@ -0,0 +1,66 @@
+// src/components/LoadTestPanel.js
+// 부하 테스트 진행/결과 패널 (달성 TPS, 지연 백분위, 상태별 오류)
+import React from 'react';
+import { formatDuration } from '../utils/formatters';
+
+const formatMs = (value) => (value === null ? '-' : `${Math.round(value).toLocaleString()}ms`);
+
+const LoadTestPanel = ({ name, stats, isRunning, onStop }) => {
+    if (!stats) return null;
+
+    const percent = Math.min(100, Math.round((stats.elapsedMs / stats.durationMs) * 100));
+    const errors = Object.entries(stats.errors).sort((a, b) => b[1] - a[1]);
+
+    const getStatusText = () => {
+        if (isRunning) return stats.stopped ? '중단 중 (진행 중인 요청 취소)' : '진행 중';
+        return stats.stopped ? '중단됨' : '완료';
+    };
+
+    return (
+        <section className="sse-section load-test-panel">
+            <h3>🏋️ 부하 테스트: {name} — {getStatusText()}</h3>
+
+            <div className="progress-container">
+                <div className="progress-bar">
+                    <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+                </div>
+                <div className="progress-info">
+                    <span>{formatDuration(stats.elapsedMs)} / {formatDuration(stats.durationMs)}</span>
+                    <span>{percent}%</span>
+                </div>
+            </div>
+
+            <div className="loadtest-totals">
+                <span><strong>달성 TPS:</strong> {stats.achievedTps.toFixed(1)} / {stats.targetRps}</span>
+                <span><strong>전송:</strong> {stats.sent.toLocaleString()}</span>
+                <span><strong>성공:</strong> {stats.succeeded.toLocaleString()}</span>
+                <span><strong>실패:</strong> {stats.failed.toLocaleString()}</span>
+                <span><strong>진행 중:</strong> {stats.inFlight.toLocaleString()}</span>
+                <span><strong>동시성 제한으로 생략:</strong> {stats.throttled.toLocaleString()}</span>
+            </div>
+
+            <div className="loadtest-totals">
+                <span><strong>지연 p50:</strong> {formatMs(stats.latency.p50)}</span>
+                <span><strong>p95:</strong> {formatMs(stats.latency.p95)}</span>
+                <span><strong>p99:</strong> {formatMs(stats.latency.p99)}</span>
+                <span><strong>max:</strong> {formatMs(stats.latency.max)}</span>
+            </div>
+
+            {errors.length > 0 && (
+                <ul className="load-test-errors">
+                    {errors.map(([key, count]) => (
+                        <li key={key}><strong>{key}</strong>: {count.toLocaleString()}건</li>
+                    ))}
+                </ul>
+            )}
+
+            {isRunning && (
+                <div className="button-group">
+                    <button className="btn small red" onClick={onStop} disabled={stats.stopped}>⏹ 중단</button>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default LoadTestPanel;
@@ -0,0 +1,165 @@
+// src/components/LogPanel.js
+// 이벤트 로그 콘솔 (레벨 필터, 텍스트/정규식 검색, 일시정지, 가상 스크롤)
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { LOG_TYPES } from '../utils/constants';
+import { createLogMatcher } from '../utils/logFilter';
+
+// 가상 스크롤: 고정 높이 행 중 보이는 구간(+여유분)만 렌더링
+const ROW_HEIGHT = 24;
+const VIEWPORT_HEIGHT = 400;
+const OVERSCAN = 10;
+
+const RETENTION_OPTIONS = [1000, 5000, 10000, 50000];
+
+const LOG_TYPE_LABELS = {
+    [LOG_TYPES.SUCCESS]: '성공',
+    [LOG_TYPES.ERROR]: '오류',
+    [LOG_TYPES.WARNING]: '경고',
+    [LOG_TYPES.INFO]: '정보',
+    [LOG_TYPES.MESSAGE]: '메시지'
+};
+
+const formatLogTime = (time) => new Date(time).toLocaleTimeString('ko-KR', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    fractionalSecondDigits: 3
+});
+
+const LogPanel = ({
+    logs,
+    isPaused,
+    hiddenCount,
+    onPause,
+    onResume,
+    onClear,
+    maxEntries,
+    onMaxEntriesChange
+}) => {
+    const [enabledTypes, setEnabledTypes] = useState(() => Object.values(LOG_TYPES));
+    const [query, setQuery] = useState('');
+    const [useRegex, setUseRegex] = useState(false);
+    const [autoScroll, setAutoScroll] = useState(true);
+    const [scrollTop, setScrollTop] = useState(0);
+    const logContainerRef = useRef(null);
+
+    const matcher = useMemo(
+        () => createLogMatcher({ types: enabledTypes, query, useRegex }),
+        [enabledTypes, query, useRegex]
+    );
+    const filteredLogs = useMemo(() => logs.filter(matcher.match), [logs, matcher]);
+
+    const typeCounts = useMemo(() => {
+        const counts = {};
+        logs.forEach(entry => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+        });
+        return counts;
+    }, [logs]);
+
+    // 자동 스크롤
+    useEffect(() => {
+        if (autoScroll && logContainerRef.current) {
+            logContainerRef.current.scrollTop = logContainerRef.current.scrollHeight;
+        }
+    }, [filteredLogs, autoScroll]);
+
+    // 사용자가 위로 스크롤하면 자동 스크롤 해제, 맨 아래로 돌아오면 다시 설정
+    const handleScroll = (e) => {
+        const { scrollTop: top, scrollHeight, clientHeight } = e.currentTarget;
+        setScrollTop(top);
+        setAutoScroll(scrollHeight - top - clientHeight < ROW_HEIGHT);
+    };
+
+    const toggleType = (type) => {
+        setEnabledTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+    };
+
+    const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(filteredLogs.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+    return (
+        <section className="sse-section log-panel">
+            <h3>📜 이벤트 로그</h3>
+
+            <div className="log-toolbar">
+                {Object.values(LOG_TYPES).map(type => (
+                    <label key={type} className={`log-filter log-${type}`}>
+                        <input
+                            type="checkbox"
+                            checked={enabledTypes.includes(type)}
+                            onChange={() => toggleType(type)}
+                        />
+                        {LOG_TYPE_LABELS[type]} ({(typeCounts[type] || 0).toLocaleString()})
+                    </label>
+                ))}
+            </div>
+
+            <div className="log-toolbar">
+                <input
+                    type="text"
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    placeholder={useRegex ? '정규식 검색 (예: order_\\d+)' : '로그 검색'}
+                />
+                <label>
+                    <input type="checkbox" checked={useRegex} onChange={e => setUseRegex(e.target.checked)} />
+                    정규식
+                </label>
+                <label>
+                    <input type="checkbox" checked={autoScroll} onChange={e => setAutoScroll(e.target.checked)} />
+                    자동 스크롤
+                </label>
+                <label>
+                    보관:
+                    <select value={maxEntries} onChange={e => onMaxEntriesChange(Number(e.target.value))}>
+                        {RETENTION_OPTIONS.map(option => (
+                            <option key={option} value={option}>{option.toLocaleString()}건</option>
+                        ))}
+                    </select>
+                </label>
+                {isPaused ? (
+                    <button className="btn small green" onClick={onResume}>
+                        ▶️ 재개{hiddenCount > 0 ? ` (+${hiddenCount.toLocaleString()})` : ''}
+                    </button>
+                ) : (
+                    <button className="btn small gray" onClick={onPause}>⏸️ 일시정지</button>
+                )}
+                <button className="btn small red" onClick={onClear}>🗑️ 지우기</button>
+            </div>
+
+            {matcher.error && <p className="error-message">⚠️ {matcher.error}</p>}
+            <p className="log-summary">
+                {filteredLogs.length.toLocaleString()} / {logs.length.toLocaleString()}건 표시
+            </p>
+
+            <div
+                className="log-container log-virtual"
+                ref={logContainerRef}
+                onScroll={handleScroll}
+                style={{ height: VIEWPORT_HEIGHT }}
+            >
+                {filteredLogs.length === 0 ? (
+                    <p className="no-logs">표시할 로그가 없습니다</p>
+                ) : (
+                    <div style={{ height: filteredLogs.length * ROW_HEIGHT, position: 'relative' }}>
+                        {filteredLogs.slice(start, end).map((entry, index) => (
+                            <div
+                                key={entry.id}
+                                className={`log-entry log-${entry.type}`}
+                                style={{ top: (start + index) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                                title={entry.message}
+                            >
+                                <span className="log-timestamp">{formatLogTime(entry.time)}</span>
+                                <span className="log-text">{entry.message}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </section>
+    );
+};
+
+export default LogPanel;
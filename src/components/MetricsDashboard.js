@@ -0,0 +1,101 @@
+// src/components/MetricsDashboard.js
+// 실시간 메트릭 대시보드 (누적 값 + 최근 1분 시계열 그래프)
+import React, { useState, useEffect } from 'react';
+import Sparkline from './Sparkline';
+import { formatBytes, formatDuration } from '../utils/formatters';
+
+const REFRESH_INTERVAL = 1000;
+
+const formatMs = (value) => (value === null ? '-' : formatDuration(Math.round(value)));
+
+const PercentileSummary = ({ stats }) => (
+    <span className="metric-percentiles">
+        p50 {formatMs(stats.p50)} · p95 {formatMs(stats.p95)} · p99 {formatMs(stats.p99)} · max {formatMs(stats.max)}
+    </span>
+);
+
+const MetricChart = ({ title, values, current, color, children }) => (
+    <div className="metric-card">
+        <div className="metric-card-header">
+            <strong>{title}</strong>
+            <span>{current}</span>
+        </div>
+        <Sparkline values={values} color={color} />
+        {children}
+    </div>
+);
+
+const MetricsDashboard = ({ getMetrics, getTimeSeriesMetrics }) => {
+    const [snapshot, setSnapshot] = useState(() => ({
+        totals: getMetrics(),
+        ...getTimeSeriesMetrics()
+    }));
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            setSnapshot({ totals: getMetrics(), ...getTimeSeriesMetrics() });
+        }, REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, [getMetrics, getTimeSeriesMetrics]);
+
+    const { totals, summary, series } = snapshot;
+    const pick = (key) => series.map(point => point[key]);
+
+    return (
+        <section className="sse-section metrics-dashboard">
+            <h3>📊 메트릭 (최근 {Math.round(summary.windowMs / 1000)}초)</h3>
+
+            <div className="metric-totals">
+                <span><strong>총 이벤트:</strong> {totals.totalEvents.toLocaleString()}</span>
+                <span><strong>총 크기:</strong> {formatBytes(totals.totalBytes)}</span>
+                <span><strong>평균 크기:</strong> {formatBytes(Math.round(totals.averageEventSize))}</span>
+                <span><strong>재연결:</strong> {totals.totalReconnects.toLocaleString()}</span>
+                <span><strong>오류:</strong> {totals.totalErrors.toLocaleString()}</span>
+                <span><strong>중복 제거:</strong> {totals.duplicatesDropped.toLocaleString()}</span>
+                <span><strong>순서 보정:</strong> {totals.reorderedEvents.toLocaleString()}</span>
+                <span><strong>연결 시간:</strong> {formatDuration(totals.connectionUptime)}</span>
+            </div>
+
+            <div className="metric-grid">
+                <MetricChart
+                    title="초당 이벤트"
+                    values={pick('eventsPerSecond')}
+                    current={`평균 ${summary.eventsPerSecond.toFixed(1)}/s`}
+                    color="var(--primary-color)"
+                />
+                <MetricChart
+                    title="초당 크기"
+                    values={pick('bytesPerSecond')}
+                    current={`평균 ${formatBytes(Math.round(summary.bytesPerSecond))}/s`}
+                    color="var(--info-color)"
+                />
+                <MetricChart
+                    title="종단 지연 (p95)"
+                    values={pick('latencyP95')}
+                    current={`${summary.latency.count.toLocaleString()}개 표본`}
+                    color="var(--warning-color)"
+                >
+                    <PercentileSummary stats={summary.latency} />
+                </MetricChart>
+                <MetricChart
+                    title="재연결 공백"
+                    values={pick('reconnectGap')}
+                    current={`${summary.reconnectGap.count}회`}
+                    color="var(--error-color)"
+                >
+                    <PercentileSummary stats={summary.reconnectGap} />
+                </MetricChart>
+                <MetricChart
+                    title="하트비트 지터"
+                    values={pick('heartbeatJitter')}
+                    current={`${summary.heartbeatJitter.count}회`}
+                    color="var(--success-color)"
+                >
+                    <PercentileSummary stats={summary.heartbeatJitter} />
+                </MetricChart>
+            </div>
+        </section>
+    );
+};
+
+export default MetricsDashboard;
@@ -0,0 +1,52 @@
+// src/components/ReplayPanel.js
+// 이벤트 재전송 진행 패널 (페이지/처리량/남은 시간, 일시정지/재개/취소)
+import React from 'react';
+import { formatDuration } from '../utils/formatters';
+
+const ReplayPanel = ({ progress, onPause, onResume, onCancel }) => {
+    if (!progress.isReplaying) return null;
+
+    const { current, total, page, totalPages, acknowledgedPages, throughput, queued, skipped } = progress;
+    const percent = total > 0 ? Math.min(100, Math.round((current / total) * 100)) : 0;
+
+    const getStatusText = () => {
+        if (progress.isCancelled) return '취소됨 (남은 재전송 건너뛰는 중)';
+        if (progress.isPaused) return '일시정지';
+        return '진행 중';
+    };
+
+    return (
+        <div className="replay-progress">
+            <p><strong>📥 이벤트 재전송:</strong> {getStatusText()}</p>
+            <div className="progress-container">
+                <div className="progress-bar">
+                    <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+                </div>
+                <div className="progress-info">
+                    <span>{current.toLocaleString()} / {total > 0 ? total.toLocaleString() : '?'}</span>
+                    <span>{percent}%</span>
+                    {progress.estimatedTimeRemaining && !progress.isPaused && (
+                        <span>남은 시간: {formatDuration(Math.round(progress.estimatedTimeRemaining))}</span>
+                    )}
+                </div>
+            </div>
+            <div className="replay-stats">
+                <span><strong>페이지:</strong> {page.toLocaleString()}{totalPages ? ` / ${totalPages.toLocaleString()}` : ''}</span>
+                <span><strong>확인 완료:</strong> {acknowledgedPages.toLocaleString()}</span>
+                <span><strong>처리량:</strong> {throughput ? `${throughput.toFixed(1)} events/s` : '-'}</span>
+                {progress.isPaused && <span><strong>대기 중:</strong> {queued.toLocaleString()}</span>}
+                {skipped > 0 && <span><strong>건너뜀:</strong> {skipped.toLocaleString()}</span>}
+            </div>
+            <div className="button-group">
+                {progress.isPaused ? (
+                    <button className="btn small green" onClick={onResume}>재개</button>
+                ) : (
+                    <button className="btn small gray" onClick={onPause} disabled={progress.isCancelled}>일시정지</button>
+                )}
+                <button className="btn small red" onClick={onCancel} disabled={progress.isCancelled}>재전송 취소</button>
+            </div>
+        </div>
+    );
+};
+
+export default ReplayPanel;
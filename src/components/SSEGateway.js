@@ -1,65 +1,158 @@
 // src/components/SSEGateway.js
 import React, { useState, useEffect, useRef } from 'react';
-import { EventSourcePolyfill } from 'event-source-polyfill';
 import useSSE from '../hooks/useSSE';
 import useAuth from '../hooks/useAuth';
 import useBroadcastChannel from '../hooks/useBroadcastChannel';
-import { CONNECTION_STATES, LOG_TYPES } from '../utils/constants';
+import useEventLog from '../hooks/useEventLog';
+import useLoadTest from '../hooks/useLoadTest';
+import useSubscriberPool from '../hooks/useSubscriberPool';
+import useScenarioRunner from '../hooks/useScenarioRunner';
+import useEnvironmentProfiles from '../hooks/useEnvironmentProfiles';
+import { createSubscribeRequest, createCastRequest } from '../loadtest/requests';
+import { createDeliveryTracker, extractEventId } from '../loadtest/deliveryTracker';
+import { createScenarioActions } from '../loadtest/scenarioActions';
+import { CONNECTION_STATES, CONNECTION_MODES, LOAD_TEST_CONFIG, LOG_CONFIG, LOG_TYPES, TRANSPORT_TYPES } from '../utils/constants';
+import { formatDuration } from '../utils/formatters';
+import ReplayPanel from './ReplayPanel';
+import LogPanel from './LogPanel';
+import ExportPanel from './ExportPanel';
+import EventBufferInspector from './EventBufferInspector';
+import MetricsDashboard from './MetricsDashboard';
+import LoadTestPanel from './LoadTestPanel';
+import DeliveryPanel from './DeliveryPanel';
+import SubscriberPoolPanel from './SubscriberPoolPanel';
+import ScenarioPanel from './ScenarioPanel';
+import SessionSwitcher from './SessionSwitcher';
+import JwtInspector from './JwtInspector';
+import EnvironmentProfilePanel from './EnvironmentProfilePanel';
+import AdvancedSettingsPanel from './AdvancedSettingsPanel';
+import { AUTH_MODES } from '../core/SessionRegistry';
+import { AUTH_TOKEN_TYPES } from '../core/authToken';
+import { getSubscribeUrl } from '../core/environmentProfiles';
 import './SSEGateway.css';
 
+// 구독 URL의 clientId (전달 검증에서 메인 연결을 구분)
+const getClientIdFromUrl = (url) => {
+    try {
+        return new URL(url).searchParams.get('clientId') || '메인 연결';
+    } catch {
+        return '메인 연결';
+    }
+};
+
 const SSEGateway = () => {
+    // 환경 프로필 (주소, 경로, SSE 설정을 묶어 저장, 설정을 바꾸면 활성 프로필에 바로 반영)
+    const {
+        profiles,
+        activeProfile,
+        selectProfile,
+        updateSseSettings: setSseSettings,
+        saveProfile,
+        removeProfile,
+        importProfiles,
+        exportProfiles
+    } = useEnvironmentProfiles();
+    const { baseUrl, endpoints, sseSettings } = activeProfile;
+    const serverUrl = getSubscribeUrl(activeProfile);
+
     // 기본 상태
-    const [baseUrl, setBaseUrl] = useState('http://localhost:9292');
-    const [serverUrl, setServerUrl] = useState('http://localhost:9292/sse/api/subscribe');
     const [broadcastInput, setBroadcastInput] = useState('');
-    const [logs, setLogs] = useState([]);
+    const [logRetention, setLogRetention] = useState(LOG_CONFIG.MAX_ENTRIES);
     const [showLoginForm, setShowLoginForm] = useState(false);
     const [loginForm, setLoginForm] = useState({ accountId: '', sessionId: '', uuid: '' });
+    // 로그인한 계정을 보관할 세션 이름과 인증 방식
+    const [loginSessionOptions, setLoginSessionOptions] = useState({ name: '', mode: AUTH_MODES.COOKIE });
     const [lastEventIdInput, setLastEventIdInput] = useState('');
 
     const handleConnectClick = () => {
-        connect({
+        // 입력값이 없으면 저장된(또는 마지막으로 받은) 이벤트 ID로 재개
+        connect(lastEventIdInput.trim() ? {
             headers: {
-                'Last-Event-ID': lastEventIdInput
+                'Last-Event-ID': lastEventIdInput.trim()
             }
-        });
+        } : {});
     };
 
-    // SSE 설정
-    const [sseSettings, setSseSettings] = useState({
-        enablePaging: true,
-        pageSize: 100,
-        maxReplayEvents: 10000,
-        maxBufferSize: 1000,
-        enableHeartbeat: true,
-        heartbeatInterval: 30000,
-        enableMetrics: true,
-        maxReconnectAttempts: 10
-    });
 
     // UI 상태
     const [showAdvancedSettings, setShowAdvancedSettings] = useState(false);
     const [showMetrics, setShowMetrics] = useState(false);
     const [showEventBuffer, setShowEventBuffer] = useState(false);
-    const [autoScroll, setAutoScroll] = useState(true);
+    const [showJwtInspector, setShowJwtInspector] = useState(false);
+    const [showProfileEditor, setShowProfileEditor] = useState(false);
+    // 현재 연결을 맺을 때의 설정 (재연결해야 적용되는 변경 표시용)
+    const [connectedSettings, setConnectedSettings] = useState(null);
+    // 고급 설정 적용 후 새 옵션이 클라이언트에 반영된 다음 재연결
+    const [reconnectRequested, setReconnectRequested] = useState(false);
 
     const sseConnectedRef = useRef(false);
-    const logContainerRef = useRef(null);
+
+    // 전달 검증 (켜져 있을 때만 tracker가 있음, 테스트 클라이언트 핸들러는 ref로 최신 값을 읽음)
+    const [deliveryTracker, setDeliveryTracker] = useState(null);
+    const deliveryTrackerRef = useRef(null);
+    const mainClientId = getClientIdFromUrl(serverUrl);
 
     // Hooks
+    // 로그 (주기적으로 모아서 반영, 보관 한도 초과분은 오래된 것부터 삭제)
+    const {
+        logs,
+        addLog,
+        clearLogs,
+        getAllLogs,
+        isPaused: isLogPaused,
+        hiddenCount: hiddenLogCount,
+        pause: pauseLogs,
+        resume: resumeLogs
+    } = useEventLog({ maxEntries: logRetention });
+
     const {
         login,
         refreshToken,
         logout,
+        expireToken,
         isAuthenticated: authIsAuthenticated,
-        getCurrentUser,
-        getTokenInfo,
-        isLoading: authIsLoading,
-        authError,
+        user: authUser,
+        expiresAt: tokenExpiresAt,
+        timeUntilExpiry: tokenTimeUntilExpiry,
+        lastRefreshedAt: tokenLastRefreshedAt,
+        token: authToken,
+        tokenCredentials,
+        tokenReceivedAt,
+        sessions: authSessions,
+        activeSession,
+        switchSession,
+        removeSession,
+        getSessionHeaders,
+        getSessionToken,
+        loading: authIsLoading,
+        error: authError,
         getCookie,
         validateAuthRequest,
         isTokenExpired
-    } = useAuth(baseUrl);
+    } = useAuth(baseUrl, {
+        autoRefresh: sseSettings.autoRefreshAuth,
+        refreshLeadTime: sseSettings.authRefreshLeadSec * 1000,
+        endpoints: { token: endpoints.authToken, refresh: endpoints.authRefresh },
+        // 만료 전 갱신은 AuthSession이 맡고, 실제로 갱신됐을 때만 연결 중인 스트림을 새 토큰으로 이어받음
+        onRefreshed: ({ reason, remote }) => {
+            addLog(remote ? '🔄 다른 탭에서 토큰을 갱신했습니다' : `✅ 토큰 갱신 완료 (${reason})`, LOG_TYPES.SUCCESS);
+            if (isConnected && activeSession?.mode !== AUTH_MODES.BEARER) restartStream();
+        },
+        onRefreshFailed: (error, reason) => {
+            addLog(`❌ 토큰 갱신 실패 (${reason}): ${error.message}`, LOG_TYPES.ERROR);
+        },
+        onExpired: () => {
+            addLog('⌛ 토큰이 만료되었습니다 - 다시 로그인이 필요합니다', LOG_TYPES.WARNING);
+        },
+        onLoggedOut: ({ remote }) => {
+            if (!remote) return;
+            addLog('👋 다른 탭에서 로그아웃되었습니다 - SSE 연결 종료', LOG_TYPES.WARNING);
+            disconnect();
+        }
+    });
+
+    // 계정별로 마지막 이벤트 ID 저장
+    const currentAccountKey = authIsAuthenticated ? String(authUser?.accountId ?? 'default') : 'anonymous';
 
     const {
         data: sseData,
@@ -72,11 +165,19 @@ const SSEGateway = () => {
         lastEventId,
         replayProgress,
         networkStatus,
+        nextReconnectAt,
+        isLeader,
+        clearPersistedState,
+        pauseReplay,
+        resumeReplay,
+        cancelReplay,
         connect,
         disconnect,
         forceReconnect,
+        restartStream,
         getEventBuffer,
-        getMetrics
+        getMetrics,
+        getTimeSeriesMetrics
     } = useSSE(serverUrl, {
         reconnect: true,
         reconnectInterval: 3000,
@@ -89,14 +190,31 @@ const SSEGateway = () => {
         enableHeartbeat: sseSettings.enableHeartbeat,
         heartbeatInterval: sseSettings.heartbeatInterval,
         enableMetrics: sseSettings.enableMetrics,
+        reconnectDelays: sseSettings.reconnectDelays,
+        transport: sseSettings.transport,
+        connectionMode: sseSettings.connectionMode,
+        channelName: 'sse-gateway-leader',
+        persistence: sseSettings.persistState ? { key: currentAccountKey } : false,
+        reorder: sseSettings.reorderEvents,
+        // bearer 세션은 쿠키 대신 Authorization 헤더로 연결 (재연결마다 세션의 최신 토큰, 쿠키 갱신 대상 아님)
+        auth: activeSession?.mode === AUTH_MODES.BEARER
+            ? { getToken: () => getSessionToken(), type: sseSettings.authTokenType }
+            : undefined,
+        // auth_error 때만 갱신 후 재연결 (만료 전 갱신은 AuthSession 자동 갱신 + 위 onRefreshed, getAuthExpiry는 쓰지 않음)
+        refreshAuth: sseSettings.autoRefreshAuth && activeSession?.mode !== AUTH_MODES.BEARER ? refreshToken : undefined,
 
         // 이벤트 핸들러
         onOpen: (data) => {
-            addLog(`SSE 연결 성공 (연결 #${data.connectionCount})`, LOG_TYPES.SUCCESS);
+            setConnectedSettings(sseSettings);
+            addLog(`SSE 연결 성공 (연결 #${data.connectionCount}, ${data.transport})`, LOG_TYPES.SUCCESS);
             if (data.resumedFromEventId) {
                 addLog(`이벤트 ID ${data.resumedFromEventId}부터 재개`, LOG_TYPES.INFO);
             }
         },
+        // 중복 제거 전 원본 이벤트로 기록해야 중복 수신도 집계됨
+        onRawEvent: (event) => {
+            deliveryTrackerRef.current?.recordReceived({ eventId: extractEventId(event), clientId: mainClientId });
+        },
         onMessage: (data, event) => {
             const preview = typeof data === 'object'
                 ? JSON.stringify(data).substring(0, 100) + '...'
@@ -115,6 +233,21 @@ const SSEGateway = () => {
         onReplayEnd: (data) => {
             addLog(`✅ 이벤트 재전송 완료: ${data.processedEvents.toLocaleString()}개 처리`, LOG_TYPES.SUCCESS);
         },
+        onReplayPause: (progress) => {
+            addLog(`⏸️ 이벤트 재전송 일시정지 (${progress.current.toLocaleString()}개 처리)`, LOG_TYPES.INFO);
+        },
+        onReplayResume: () => {
+            addLog('▶️ 이벤트 재전송 재개', LOG_TYPES.INFO);
+        },
+        onReplayCancel: () => {
+            addLog('⏹️ 이벤트 재전송 취소: 남은 재전송 이벤트는 건너뜁니다', LOG_TYPES.WARNING);
+        },
+        onReplaySuspended: (eventId) => {
+            addLog(`⏸️ 일시정지 대기열 초과로 스트림 중단, 재개 시 ${eventId || '처음'}부터 이어받음`, LOG_TYPES.WARNING);
+        },
+        onReplayAckError: (error, page) => {
+            addLog(`재전송 페이지 ${page.page} 확인 실패: ${error.message}`, LOG_TYPES.ERROR);
+        },
         onReconnectAttempt: (attempt, delay, errorType) => {
             addLog(`🔄 재연결 시도 ${attempt}회 (${errorType}, ${Math.round(delay/1000)}초 후)`, LOG_TYPES.WARNING);
         },
@@ -129,6 +262,16 @@ const SSEGateway = () => {
         },
         onNetworkRestore: (downtime) => {
             addLog(`🌐 네트워크 연결 복구 (다운타임: ${Math.round(downtime/1000)}초)`, LOG_TYPES.SUCCESS);
+        },
+        // 갱신 성공/실패 로그는 useAuth 이벤트에서 남김
+        onAuthRefreshStart: (reason) => {
+            if (reason === 'auth_error') addLog('🔄 인증 오류 - 토큰 자동 갱신 중...', LOG_TYPES.INFO);
+        },
+        onAuthRefreshed: () => {
+            addLog(`🔁 새 토큰으로 ${lastEventId || '처음'}부터 스트림 재개`, LOG_TYPES.INFO);
+        },
+        onLeadershipChange: (leader) => {
+            addLog(leader ? '👑 리더 탭으로 선출 - 이 탭이 SSE 연결을 담당합니다' : '👥 팔로워 탭 - 리더 탭의 이벤트를 수신합니다', LOG_TYPES.INFO);
         }
     });
 
@@ -141,34 +284,28 @@ const SSEGateway = () => {
         getMessageStats
     } = useBroadcastChannel('sse-gateway-channel');
 
-    // 로그 추가
-    const addLog = (message, type = LOG_TYPES.INFO) => {
-        const timestamp = new Date().toLocaleTimeString('ko-KR', {
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            fractionalSecondDigits: 3
+    // 가져온 SSE 원문은 로그에만 표시 (실제 연결의 lastEventId/버퍼에는 섞지 않음)
+    const handleTranscriptImport = (events, fileName) => {
+        addLog(`📥 ${fileName}에서 이벤트 ${events.length.toLocaleString()}개 가져옴`, LOG_TYPES.SUCCESS);
+        events.forEach(event => {
+            const preview = typeof event.data === 'object' ? JSON.stringify(event.data) : String(event.data);
+            addLog(`[가져옴] [${event.type}${event.id ? `#${event.id}` : ''}] ${preview.substring(0, 100)}`, LOG_TYPES.MESSAGE);
         });
-
-        // setLogs(prev => [...prev.slice(-199), {
-        //     id: Date.now() + Math.random(),
-        //     message,
-        //     type,
-        //     timestamp,
-        //     fullTimestamp: new Date().toISOString()
-        // }]);
     };
 
-    // 자동 스크롤
+    // 재연결 카운트다운
+    const [now, setNow] = useState(Date.now());
     useEffect(() => {
-        if (autoScroll && logContainerRef.current) {
-            logContainerRef.current.scrollTop = logContainerRef.current.scrollHeight;
-        }
-    }, [logs, autoScroll]);
+        if (!nextReconnectAt) return;
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timer);
+    }, [nextReconnectAt]);
 
-    // 탭 활성화 감지
+    // 탭 활성화 감지 (리더 모드에서는 숨겨진 리더 탭도 연결을 유지해야 하므로 제외)
     useEffect(() => {
+        if (sseSettings.connectionMode !== CONNECTION_MODES.TAB) return;
+
         const handleVisibilityChange = () => {
             if (document.visibilityState === 'visible') {
                 // 탭이 활성화되면 연결
@@ -191,7 +328,7 @@ const SSEGateway = () => {
 
         document.addEventListener('visibilitychange', handleVisibilityChange);
         return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
-    }, [authIsAuthenticated, isConnected, connect, disconnect]);
+    }, [authIsAuthenticated, isConnected, connect, disconnect, addLog, sseSettings.connectionMode]);
 
     // SSE 데이터 브로드캐스트
     useEffect(() => {
@@ -205,17 +342,30 @@ const SSEGateway = () => {
         }
     }, [sseData, lastEventId, postBroadcastMessage, isBroadcastSupported, isBroadcastConnected]);
 
-    // 토큰 만료 체크
     useEffect(() => {
-        if (!authIsAuthenticated) return;
+        if (!reconnectRequested) return;
+        setReconnectRequested(false);
+        forceReconnect();
+    }, [reconnectRequested, forceReconnect]);
 
-        const tokenInfo = getTokenInfo();
-        if (tokenInfo && tokenInfo.timeUntilExpiry < 300) { // 5분 이내 만료
-            addLog(`⚠️ 토큰이 ${Math.round(tokenInfo.timeUntilExpiry/60)}분 후 만료됩니다`, LOG_TYPES.WARNING);
+    // 이벤트 핸들러들
+    const handleApplySettings = (settings, { reconnect = false } = {}) => {
+        setSseSettings(prev => ({ ...prev, ...settings }));
+        addLog(`⚙️ 고급 설정 적용${reconnect ? ' - 재연결합니다' : ''}`, LOG_TYPES.INFO);
+        if (reconnect) setReconnectRequested(true);
+    };
+
+    // 다른 서버로 바뀌므로 기존 연결은 끊고 전환
+    const handleSelectProfile = (name) => {
+        if (name === activeProfile.name) return;
+        if (isConnected || isConnecting) {
+            disconnect();
+            addLog('✂️ 환경 전환으로 기존 SSE 연결 종료', LOG_TYPES.INFO);
         }
-    }, [authIsAuthenticated, getTokenInfo]);
+        selectProfile(name);
+        addLog(`🌍 환경 프로필 전환: ${name}`, LOG_TYPES.INFO);
+    };
 
-    // 이벤트 핸들러들
     const handleLogin = async (e) => {
         try {
             addLog('🔐 로그인 시도 중...', LOG_TYPES.INFO);
@@ -223,9 +373,13 @@ const SSEGateway = () => {
                 accountId: parseInt(loginForm.accountId, 10),
                 sessionId: loginForm.sessionId,
                 uuid: loginForm.uuid
+            }, {
+                name: loginSessionOptions.name.trim() || undefined,
+                mode: loginSessionOptions.mode
             });
 
-            addLog(`✅ 로그인 성공! (계정: ${loginForm.accountId})`, LOG_TYPES.SUCCESS);
+            addLog(`✅ 로그인 성공! (계정: ${loginForm.accountId}, ${loginSessionOptions.mode})`, LOG_TYPES.SUCCESS);
+            setLoginSessionOptions(prev => ({ ...prev, name: '' }));
             setShowLoginForm(false);
             setLoginForm({ accountId: '', sessionId: '', uuid: '' });
 
@@ -247,6 +401,22 @@ const SSEGateway = () => {
         }
     };
 
+    // 활성 세션을 바꾸면 메인 연결도 새 세션으로 다시 연결
+    const handleSwitchSession = (name) => {
+        try {
+            switchSession(name);
+            addLog(`🔀 세션 전환: ${name}`, LOG_TYPES.INFO);
+            if (isConnected) forceReconnect();
+        } catch (err) {
+            addLog(`❌ 세션 전환 실패: ${err.message}`, LOG_TYPES.ERROR);
+        }
+    };
+
+    const handleRemoveSession = (name) => {
+        removeSession(name);
+        addLog(`🗑 세션 삭제: ${name}`, LOG_TYPES.INFO);
+    };
+
     const handleLogout = () => {
         if (isConnected) {
             disconnect();
@@ -316,25 +486,8 @@ const SSEGateway = () => {
         }
     };
 
-    const formatBytes = (bytes) => {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    };
-
-    const formatDuration = (ms) => {
-        if (ms < 1000) return `${ms}ms`;
-        if (ms < 60000) return `${(ms/1000).toFixed(1)}초`;
-        if (ms < 3600000) return `${Math.floor(ms/60000)}분 ${Math.floor((ms%60000)/1000)}초`;
-        return `${Math.floor(ms/3600000)}시간 ${Math.floor((ms%3600000)/60000)}분`;
-    };
-
 
     const [testClientIdInput, setTestClientIdInput] = useState('');
-    const [testEventSource, setTestEventSource] = useState(null);
-    const [testIsConnected2, setTestIsConnected2] = useState(false);
 
     // subscribe tps
     const [testTpsInput, setTestTpsInput] = useState('5'); // 기본 5TPS
@@ -351,17 +504,146 @@ const SSEGateway = () => {
     // 여러명 /subscribe
     const [testClientIdPrefix, setTestClientIdPrefix] = useState('');
 
-    // 브로드캐스트 SSE 연결 상태 관리
-    const [testEventSources, setTestEventSources] = useState([]); // EventSource 배열
-    const [broadIsConnected, setBroadIsConnected] = useState(false);
-
     // 브로드캐스트 /broadcast 관련 상태
     const [broadcastClientIdPrefix, setBroadcastClientIdPrefix] = useState('test-client-');
     const [broadcastCastTpsInput, setBroadcastCastTpsInput] = useState('5'); // 기본 5TPS
 
-    // 브로드캐스트 SSE 연결 상태 관리
-    const [testEventSourcesLast, setTestEventSourcesLast] = useState([]); // EventSource 배열
-    const [testBroadIsConnected, setTestBroadIsConnected] = useState(false); // 연결 상태
+    // 가상 구독 클라이언트 (수신 이벤트는 로그와 전달 검증에 반영)
+    const subscriberPool = useSubscriberPool({
+        onOpen: client => addLog(`🔗 [${client.clientId}] SSE 연결됨`, LOG_TYPES.SUCCESS),
+        onMessage: (client, e) => {
+            deliveryTrackerRef.current?.recordReceived({ eventId: extractEventId({ id: e.lastEventId, data: e.data }), clientId: client.clientId });
+            addLog(`📩 [${client.clientId}] 메시지 수신: ${e.data}`, LOG_TYPES.MESSAGE);
+        },
+        onError: (client, error) => addLog(`❌ [${client.clientId}] SSE 연결 오류: ${error.message}`, LOG_TYPES.ERROR),
+        onAttach: client => deliveryTrackerRef.current?.observe(client.clientId),
+        onDetach: client => deliveryTrackerRef.current?.unobserve(client.clientId)
+    });
+
+    // 같은 clientId의 기존 풀 연결은 제거하고 새로 연결 (session: 묶을 세션 이름, 없으면 활성 세션)
+    const openSubscribers = ({ clientIds, lastEventId, staggerMs, session }) => {
+        const targets = new Set(clientIds);
+        const existing = subscriberPool.getClients().filter(client => targets.has(client.clientId));
+        if (existing.length > 0) {
+            existing.forEach(client => subscriberPool.kill(client.id));
+            addLog(`✂️ 기존 SSE 연결 ${existing.length}개 종료`, LOG_TYPES.INFO);
+        }
+        const sessionName = session || activeSession?.name || null;
+        subscriberPool.open({
+            baseUrl,
+            subscribePath: endpoints.subscribe,
+            clientIds,
+            lastEventId,
+            staggerMs,
+            session: sessionName,
+            headers: getSessionHeaders(sessionName)
+        });
+    };
+
+    const handlePoolOpen = ({ prefix, count, lastEventId, staggerMs, session }) => {
+        if (!prefix.trim() || !count || count <= 0) {
+            addLog('❌ Client ID Prefix와 클라이언트 수를 확인하세요', LOG_TYPES.WARNING);
+            return;
+        }
+        addLog(`👥 구독 클라이언트 ${count}개 연결 (${prefix}1 ~ ${prefix}${count})`, LOG_TYPES.INFO);
+        openSubscribers({
+            clientIds: Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`),
+            lastEventId,
+            staggerMs,
+            session
+        });
+    };
+
+    // TPS 시나리오 공통 부하 테스트 설정 (초 단위 입력)
+    const [loadTestSettings, setLoadTestSettings] = useState({
+        durationSec: '10',
+        rampUpSec: '0',
+        maxConcurrency: String(LOAD_TEST_CONFIG.MAX_CONCURRENCY),
+        session: ''
+    });
+    const loadTest = useLoadTest();
+
+    // 메인 연결도 수신 대상 (연결되어 있는 동안만)
+    useEffect(() => {
+        if (!deliveryTracker || !isConnected) return;
+        deliveryTracker.observe(mainClientId);
+        return () => deliveryTracker.unobserve(mainClientId);
+    }, [deliveryTracker, isConnected, mainClientId]);
+
+    const toggleDeliveryVerification = (enabled) => {
+        const tracker = enabled ? createDeliveryTracker() : null;
+        tracker && subscriberPool.getActiveClients().forEach(client => tracker.observe(client.clientId));
+        deliveryTrackerRef.current = tracker;
+        setDeliveryTracker(tracker);
+        addLog(enabled ? '📬 /cast 전달 검증 시작' : '📬 /cast 전달 검증 종료', LOG_TYPES.INFO);
+    };
+
+    // 시나리오 실행마다 전달 검증을 새로 시작 (assertDelivery는 이번 실행의 발송만 대조)
+    const scenarioRunner = useScenarioRunner();
+    const createScenarioRunActions = () => {
+        toggleDeliveryVerification(true);
+        return createScenarioActions({
+            baseUrl,
+            subscribePath: endpoints.subscribe,
+            castPath: endpoints.cast,
+            pool: subscriberPool,
+            loadTest,
+            login,
+            expireToken,
+            getSessionHeaders,
+            getDeliveryTracker: () => deliveryTrackerRef.current,
+            addLog
+        });
+    };
+
+    // 테스트 요청을 보낼 세션의 인증 헤더 (선택하지 않으면 활성 세션)
+    const getTestHeaders = () => getSessionHeaders(loadTestSettings.session || undefined);
+
+    // 전달 검증이 켜져 있으면 /cast eventId를 기록
+    const getDeliveryCallbacks = () => ({
+        onSend: cast => deliveryTrackerRef.current?.recordSent(cast),
+        onSendFailed: eventId => deliveryTrackerRef.current?.recordSendFailed(eventId)
+    });
+
+    const runLoadTest = async (name, tpsInput, createRequest) => {
+        const tps = parseInt(tpsInput, 10);
+        const durationSec = parseFloat(loadTestSettings.durationSec);
+        const rampUpSec = parseFloat(loadTestSettings.rampUpSec) || 0;
+        const maxConcurrency = parseInt(loadTestSettings.maxConcurrency, 10);
+        if (!tps || tps <= 0) {
+            addLog('❌ 올바른 TPS 값을 입력하세요', LOG_TYPES.WARNING);
+            return;
+        }
+        if (!durationSec || durationSec <= 0 || !maxConcurrency || maxConcurrency <= 0) {
+            addLog('❌ 테스트 시간과 동시 요청 수를 확인하세요', LOG_TYPES.WARNING);
+            return;
+        }
+        if (loadTest.isRunning) {
+            addLog('⚠️ 이미 부하 테스트가 실행 중입니다', LOG_TYPES.WARNING);
+            return;
+        }
+
+        addLog(`⚡ ${name} 시작: ${tps} TPS, ${durationSec}초 (램프업 ${rampUpSec}초, 동시 ${maxConcurrency})`, LOG_TYPES.INFO);
+        try {
+            const summary = await loadTest.start(name, {
+                request: createRequest(),
+                targetRps: tps,
+                durationMs: durationSec * 1000,
+                rampUpMs: rampUpSec * 1000,
+                maxConcurrency
+            });
+            if (!summary) return;
+            const errors = Object.entries(summary.errors).map(([key, count]) => `${key} ${count}`).join(', ');
+            addLog(
+                `📈 ${name} ${summary.stopped ? '중단' : '완료'}: 성공 ${summary.succeeded}/${summary.sent}, ` +
+                `${summary.achievedTps.toFixed(1)} TPS, p95 ${summary.latency.p95 ?? '-'}ms` +
+                (errors ? ` (오류: ${errors})` : ''),
+                summary.failed > 0 ? LOG_TYPES.WARNING : LOG_TYPES.SUCCESS
+            );
+        } catch (error) {
+            addLog(`❌ ${name} 실패: ${error.message}`, LOG_TYPES.ERROR);
+        }
+    };
 
 
     return (
@@ -369,6 +651,19 @@ const SSEGateway = () => {
             <header className="gateway-header">
                 <h1>🚀 SSE Gateway Dashboard</h1>
                 <div className="header-status">
+                    <select
+                        className="profile-select"
+                        value={activeProfile.name}
+                        onChange={e => handleSelectProfile(e.target.value)}
+                        title={serverUrl}
+                    >
+                        {profiles.map(profile => (
+                            <option key={profile.name} value={profile.name}>🌍 {profile.name}</option>
+                        ))}
+                    </select>
+                    <button className="btn small gray" onClick={() => setShowProfileEditor(prev => !prev)}>
+                        {showProfileEditor ? '프로필 편집 닫기' : '✏️ 프로필 편집'}
+                    </button>
           <span className={`status-badge ${networkStatus.isOnline ? 'online' : 'offline'}`}>
             {networkStatus.isOnline ? '🌐 온라인' : '🌐 오프라인'}
           </span>
@@ -378,11 +673,83 @@ const SSEGateway = () => {
                     <span className={`status-badge connection-${connectionState}`}>
             {getConnectionStateIcon()} {getConnectionStateText()}
           </span>
+                    {sseSettings.connectionMode === CONNECTION_MODES.LEADER && (
+                        <span className="status-badge">
+            {isLeader ? '👑 리더 탭' : '👥 팔로워 탭'}
+          </span>
+                    )}
                 </div>
             </header>
 
+            {showProfileEditor && (
+                <EnvironmentProfilePanel
+                    profiles={profiles}
+                    activeProfile={activeProfile}
+                    onSave={saveProfile}
+                    onRemove={removeProfile}
+                    onImport={importProfiles}
+                    onExport={exportProfiles}
+                    onLog={addLog}
+                />
+            )}
+
             {/* ------------------- 시나리오 박스 ------------------- */}
             <section className="sse-section scenario-box">
+                {/* TPS 시나리오 공통 부하 테스트 설정 */}
+                <div className="load-test-settings">
+                    <label>
+                        테스트 시간(초):
+                        <input
+                            type="number"
+                            min="1"
+                            value={loadTestSettings.durationSec}
+                            onChange={e => setLoadTestSettings(prev => ({ ...prev, durationSec: e.target.value }))}
+                            disabled={loadTest.isRunning}
+                        />
+                    </label>
+                    <label>
+                        램프업(초):
+                        <input
+                            type="number"
+                            min="0"
+                            value={loadTestSettings.rampUpSec}
+                            onChange={e => setLoadTestSettings(prev => ({ ...prev, rampUpSec: e.target.value }))}
+                            disabled={loadTest.isRunning}
+                        />
+                    </label>
+                    <label>
+                        최대 동시 요청:
+                        <input
+                            type="number"
+                            min="1"
+                            value={loadTestSettings.maxConcurrency}
+                            onChange={e => setLoadTestSettings(prev => ({ ...prev, maxConcurrency: e.target.value }))}
+                            disabled={loadTest.isRunning}
+                        />
+                    </label>
+                    <label title="테스트 요청과 구독 클라이언트가 사용할 인증 세션">
+                        테스트 세션:
+                        <select
+                            value={loadTestSettings.session}
+                            onChange={e => setLoadTestSettings(prev => ({ ...prev, session: e.target.value }))}
+                            disabled={loadTest.isRunning}
+                        >
+                            <option value="">활성 세션{activeSession ? ` (${activeSession.name})` : ''}</option>
+                            {authSessions.map(session => (
+                                <option key={session.name} value={session.name}>{session.name} ({session.mode})</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label title="보낸 eventId를 메인 연결과 테스트 EventSource의 수신 이벤트와 대조합니다">
+                        <input
+                            type="checkbox"
+                            checked={deliveryTracker !== null}
+                            onChange={e => toggleDeliveryVerification(e.target.checked)}
+                        />
+                        /cast 전달 검증
+                    </label>
+                </div>
+
                 <section className="sse-section scenario-box">
                     {/* /subscribe TPS 테스트 (입력 기반) */}
                     <div className="scenario-item">
@@ -405,41 +772,25 @@ const SSEGateway = () => {
                             />
                             <button
                                 className="btn green"
+                                disabled={loadTest.isRunning}
                                 onClick={() => {
-                                    const tps = parseInt(testTpsInput, 10);
-                                    if (!tps || tps <= 0) {
-                                        addLog('❌ 올바른 TPS 값을 입력하세요', LOG_TYPES.WARNING);
-                                        return;
-                                    }
                                     if (!unicastClientId.trim()) {
                                         addLog('❌ Client ID를 입력하세요', LOG_TYPES.WARNING);
                                         return;
                                     }
 
-                                    addLog(`⚡ /subscribe TPS 테스트 시작: ${tps} TPS, Client ID: ${unicastClientId}`, LOG_TYPES.INFO);
-
-                                    if (testIsConnected2) {
+                                    if (subscriberPool.getActiveClients().some(client => client.clientId === unicastClientId)) {
                                         addLog('✂️ 기존 SSE 연결 종료', LOG_TYPES.INFO);
                                         disconnect();
                                     }
 
-                                    const delay = 1000 / tps;
-                                    for (let i = 0; i < tps; i++) {
-                                        setTimeout(async () => {
-                                            try {
-                                                await fetch(
-                                                    `${baseUrl}/sse/api/subscribe?clientId=${encodeURIComponent(unicastClientId)}`,
-                                                    {
-                                                        method: 'GET',
-                                                        credentials: 'include',
-                                                        headers: { 'Last-Event-ID': unicastLastEventIdInput }
-                                                    }
-                                                );
-                                            } catch (err) {
-                                                addLog(`❌ /subscribe 호출 오류: ${err.message}`, LOG_TYPES.ERROR);
-                                            }
-                                        }, i * delay);
-                                    }
+                                    runLoadTest(`유니캐스트 /subscribe (${unicastClientId})`, testTpsInput, () => createSubscribeRequest({
+                                        baseUrl,
+                                        subscribePath: endpoints.subscribe,
+                                        getClientId: () => unicastClientId,
+                                        lastEventId: unicastLastEventIdInput,
+                                        headers: getTestHeaders()
+                                    }));
                                 }}
                             >
                                 시작
@@ -468,39 +819,21 @@ const SSEGateway = () => {
                             />
                             <button
                                 className="btn orange"
+                                disabled={loadTest.isRunning}
                                 onClick={() => {
-                                    const tps = parseInt(testCastTpsInput, 10);
-                                    if (!tps || tps <= 0) {
-                                        addLog('❌ 올바른 TPS 값을 입력하세요', LOG_TYPES.WARNING);
-                                        return;
-                                    }
                                     if (!unicastClientId.trim()) {
                                         addLog('❌ Client ID를 입력하세요', LOG_TYPES.WARNING);
                                         return;
                                     }
 
-                                    addLog(`⚡ /cast unicast TPS 테스트 시작: ${tps} TPS, Client ID: ${unicastClientId}`, LOG_TYPES.INFO);
-                                    const delay = 1000 / tps;
-
-                                    for (let i = 0; i < tps; i++) {
-                                        setTimeout(async () => {
-                                            try {
-                                                await fetch(`${baseUrl}/sse/api/cast`, {
-                                                    method: 'POST',
-                                                    headers: { 'Content-Type': 'application/json' },
-                                                    credentials: 'include',
-                                                    body: JSON.stringify({
-                                                        clientId: unicastClientId,
-                                                        eventId: `epoch-${Date.now()}-${i}`,
-                                                        message: `테스트 메시지 ${i + 1}`,
-                                                        sendType: 'unicast'
-                                                    })
-                                                });
-                                            } catch (err) {
-                                                addLog(`❌ /cast 호출 오류: ${err.message}`, LOG_TYPES.ERROR);
-                                            }
-                                        }, i * delay);
-                                    }
+                                    runLoadTest(`유니캐스트 /cast (${unicastClientId})`, testCastTpsInput, () => createCastRequest({
+                                        baseUrl,
+                                        castPath: endpoints.cast,
+                                        getClientId: () => unicastClientId,
+                                        sendType: 'unicast',
+                                        headers: getTestHeaders(),
+                                        ...getDeliveryCallbacks()
+                                    }));
                                 }}
                             >
                                 시작
@@ -529,30 +862,7 @@ const SSEGateway = () => {
                             <button
                                 className="btn red"
                                 onClick={() => {
-                                    // SSE 연결
-                                    const eventSource = new EventSourcePolyfill(
-                                        `${baseUrl}/sse/api/subscribe?clientId=${encodeURIComponent(unicastClientId)}`,
-                                        {
-                                            headers: {
-                                                'Last-Event-ID': unicastLastEventIdInput
-                                            },
-                                            withCredentials: true
-                                        }
-                                    );
-
-                                    setTestEventSource(eventSource);
-                                    setTestIsConnected2(true);
-
-                                    eventSource.onmessage = e => {
-                                        addLog(`📩 메시지 수신 (Client ID=${unicastClientId}): ${e.data}`, LOG_TYPES.MESSAGE);
-                                    };
-
-                                    eventSource.onerror = e => {
-                                        addLog(`❌ SSE 연결 오류 (Client ID=${unicastClientId})`, LOG_TYPES.ERROR);
-                                        eventSource.close();
-                                        setTestIsConnected2(false);
-                                    };
-
+                                    openSubscribers({ clientIds: [unicastClientId], lastEventId: unicastLastEventIdInput, session: loadTestSettings.session });
                                     addLog(`🔄 Last-Event-ID: ${unicastLastEventIdInput}로 ${unicastClientId} 재연결 시도`, LOG_TYPES.INFO);
                                 }}
                             >
@@ -587,24 +897,19 @@ const SSEGateway = () => {
                         />
                         <button
                             className="btn green"
+                            disabled={loadTest.isRunning}
                             onClick={() => {
-                                const tps = parseInt(testTpsInput, 10);
-                                const delay = 1000 / tps;
-                                for (let i = 0; i < tps; i++) {
-                                    setTimeout(async () => {
-                                        try {
-                                            await fetch(
-                                                `${baseUrl}/sse/api/subscribe?clientId=${broadcastClientIdPrefix}${i + 1}`,
-                                                {
-                                                    method: 'GET',
-                                                    credentials: 'include',
-                                                }
-                                            );
-                                        } catch (err) {
-                                            addLog(`❌ /subscribe 호출 오류: ${err.message}`, LOG_TYPES.ERROR);
-                                        }
-                                    }, i * delay);
+                                if (!broadcastClientIdPrefix.trim()) {
+                                    addLog('❌ Client ID Prefix를 입력하세요', LOG_TYPES.WARNING);
+                                    return;
                                 }
+
+                                runLoadTest(`여러명 /subscribe (${broadcastClientIdPrefix}*)`, testTpsInput, () => createSubscribeRequest({
+                                    baseUrl,
+                                    subscribePath: endpoints.subscribe,
+                                    getClientId: index => `${broadcastClientIdPrefix}${index + 1}`,
+                                    headers: getTestHeaders()
+                                }));
                             }}
                         >
                             시작
@@ -633,40 +938,21 @@ const SSEGateway = () => {
                             />
                             <button
                                 className="btn orange"
+                                disabled={loadTest.isRunning}
                                 onClick={() => {
-                                    const tps = parseInt(broadcastCastTpsInput, 10);
-                                    if (!tps || tps <= 0) {
-                                        addLog('❌ 올바른 TPS 값을 입력하세요', LOG_TYPES.WARNING);
-                                        return;
-                                    }
                                     if (!broadcastClientIdPrefix.trim()) {
                                         addLog('❌ Client ID Prefix를 입력하세요', LOG_TYPES.WARNING);
                                         return;
                                     }
 
-                                    addLog(`⚡ Broadcast /cast TPS 테스트 시작: ${tps} TPS, Prefix: ${broadcastClientIdPrefix}`, LOG_TYPES.INFO);
-                                    const delay = 1000 / tps;
-
-                                    for (let i = 0; i < tps; i++) {
-                                        setTimeout(async () => {
-                                            const clientId = `${broadcastClientIdPrefix}${i + 1}`; // 각 clientId 생성
-                                            try {
-                                                await fetch(`${baseUrl}/sse/api/cast`, {
-                                                    method: 'POST',
-                                                    headers: { 'Content-Type': 'application/json' },
-                                                    credentials: 'include',
-                                                    body: JSON.stringify({
-                                                        clientId, // broadcast clientId
-                                                        eventId: `epoch-${Date.now()}-${i}`,
-                                                        message: `테스트 메시지 ${i + 1}`,
-                                                        sendType: 'broadcast'
-                                                    })
-                                                });
-                                            } catch (err) {
-                                                addLog(`❌ /cast 호출 오류 (Client ID=${clientId}): ${err.message}`, LOG_TYPES.ERROR);
-                                            }
-                                        }, i * delay);
-                                    }
+                                    runLoadTest(`브로드캐스트 /cast (${broadcastClientIdPrefix}*)`, broadcastCastTpsInput, () => createCastRequest({
+                                        baseUrl,
+                                        castPath: endpoints.cast,
+                                        getClientId: index => `${broadcastClientIdPrefix}${index + 1}`,
+                                        sendType: 'broadcast',
+                                        headers: getTestHeaders(),
+                                        ...getDeliveryCallbacks()
+                                    }));
                                 }}
                             >
                                 시작
@@ -704,43 +990,12 @@ const SSEGateway = () => {
                                     }
 
                                     addLog('📥 브로드캐스트 Last-Event-ID 재연결 테스트 시작', LOG_TYPES.INFO);
-
-                                    // 기존 SSE 연결 종료
-                                    if (testEventSources.length > 0) {
-                                        testEventSourcesLast.forEach(es => es.close());
-                                        setTestEventSourcesLast([]);
-                                        setTestBroadIsConnected(false);
-                                        addLog('✂️ 기존 SSE 연결 종료', LOG_TYPES.INFO);
-                                    }
-
-                                    const delay = 1000 / tps;
-                                    const newEventSources = [];
-
-                                    for (let i = 0; i < tps; i++) {
-                                        setTimeout(() => {
-                                            const clientId = `${broadcastClientIdPrefix}${i + 1}`;
-                                            const es = new EventSourcePolyfill(
-                                                `${baseUrl}/sse/api/subscribe?clientId=${encodeURIComponent(clientId)}`,
-                                                {
-                                                    headers: {
-                                                        'Last-Event-ID': broadcastLastEventIdInput
-                                                    },
-                                                    withCredentials: true
-                                                }
-                                            );
-
-                                            es.onmessage = e => addLog(`📩 [${clientId}] 메시지 수신: ${e.data}`, LOG_TYPES.MESSAGE);
-                                            es.onerror = () => {
-                                                addLog(`❌ [${clientId}] SSE 연결 오류`, LOG_TYPES.ERROR);
-                                                es.close();
-                                            };
-
-                                            newEventSources.push(es);
-                                        }, i * delay);
-                                    }
-
-                                    setTestEventSourcesLast(newEventSources);
-                                    setTestBroadIsConnected(true);
+                                    openSubscribers({
+                                        clientIds: Array.from({ length: tps }, (_, i) => `${broadcastClientIdPrefix}${i + 1}`),
+                                        lastEventId: broadcastLastEventIdInput,
+                                        staggerMs: 1000 / tps,
+                                        session: loadTestSettings.session
+                                    });
                                 }}
                             >
                                 🔁 재연결
@@ -750,6 +1005,28 @@ const SSEGateway = () => {
                 </section>
             </section>
 
+            <ScenarioPanel
+                runner={scenarioRunner}
+                createActions={createScenarioRunActions}
+                onLog={addLog}
+            />
+
+            <LoadTestPanel
+                name={loadTest.name}
+                stats={loadTest.stats}
+                isRunning={loadTest.isRunning}
+                onStop={loadTest.stop}
+            />
+
+            <SubscriberPoolPanel
+                pool={subscriberPool}
+                sessions={authSessions}
+                defaultPrefix={broadcastClientIdPrefix}
+                onOpen={handlePoolOpen}
+            />
+
+            {deliveryTracker && <DeliveryPanel tracker={deliveryTracker} />}
+
 
             {/* 인증 섹션 */}
             <section className={`sse-section auth-status ${authIsAuthenticated ? 'authenticated' : 'unauthenticated'}`}>
@@ -759,14 +1036,17 @@ const SSEGateway = () => {
 
                     {authIsAuthenticated && (
                         <>
-                            <p><strong>사용자:</strong> {getCurrentUser?.sub || getCurrentUser?.accountId || 'Unknown'}</p>
-                            <p><strong>계정 ID:</strong> {getCurrentUser?.accountId}</p>
+                            <p><strong>사용자:</strong> {authUser?.sub || authUser?.accountId || 'Unknown'}</p>
+                            <p><strong>계정 ID:</strong> {authUser?.accountId}</p>
 
-                            {getTokenInfo() && (
+                            {tokenExpiresAt && (
                                 <>
-                                    <p><strong>토큰 만료:</strong> {getTokenInfo().expiresAt.toLocaleString('ko-KR')}</p>
-                                    <p><strong>만료까지:</strong> {formatDuration(getTokenInfo().timeUntilExpiry * 1000)}</p>
-                                    {getTokenInfo().timeUntilExpiry < 300 && (
+                                    <p><strong>토큰 만료:</strong> {new Date(tokenExpiresAt).toLocaleString('ko-KR')}</p>
+                                    <p><strong>만료까지:</strong> {formatDuration(tokenTimeUntilExpiry * 1000)}</p>
+                                    {tokenLastRefreshedAt && (
+                                        <p><strong>마지막 갱신:</strong> {new Date(tokenLastRefreshedAt).toLocaleTimeString('ko-KR')}</p>
+                                    )}
+                                    {tokenTimeUntilExpiry < 300 && (
                                         <p className="token-warning">⚠️ 토큰이 곧 만료됩니다!</p>
                                     )}
                                 </>
@@ -819,6 +1099,29 @@ const SSEGateway = () => {
                                     required
                                 />
                             </label>
+
+                            <label>
+                                세션 이름:
+                                <input
+                                    type="text"
+                                    value={loginSessionOptions.name}
+                                    onChange={e => setLoginSessionOptions(prev => ({ ...prev, name: e.target.value }))}
+                                    disabled={authIsLoading}
+                                    placeholder={loginForm.accountId ? `account-${loginForm.accountId}` : 'account-계정ID'}
+                                />
+                            </label>
+
+                            <label>
+                                인증 방식:
+                                <select
+                                    value={loginSessionOptions.mode}
+                                    onChange={e => setLoginSessionOptions(prev => ({ ...prev, mode: e.target.value }))}
+                                    disabled={authIsLoading}
+                                >
+                                    <option value={AUTH_MODES.COOKIE}>쿠키 (access_token)</option>
+                                    <option value={AUTH_MODES.BEARER}>Bearer 헤더 (쿠키 유지)</option>
+                                </select>
+                            </label>
                         </div>
 
                         <div className="button-group">
@@ -844,8 +1147,53 @@ const SSEGateway = () => {
                         <button className="btn info" onClick={() => setShowLoginForm(true)}>
                             👤 다시 로그인
                         </button>
+                        <button className="btn gray" onClick={() => setShowJwtInspector(prev => !prev)}>
+                            {showJwtInspector ? '🔍 JWT 검사 닫기' : '🔍 JWT 검사'}
+                        </button>
                     </div>
                 )}
+                {showJwtInspector && (
+                    <JwtInspector token={authToken} expected={tokenCredentials} receivedAt={tokenReceivedAt} />
+                )}
+                <SessionSwitcher
+                    sessions={authSessions}
+                    activeName={activeSession?.name ?? null}
+                    onSwitch={handleSwitchSession}
+                    onRemove={handleRemoveSession}
+                />
+                <div className="auth-refresh-settings">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={sseSettings.autoRefreshAuth}
+                            onChange={e => setSseSettings(prev => ({ ...prev, autoRefreshAuth: e.target.checked }))}
+                        />
+                        토큰 자동 갱신
+                    </label>
+                    <label style={{ marginLeft: '8px' }}>
+                        만료
+                        <input
+                            type="number"
+                            min="0"
+                            value={sseSettings.authRefreshLeadSec}
+                            onChange={e => setSseSettings(prev => ({ ...prev, authRefreshLeadSec: Math.max(parseInt(e.target.value, 10) || 0, 0) }))}
+                            disabled={!sseSettings.autoRefreshAuth}
+                            style={{ margin: '0 4px', padding: '4px', width: '70px' }}
+                        />
+                        초 전에 갱신
+                    </label>
+                    <label style={{ marginLeft: '8px' }} title="bearer 세션의 토큰을 SSE 연결에 싣는 방식 (native EventSource는 헤더를 보낼 수 없음)">
+                        Bearer 토큰 전달:
+                        <select
+                            value={sseSettings.authTokenType}
+                            onChange={e => setSseSettings(prev => ({ ...prev, authTokenType: e.target.value }))}
+                            style={{ marginLeft: '4px', padding: '4px' }}
+                        >
+                            <option value={AUTH_TOKEN_TYPES.HEADER}>Authorization 헤더</option>
+                            <option value={AUTH_TOKEN_TYPES.QUERY}>쿼리 (access_token)</option>
+                        </select>
+                    </label>
+                </div>
             </section>
 
             {/* SSE 연결 상태 */}
@@ -854,6 +1202,35 @@ const SSEGateway = () => {
                 <div className="connection-info">
                     <p><strong>상태:</strong> {getConnectionStateIcon()} {getConnectionStateText()}</p>
                     <p><strong>서버:</strong> {serverUrl}</p>
+                    <div className="transport-select">
+                        <label htmlFor="transportSelect"><strong>트랜스포트:</strong></label>
+                        <select
+                            id="transportSelect"
+                            value={sseSettings.transport}
+                            onChange={e => setSseSettings(prev => ({ ...prev, transport: e.target.value }))}
+                            disabled={isConnecting || isConnected}
+                            style={{ marginLeft: '8px', padding: '4px' }}
+                        >
+                            <option value={TRANSPORT_TYPES.FETCH}>fetch stream</option>
+                            <option value={TRANSPORT_TYPES.EVENT_SOURCE}>EventSource (native)</option>
+                            <option value={TRANSPORT_TYPES.POLYFILL}>EventSourcePolyfill</option>
+                            <option value={TRANSPORT_TYPES.LONG_POLLING}>long-polling</option>
+                        </select>
+                    </div>
+                    <div className="connection-mode-select">
+                        <label htmlFor="connectionModeSelect"><strong>연결 모드:</strong></label>
+                        <select
+                            id="connectionModeSelect"
+                            value={sseSettings.connectionMode}
+                            onChange={e => setSseSettings(prev => ({ ...prev, connectionMode: e.target.value }))}
+                            disabled={isConnecting || isConnected}
+                            style={{ marginLeft: '8px', padding: '4px' }}
+                        >
+                            <option value={CONNECTION_MODES.TAB}>탭마다 연결</option>
+                            <option value={CONNECTION_MODES.LEADER}>리더 탭 공유</option>
+                            <option value={CONNECTION_MODES.SHARED_WORKER}>SharedWorker 공유</option>
+                        </select>
+                    </div>
                     <p><strong>연결 횟수:</strong> {connectionCount.toLocaleString()}</p>
                     <div className="last-event-id-input">
                         <label htmlFor="lastEventIdInput"><strong>Last Event ID:</strong></label>
@@ -862,33 +1239,49 @@ const SSEGateway = () => {
                             type="text"
                             value={lastEventIdInput}
                             onChange={e => setLastEventIdInput(e.target.value)}
-                            placeholder="Last-Event-ID"
+                            placeholder={lastEventId ? `자동 재개: ${lastEventId}` : 'Last-Event-ID'}
                             style={{ marginLeft: '8px', padding: '4px', width: '200px' }}
                         />
+                        <label style={{ marginLeft: '8px' }}>
+                            <input
+                                type="checkbox"
+                                checked={sseSettings.persistState}
+                                onChange={e => setSseSettings(prev => ({ ...prev, persistState: e.target.checked }))}
+                            />
+                            새로고침 후 이어받기
+                        </label>
+                        <label style={{ marginLeft: '8px' }}>
+                            <input
+                                type="checkbox"
+                                checked={sseSettings.reorderEvents}
+                                onChange={e => setSseSettings(prev => ({ ...prev, reorderEvents: e.target.checked }))}
+                            />
+                            재전송 순서 보정
+                        </label>
+                        <button
+                            className="btn gray"
+                            onClick={async () => {
+                                await clearPersistedState();
+                                addLog('🗑️ 저장된 Last-Event-ID와 이벤트 버퍼 삭제', LOG_TYPES.INFO);
+                            }}
+                            disabled={isConnected}
+                            style={{ marginLeft: '8px' }}
+                        >
+                            저장 초기화
+                        </button>
                     </div>
                     <p><strong>네트워크:</strong> {networkStatus.isOnline ? '🟢 온라인' : '🔴 오프라인'}</p>
+                    {isReconnecting && nextReconnectAt && (
+                        <p><strong>다음 재연결:</strong> {formatDuration(Math.max(0, Math.ceil((nextReconnectAt - now) / 1000)) * 1000)} 후</p>
+                    )}
 
                     {/* 재전송 진행 상황 */}
-                    {replayProgress.isReplaying && (
-                        <div className="replay-progress">
-                            <p><strong>📥 이벤트 재전송 진행:</strong></p>
-                            <div className="progress-container">
-                                <div className="progress-bar">
-                                    <div
-                                        className="progress-fill"
-                                        style={{ width: `${(replayProgress.current / replayProgress.total) * 100}%` }}
-                                    ></div>
-                                </div>
-                                <div className="progress-info">
-                                    <span>{replayProgress.current.toLocaleString()} / {replayProgress.total.toLocaleString()}</span>
-                                    <span>{Math.round((replayProgress.current / replayProgress.total) * 100)}%</span>
-                                    {replayProgress.estimatedTimeRemaining && (
-                                        <span>남은 시간: {formatDuration(replayProgress.estimatedTimeRemaining)}</span>
-                                    )}
-                                </div>
-                            </div>
-                        </div>
-                    )}
+                    <ReplayPanel
+                        progress={replayProgress}
+                        onPause={pauseReplay}
+                        onResume={resumeReplay}
+                        onCancel={cancelReplay}
+                    />
 
                     {error && <p className="error-message">⚠️ <strong>오류:</strong> {error}</p>}
                 </div>
@@ -911,8 +1304,62 @@ const SSEGateway = () => {
                     <button className="btn blue" onClick={forceReconnect}>
                         🔄 강제 재연결
                     </button>
+                    <button className="btn gray" onClick={() => setShowEventBuffer(prev => !prev)}>
+                        🧾 이벤트 버퍼 {showEventBuffer ? '닫기' : '보기'}
+                    </button>
+                    <button className="btn gray" onClick={() => setShowMetrics(prev => !prev)}>
+                        📊 메트릭 {showMetrics ? '닫기' : '보기'}
+                    </button>
+                    <button className="btn gray" onClick={() => setShowAdvancedSettings(prev => !prev)}>
+                        ⚙️ 고급 설정 {showAdvancedSettings ? '닫기' : '열기'}
+                    </button>
                 </div>
+                {showAdvancedSettings && (
+                    <AdvancedSettingsPanel
+                        settings={sseSettings}
+                        appliedSettings={connectedSettings}
+                        isConnected={isConnected}
+                        onApply={settings => handleApplySettings(settings)}
+                        onApplyAndReconnect={settings => handleApplySettings(settings, { reconnect: true })}
+                    />
+                )}
             </section>
+
+            {/* 메트릭 대시보드 */}
+            {showMetrics && (
+                <MetricsDashboard getMetrics={getMetrics} getTimeSeriesMetrics={getTimeSeriesMetrics} />
+            )}
+
+            {/* 이벤트 버퍼 검사기 */}
+            {showEventBuffer && (
+                <EventBufferInspector
+                    url={serverUrl}
+                    getEventBuffer={getEventBuffer}
+                    onCopy={(message, error) => addLog(message, error ? LOG_TYPES.ERROR : LOG_TYPES.SUCCESS)}
+                />
+            )}
+
+            {/* 이벤트 로그 */}
+            <LogPanel
+                logs={logs}
+                isPaused={isLogPaused}
+                hiddenCount={hiddenLogCount}
+                onPause={pauseLogs}
+                onResume={resumeLogs}
+                onClear={clearLogs}
+                maxEntries={logRetention}
+                onMaxEntriesChange={setLogRetention}
+            />
+
+            {/* 내보내기 */}
+            <ExportPanel
+                url={serverUrl}
+                getLogs={getAllLogs}
+                getEventBuffer={getEventBuffer}
+                getMetrics={getMetrics}
+                onImport={handleTranscriptImport}
+                onError={(message) => addLog(message, LOG_TYPES.ERROR)}
+            />
         </div>
     );
 };
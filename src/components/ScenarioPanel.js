@@ -0,0 +1,192 @@
+// src/components/ScenarioPanel.js
+// JSON 시나리오 편집/저장/불러오기와 단계별 실행 결과
+import React, { useState, useEffect } from 'react';
+import { parseScenario, serializeScenario, STEP_STATUSES } from '../loadtest/scenarioRunner';
+import { DEFAULT_SCENARIOS } from '../loadtest/defaultScenarios';
+import { createLocalStorage } from '../core/persistence';
+import { downloadFile } from '../utils/exporters';
+import { formatDuration } from '../utils/formatters';
+import { LOG_TYPES } from '../utils/constants';
+
+const storage = createLocalStorage('sse-scenarios:');
+const STORAGE_KEY = 'saved';
+
+const STATUS_ICONS = {
+    [STEP_STATUSES.PENDING]: '⏳',
+    [STEP_STATUSES.RUNNING]: '▶️',
+    [STEP_STATUSES.PASSED]: '✅',
+    [STEP_STATUSES.FAILED]: '❌',
+    [STEP_STATUSES.SKIPPED]: '⏭️'
+};
+
+const ScenarioPanel = ({ runner, createActions, onLog }) => {
+    const [savedScenarios, setSavedScenarios] = useState([]);
+    const [text, setText] = useState(() => serializeScenario(DEFAULT_SCENARIOS[0]));
+    const [parseError, setParseError] = useState(null);
+    const { report, isRunning } = runner;
+
+    useEffect(() => {
+        storage.get(STORAGE_KEY)
+            .then(saved => setSavedScenarios(saved || []))
+            .catch(error => onLog(`저장된 시나리오를 읽지 못했습니다: ${error.message}`, LOG_TYPES.ERROR));
+    }, [onLog]);
+
+    const allScenarios = [...DEFAULT_SCENARIOS, ...savedScenarios];
+
+    // 편집기 내용 파싱 (오류는 편집기 아래에 표시)
+    const readScenario = () => {
+        try {
+            const scenario = parseScenario(text);
+            setParseError(null);
+            return scenario;
+        } catch (error) {
+            setParseError(error.message);
+            return null;
+        }
+    };
+
+    const persist = (scenarios) => {
+        setSavedScenarios(scenarios);
+        storage.set(STORAGE_KEY, scenarios)
+            .catch(error => onLog(`시나리오 저장 실패: ${error.message}`, LOG_TYPES.ERROR));
+    };
+
+    const handleSave = () => {
+        const scenario = readScenario();
+        if (!scenario) return;
+        persist([...savedScenarios.filter(saved => saved.name !== scenario.name), scenario]);
+        onLog(`💾 시나리오 저장: ${scenario.name}`, LOG_TYPES.SUCCESS);
+    };
+
+    const handleDelete = () => {
+        const scenario = readScenario();
+        if (!scenario) return;
+        persist(savedScenarios.filter(saved => saved.name !== scenario.name));
+        onLog(`🗑 시나리오 삭제: ${scenario.name}`, LOG_TYPES.INFO);
+    };
+
+    const handleExport = () => {
+        const scenario = readScenario();
+        if (!scenario) return;
+        downloadFile(serializeScenario(scenario), `scenario-${scenario.name.replace(/\s+/g, '_')}.json`, 'application/json');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const content = await file.text();
+        setText(content);
+        try {
+            parseScenario(content);
+            setParseError(null);
+            onLog(`📥 ${file.name}에서 시나리오를 불러왔습니다`, LOG_TYPES.SUCCESS);
+        } catch (error) {
+            setParseError(error.message);
+        }
+    };
+
+    // 이미 준비된(끝나지 않은) 실행이 없으면 편집기 내용으로 새로 준비
+    const prepare = () => {
+        if (runner.isLoaded()) return true;
+        const scenario = readScenario();
+        if (!scenario) return false;
+        runner.load(scenario, createActions());
+        onLog(`🧪 시나리오 시작: ${scenario.name}`, LOG_TYPES.INFO);
+        return true;
+    };
+
+    const handleRun = async () => {
+        if (!prepare()) return;
+        const result = await runner.run();
+        onLog(
+            `🧪 시나리오 ${result.passed ? '통과' : '실패'}: ${result.name} (실패 ${result.failed}단계)`,
+            result.passed ? LOG_TYPES.SUCCESS : LOG_TYPES.ERROR
+        );
+    };
+
+    const handleStep = async () => {
+        if (!prepare()) return;
+        await runner.step();
+    };
+
+    const handleRestart = () => {
+        runner.stop();
+        const scenario = readScenario();
+        if (!scenario) return;
+        runner.load(scenario, createActions());
+    };
+
+    return (
+        <section className="sse-section scenario-panel">
+            <h3>🧪 테스트 시나리오</h3>
+
+            <div className="scenario-toolbar">
+                <select
+                    value=""
+                    onChange={e => {
+                        const scenario = allScenarios.find(item => item.name === e.target.value);
+                        if (scenario) setText(serializeScenario(scenario));
+                    }}
+                    disabled={isRunning}
+                >
+                    <option value="">시나리오 선택...</option>
+                    <optgroup label="기본 제공">
+                        {DEFAULT_SCENARIOS.map(scenario => <option key={scenario.name} value={scenario.name}>{scenario.name}</option>)}
+                    </optgroup>
+                    {savedScenarios.length > 0 && (
+                        <optgroup label="저장됨">
+                            {savedScenarios.map(scenario => <option key={scenario.name} value={scenario.name}>{scenario.name}</option>)}
+                        </optgroup>
+                    )}
+                </select>
+                <button className="btn small gray" onClick={handleSave}>💾 저장</button>
+                <button className="btn small gray" onClick={handleDelete}>🗑 삭제</button>
+                <button className="btn small gray" onClick={handleExport}>📤 파일로 내보내기</button>
+                <label className="btn small gray">
+                    📥 파일 불러오기
+                    <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+                </label>
+            </div>
+
+            <textarea
+                className="scenario-editor"
+                value={text}
+                onChange={e => setText(e.target.value)}
+                spellCheck={false}
+                disabled={isRunning}
+            />
+            {parseError && <pre className="scenario-error">{parseError}</pre>}
+
+            <div className="button-group">
+                <button className="btn small green" onClick={handleRun} disabled={isRunning}>▶ 전체 실행</button>
+                <button className="btn small blue" onClick={handleStep} disabled={isRunning}>⏯ 한 단계 실행</button>
+                <button className="btn small gray" onClick={handleRestart} disabled={isRunning}>↺ 처음부터</button>
+                <button className="btn small red" onClick={runner.stop} disabled={!report || report.done}>⏹ 중단</button>
+            </div>
+
+            {report && (
+                <div className="scenario-report">
+                    <p>
+                        <strong>{report.name}</strong>{' '}
+                        {report.done
+                            ? (report.passed ? '✅ 통과' : `❌ 실패${report.stopped ? ' (중단됨)' : ''}`)
+                            : (isRunning ? '실행 중...' : '대기 중 (한 단계 실행 가능)')}
+                    </p>
+                    <ol className="scenario-steps">
+                        {report.steps.map(step => (
+                            <li key={step.index} className={`scenario-step scenario-step-${step.status}`}>
+                                {STATUS_ICONS[step.status]} {step.label}
+                                {step.durationMs !== null && <span className="scenario-step-duration"> ({formatDuration(step.durationMs)})</span>}
+                                {step.message && <div className="scenario-step-message">{step.message}</div>}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default ScenarioPanel;
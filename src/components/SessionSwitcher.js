@@ -0,0 +1,59 @@
+// src/components/SessionSwitcher.js
+// 로그인한 계정 세션 목록과 활성 세션 전환
+import React from 'react';
+import { AUTH_MODES } from '../core/SessionRegistry';
+import { formatDuration } from '../utils/formatters';
+
+const MODE_LABELS = {
+    [AUTH_MODES.COOKIE]: '🍪 쿠키',
+    [AUTH_MODES.BEARER]: '🔑 Bearer'
+};
+
+const formatExpiry = (expiresAt) => {
+    if (!expiresAt) return '-';
+    const remaining = expiresAt - Date.now();
+    return remaining > 0 ? formatDuration(remaining) : '⌛ 만료됨';
+};
+
+const SessionSwitcher = ({ sessions, activeName, onSwitch, onRemove }) => {
+    if (sessions.length === 0) return null;
+
+    return (
+        <div className="session-switcher">
+            <h4>👥 세션 ({sessions.length})</h4>
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>이름</th>
+                        <th>방식</th>
+                        <th>계정 ID</th>
+                        <th>만료까지</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {sessions.map(session => (
+                        <tr key={session.name} className={session.name === activeName ? 'session-active' : ''}>
+                            <td>{session.name === activeName ? '▶ ' : ''}{session.name}</td>
+                            <td>{MODE_LABELS[session.mode]}</td>
+                            <td>{session.accountId ?? '-'}</td>
+                            <td>{formatExpiry(session.expiresAt)}</td>
+                            <td>
+                                <button
+                                    className="btn small blue"
+                                    onClick={() => onSwitch(session.name)}
+                                    disabled={session.name === activeName}
+                                >
+                                    전환
+                                </button>
+                                <button className="btn small red" onClick={() => onRemove(session.name)}>삭제</button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default SessionSwitcher;
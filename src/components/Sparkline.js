@@ -0,0 +1,34 @@
+// src/components/Sparkline.js
+// 의존성 없는 SVG 선 그래프 (null 값은 선을 끊어서 표시)
+import React from 'react';
+
+const Sparkline = ({ values, width = 240, height = 48, color = 'var(--primary-color)' }) => {
+    const max = Math.max(...values.filter(value => value !== null), 0);
+    const step = values.length > 1 ? width / (values.length - 1) : width;
+    const toY = (value) => (max > 0 ? height - (value / max) * (height - 2) - 1 : height - 1);
+
+    // 연속된 값끼리 한 선분으로
+    const segments = [];
+    let current = [];
+    values.forEach((value, index) => {
+        if (value === null) {
+            if (current.length > 0) segments.push(current);
+            current = [];
+            return;
+        }
+        current.push(`${(index * step).toFixed(1)},${toY(value).toFixed(1)}`);
+    });
+    if (current.length > 0) segments.push(current);
+
+    return (
+        <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+            {segments.map((points, index) => (points.length === 1 ? (
+                <circle key={index} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="2" fill={color} />
+            ) : (
+                <polyline key={index} points={points.join(' ')} fill="none" stroke={color} strokeWidth="1.5" />
+            )))}
+        </svg>
+    );
+};
+
+export default Sparkline;
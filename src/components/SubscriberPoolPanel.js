@@ -0,0 +1,118 @@
+// src/components/SubscriberPoolPanel.js
+// 가상 구독 클라이언트 풀 (접두어로 N개 연결, 클라이언트별 상태/마지막 이벤트 ID/수신 수/오류)
+import React, { useState } from 'react';
+import { SUBSCRIBER_STATES } from '../loadtest/SubscriberPool';
+import { LOAD_TEST_CONFIG } from '../utils/constants';
+
+const STATE_LABELS = {
+    [SUBSCRIBER_STATES.PENDING]: '⏳ 대기',
+    [SUBSCRIBER_STATES.CONNECTING]: '🟡 연결 중',
+    [SUBSCRIBER_STATES.OPEN]: '🟢 연결됨',
+    [SUBSCRIBER_STATES.RECONNECTING]: '🟠 재연결 중',
+    [SUBSCRIBER_STATES.CLOSED]: '⚪ 닫힘'
+};
+
+const SubscriberPoolPanel = ({ pool, sessions = [], defaultPrefix, onOpen }) => {
+    const [form, setForm] = useState({
+        session: '',
+        prefix: defaultPrefix,
+        count: '10',
+        lastEventId: '',
+        staggerMs: String(LOAD_TEST_CONFIG.POOL_STAGGER_MS)
+    });
+    const { clients } = pool;
+
+    const updateForm = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+    const handleOpen = () => {
+        onOpen({
+            prefix: form.prefix,
+            count: parseInt(form.count, 10),
+            lastEventId: form.lastEventId.trim(),
+            staggerMs: Math.max(parseInt(form.staggerMs, 10) || 0, 0),
+            session: form.session
+        });
+    };
+
+    const countByState = (state) => clients.filter(client => client.state === state).length;
+
+    return (
+        <section className="sse-section subscriber-pool">
+            <h3>👥 구독 클라이언트 풀 ({clients.length.toLocaleString()}개)</h3>
+
+            <div className="pool-toolbar">
+                <input type="text" value={form.prefix} onChange={updateForm('prefix')} placeholder="Client ID Prefix" />
+                <label>
+                    개수
+                    <input type="number" min="1" value={form.count} onChange={updateForm('count')} />
+                </label>
+                <input type="text" value={form.lastEventId} onChange={updateForm('lastEventId')} placeholder="Last-Event-ID (선택)" />
+                <label>
+                    연결 간격(ms)
+                    <input type="number" min="0" value={form.staggerMs} onChange={updateForm('staggerMs')} />
+                </label>
+                <select value={form.session} onChange={updateForm('session')} title="클라이언트를 묶을 인증 세션">
+                    <option value="">활성 세션</option>
+                    {sessions.map(session => (
+                        <option key={session.name} value={session.name}>{session.name} ({session.mode})</option>
+                    ))}
+                </select>
+                <button className="btn small green" onClick={handleOpen}>➕ 연결</button>
+            </div>
+
+            <div className="pool-toolbar">
+                <span>
+                    연결됨 {countByState(SUBSCRIBER_STATES.OPEN)} · 재연결 중 {countByState(SUBSCRIBER_STATES.RECONNECTING)} · 닫힘 {countByState(SUBSCRIBER_STATES.CLOSED)}
+                </span>
+                <button className="btn small blue" onClick={pool.reconnectAll} disabled={clients.length === 0}>🔁 전체 재연결</button>
+                <button className="btn small gray" onClick={pool.closeAll} disabled={clients.length === 0}>⏹ 전체 닫기</button>
+                <button className="btn small red" onClick={pool.killAll} disabled={clients.length === 0}>🗑 전체 제거</button>
+            </div>
+
+            {clients.length === 0 ? (
+                <p className="no-pool-clients">풀에 클라이언트가 없습니다</p>
+            ) : (
+                <div className="subscriber-table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Client ID</th>
+                                <th>세션</th>
+                                <th>상태</th>
+                                <th>마지막 이벤트 ID</th>
+                                <th>수신</th>
+                                <th>오류</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {clients.map(client => (
+                                <tr key={client.id}>
+                                    <td>{client.clientId}</td>
+                                    <td>{client.session || '-'}</td>
+                                    <td>{STATE_LABELS[client.state]}</td>
+                                    <td>{client.lastEventId || '-'}</td>
+                                    <td>{client.messageCount.toLocaleString()}</td>
+                                    <td title={client.lastError || ''}>{client.errorCount.toLocaleString()}</td>
+                                    <td>
+                                        <button className="btn small blue" onClick={() => pool.reconnect(client.id)}>재연결</button>
+                                        <button
+                                            className="btn small gray"
+                                            onClick={() => pool.close(client.id)}
+                                            disabled={client.state === SUBSCRIBER_STATES.CLOSED}
+                                        >
+                                            닫기
+                                        </button>
+                                        <button className="btn small red" onClick={() => pool.kill(client.id)}>제거</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default SubscriberPoolPanel;
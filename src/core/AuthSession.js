@@ -0,0 +1,318 @@
+// src/core/AuthSession.js
+// access_token 쿠키 기반 인증 상태와 토큰 수명 관리 (React 없이 사용 가능)
+// - tickInterval마다 쿠키를 다시 읽어 로그인 사용자/만료 시각/남은 시간을 갱신
+// - 만료 refreshLeadTime 전에 백그라운드로 토큰 갱신
+// - Web Locks로 한 번에 한 탭만 갱신하고, 결과는 BroadcastChannel로 다른 탭에 알림
+// - 이벤트: state, refreshed, refreshFailed, expired, loggedOut
+import EventEmitter from './EventEmitter';
+import { createHttpError } from '../transports/utils';
+import { decodeJWT } from '../utils/jwt';
+import { AUTH_CONFIG, GATEWAY_ENDPOINTS, SSE_CONFIG } from '../utils/constants';
+
+export const AUTH_REFRESH_REASONS = {
+  MANUAL: 'manual',
+  EXPIRING: 'expiring',
+  AUTH_ERROR: 'auth_error'
+};
+
+const TOKEN_COOKIE = 'access_token';
+
+const readTokenCookie = () => {
+  if (typeof document === 'undefined') return null;
+  const match = document.cookie.match(new RegExp(`(^| )${TOKEN_COOKIE}=([^;]+)`));
+  return match ? match[2] : null;
+};
+
+const writeTokenCookie = (token) => {
+  if (typeof document === 'undefined') return;
+  document.cookie = `${TOKEN_COOKIE}=${token};path=/;`;
+};
+
+const clearTokenCookie = () => {
+  if (typeof document === 'undefined') return;
+  document.cookie = `${TOKEN_COOKIE}=;expires=Thu,01 Jan 1970 00:00:00 UTC;path=/;`;
+};
+
+const getExpiresAt = (payload) => (payload?.exp ? payload.exp * 1000 : null);
+
+const DEFAULT_ENDPOINTS = {
+  token: GATEWAY_ENDPOINTS.AUTH_TOKEN,
+  refresh: GATEWAY_ENDPOINTS.AUTH_REFRESH
+};
+
+class AuthSession extends EventEmitter {
+  constructor(baseUrl, {
+    autoRefresh = true,
+    refreshLeadTime = SSE_CONFIG.AUTH_REFRESH_LEAD_TIME,
+    endpoints = DEFAULT_ENDPOINTS,
+    tickInterval = AUTH_CONFIG.TICK_INTERVAL,
+    retryInterval = AUTH_CONFIG.REFRESH_RETRY_INTERVAL,
+    channelName = AUTH_CONFIG.CHANNEL_NAME,
+    lockName = AUTH_CONFIG.REFRESH_LOCK_NAME,
+    readToken = readTokenCookie,
+    writeToken = writeTokenCookie,
+    clearToken = clearTokenCookie
+  } = {}) {
+    super();
+    this.baseUrl = baseUrl;
+    this.autoRefresh = autoRefresh;
+    this.refreshLeadTime = refreshLeadTime;
+    // 로그인/갱신 경로 { token, refresh } (baseUrl 기준)
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+    this.tickInterval = tickInterval;
+    this.retryInterval = retryInterval;
+    this.channelName = channelName;
+    this.lockName = lockName;
+    this.readToken = readToken;
+    this.writeToken = writeToken;
+    this.clearToken = clearToken;
+
+    this.token = null;
+    this.payload = null;
+    // 같은 토큰에 대해 expired는 한 번만 알림
+    this.expiredNotified = false;
+    // 진행 중인 갱신 (여러 곳에서 요청해도 서버에는 한 번만)
+    this.refreshPromise = null;
+    // 백그라운드 갱신이 실패하면 retryInterval 뒤에 다시 시도
+    this.nextRefreshAt = 0;
+    this.timer = null;
+    this.channel = null;
+    this.started = false;
+    this.state = {
+      isAuthenticated: false,
+      user: null,
+      expiresAt: null,
+      timeUntilExpiry: null,
+      isLoggingIn: false,
+      isRefreshing: false,
+      lastRefreshedAt: null,
+      error: null
+    };
+    this.sync();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.sync();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    }
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  setOptions({ baseUrl, autoRefresh, refreshLeadTime, endpoints }) {
+    if (baseUrl !== undefined) this.baseUrl = baseUrl;
+    if (autoRefresh !== undefined) this.autoRefresh = autoRefresh;
+    if (refreshLeadTime !== undefined) this.refreshLeadTime = refreshLeadTime;
+    if (endpoints !== undefined) this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  getToken() {
+    return this.token;
+  }
+
+  setState(changes) {
+    const changed = Object.keys(changes).some(key => this.state[key] !== changes[key]);
+    if (!changed) return;
+    this.state = { ...this.state, ...changes };
+    this.emit('state', this.state);
+  }
+
+  // 쿠키를 다시 읽어 상태 반영 (다른 탭/서버가 바꾼 토큰도 여기서 감지)
+  sync() {
+    const token = this.readToken();
+    const now = Date.now();
+
+    if (token !== this.token) {
+      const previousExpiresAt = getExpiresAt(this.payload);
+      const hadToken = !!this.token;
+      const wasExpired = this.expiredNotified;
+      this.token = token;
+      this.payload = token ? decodeJWT(token) : null;
+      this.expiredNotified = false;
+      this.nextRefreshAt = 0;
+
+      // 쿠키가 사라짐: 만료 시각이 지났으면 만료, 아니면 다른 곳에서 로그아웃
+      if (hadToken && !token) {
+        if (previousExpiresAt !== null && previousExpiresAt <= now) {
+          if (!wasExpired) this.emit('expired', { expiresAt: previousExpiresAt });
+        } else {
+          this.emit('loggedOut', { remote: true });
+        }
+      }
+    }
+
+    const expiresAt = getExpiresAt(this.payload);
+    const expired = expiresAt !== null && expiresAt <= now;
+    if (token && expired && !this.expiredNotified) {
+      this.expiredNotified = true;
+      this.emit('expired', { expiresAt });
+    }
+
+    this.setState({
+      isAuthenticated: !!token && !expired,
+      user: this.payload,
+      expiresAt,
+      timeUntilExpiry: expiresAt !== null ? Math.floor((expiresAt - now) / 1000) : null
+    });
+  }
+
+  tick() {
+    this.sync();
+    if (this.autoRefresh && this.needsRefresh() && !this.refreshPromise && Date.now() >= this.nextRefreshAt) {
+      this.refresh(AUTH_REFRESH_REASONS.EXPIRING).catch(() => {});
+    }
+  }
+
+  needsRefresh() {
+    const expiresAt = getExpiresAt(this.payload);
+    return !!this.token && expiresAt !== null && Date.now() >= expiresAt - this.refreshLeadTime;
+  }
+
+  async request(path, body, { credentials = 'include' } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      credentials,
+      ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {})
+    });
+    if (!response.ok) throw createHttpError(response.status, response.statusText);
+    return response.json();
+  }
+
+  async login(credentials) {
+    this.setState({ isLoggingIn: true, error: null });
+    try {
+      const data = await this.request(this.endpoints.token, credentials);
+      this.sync();
+      this.post({ kind: 'auth:login' });
+      return data;
+    } catch (error) {
+      this.setState({ error: error.message });
+      throw error;
+    } finally {
+      this.setState({ isLoggingIn: false });
+    }
+  }
+
+  // 쿠키를 건드리지 않고 토큰만 발급 (bearer 세션용, 토큰은 응답 본문에서 꺼냄)
+  async issueToken(credentials) {
+    this.setState({ isLoggingIn: true, error: null });
+    try {
+      return await this.request(this.endpoints.token, credentials, { credentials: 'omit' });
+    } catch (error) {
+      this.setState({ error: error.message });
+      throw error;
+    } finally {
+      this.setState({ isLoggingIn: false });
+    }
+  }
+
+  // 보관해 둔 토큰으로 쿠키 교체 (cookie 세션 전환)
+  applyToken(token) {
+    this.writeToken(token);
+    this.sync();
+    this.post({ kind: 'auth:login' });
+  }
+
+  // 토큰 갱신 (single-flight), 다른 탭이 먼저 갱신했으면 요청 없이 null
+  refresh(reason = AUTH_REFRESH_REASONS.MANUAL) {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    const tokenBefore = this.readToken();
+    this.setState({ isRefreshing: true, error: null });
+
+    this.refreshPromise = this.withRefreshLock(async () => {
+      if (reason !== AUTH_REFRESH_REASONS.MANUAL) {
+        // 잠금을 기다리는 동안 다른 탭이 갱신한 토큰이 있으면 그대로 사용
+        this.sync();
+        if (this.token !== tokenBefore) return { refreshed: false, data: null };
+        if (reason === AUTH_REFRESH_REASONS.EXPIRING && !this.needsRefresh()) return { refreshed: false, data: null };
+      }
+      return { refreshed: true, data: await this.request(this.endpoints.refresh) };
+    }).then(({ refreshed, data }) => {
+      this.refreshPromise = null;
+      this.sync();
+      this.setState({
+        isRefreshing: false,
+        ...(refreshed ? { lastRefreshedAt: Date.now() } : {})
+      });
+      if (refreshed) {
+        this.post({ kind: 'auth:refreshed', reason });
+        this.emit('refreshed', { reason, remote: false });
+      }
+      return data;
+    }, (error) => {
+      this.refreshPromise = null;
+      this.nextRefreshAt = Date.now() + this.retryInterval;
+      this.setState({ isRefreshing: false, error: error.message });
+      this.emit('refreshFailed', error, reason);
+      throw error;
+    });
+    return this.refreshPromise;
+  }
+
+  logout() {
+    this.clearToken();
+    this.token = null;
+    this.payload = null;
+    this.expiredNotified = false;
+    this.sync();
+    this.post({ kind: 'auth:loggedOut' });
+    this.emit('loggedOut', { remote: false });
+  }
+
+  // 탭 간 배타적 실행 (Web Locks가 없으면 이 탭 안에서만 single-flight)
+  withRefreshLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(this.lockName, task);
+    }
+    return task();
+  }
+
+  handleMessage(message) {
+    switch (message?.kind) {
+      case 'auth:refreshed':
+        this.sync();
+        this.emit('refreshed', { reason: message.reason, remote: true });
+        break;
+      case 'auth:login':
+      case 'auth:loggedOut':
+        this.sync();
+        break;
+      default:
+        break;
+    }
+  }
+
+  post(message) {
+    if (!this.channel) return;
+    try {
+      this.channel.postMessage(message);
+    } catch (error) {
+      console.error('AuthSession 메시지 전송 오류:', error);
+    }
+  }
+}
+
+export default AuthSession;
@@ -0,0 +1,170 @@
+import AuthSession from './AuthSession';
+
+// 같은 이름의 채널끼리 동기적으로 메시지를 전달하는 테스트용 BroadcastChannel
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+// 요청 순서대로 하나씩 실행하는 테스트용 Web Locks
+const createFakeLocks = () => {
+  let tail = Promise.resolve();
+  return {
+    request: jest.fn((name, task) => {
+      const run = tail.then(() => task());
+      tail = run.catch(() => {});
+      return run;
+    })
+  };
+};
+
+const createToken = (payload) => ['header', btoa(JSON.stringify(payload)), 'signature'].join('.');
+
+// 모든 탭이 공유하는 쿠키
+const createCookieJar = (token = null) => {
+  const jar = { token };
+  return {
+    jar,
+    readToken: () => jar.token,
+    clearToken: () => { jar.token = null; }
+  };
+};
+
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) await Promise.resolve();
+};
+
+// 갱신 응답이 오면 만료가 1시간 뒤인 새 토큰 발급
+const mockRefreshEndpoint = (jar) => jest.fn(async () => {
+  jar.token = createToken({ accountId: 1, exp: Math.floor(Date.now() / 1000) + 3600 });
+  return { ok: true, json: async () => ({ refreshed: true }) };
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  // JWT exp가 초 단위이므로 정각에서 시작
+  jest.setSystemTime(1700000000000);
+  FakeBroadcastChannel.channels = [];
+  global.BroadcastChannel = FakeBroadcastChannel;
+});
+
+afterEach(() => {
+  delete global.BroadcastChannel;
+  delete global.fetch;
+  delete navigator.locks;
+  jest.useRealTimers();
+});
+
+test('tracks the user and time remaining, then refreshes before the token expires', async () => {
+  const cookies = createCookieJar(createToken({ accountId: 7, exp: Math.floor(Date.now() / 1000) + 90 }));
+  global.fetch = mockRefreshEndpoint(cookies.jar);
+  const session = new AuthSession('http://api', { ...cookies, refreshLeadTime: 60000, tickInterval: 1000 });
+  const onRefreshed = jest.fn();
+  session.on('refreshed', onRefreshed);
+
+  session.start();
+  expect(session.getState()).toMatchObject({ isAuthenticated: true, user: { accountId: 7 }, timeUntilExpiry: 90 });
+
+  jest.advanceTimersByTime(29000);
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(session.getState().timeUntilExpiry).toBe(61);
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch).toHaveBeenCalledWith('http://api/sse/api/auth/token/refresh', expect.objectContaining({ method: 'POST' }));
+  expect(onRefreshed).toHaveBeenCalledWith({ reason: 'expiring', remote: false });
+  expect(session.getState()).toMatchObject({ isRefreshing: false, timeUntilExpiry: 3600, lastRefreshedAt: Date.now() });
+  session.stop();
+});
+
+test('shares one in-flight refresh and retries a failed background refresh later', async () => {
+  const cookies = createCookieJar(createToken({ exp: Math.floor(Date.now() / 1000) + 30 }));
+  global.fetch = jest.fn().mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Internal Server Error' });
+  const session = new AuthSession('http://api', { ...cookies, refreshLeadTime: 60000, retryInterval: 5000 });
+  const onRefreshFailed = jest.fn();
+  session.on('refreshFailed', onRefreshFailed);
+
+  const first = session.refresh('auth_error');
+  expect(session.refresh('auth_error')).toBe(first);
+  await expect(first).rejects.toMatchObject({ status: 500 });
+  expect(onRefreshFailed).toHaveBeenCalledWith(expect.objectContaining({ status: 500 }), 'auth_error');
+  expect(session.getState().error).toBe('서버 오류: 500 Internal Server Error');
+
+  global.fetch = mockRefreshEndpoint(cookies.jar);
+  session.start();
+  jest.advanceTimersByTime(4000);
+  expect(global.fetch).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  session.stop();
+});
+
+test('lets only one tab refresh and tells the others', async () => {
+  navigator.locks = createFakeLocks();
+  const cookies = createCookieJar(createToken({ exp: Math.floor(Date.now() / 1000) + 30 }));
+  global.fetch = mockRefreshEndpoint(cookies.jar);
+  const first = new AuthSession('http://api', { ...cookies, refreshLeadTime: 60000 });
+  const second = new AuthSession('http://api', { ...cookies, refreshLeadTime: 60000 });
+  const onRemoteRefresh = jest.fn();
+  second.on('refreshed', onRemoteRefresh);
+
+  first.start();
+  second.start();
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+
+  expect(navigator.locks.request).toHaveBeenCalledTimes(2);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(onRemoteRefresh).toHaveBeenCalledWith({ reason: 'expiring', remote: true });
+  expect(second.getState().timeUntilExpiry).toBe(3600);
+  first.stop();
+  second.stop();
+});
+
+test('emits expired once and reports logouts from this tab and others', () => {
+  const cookies = createCookieJar(createToken({ exp: Math.floor(Date.now() / 1000) + 5 }));
+  const first = new AuthSession('http://api', { ...cookies, autoRefresh: false });
+  const second = new AuthSession('http://api', { ...cookies, autoRefresh: false });
+  const onExpired = jest.fn();
+  const onLoggedOut = jest.fn();
+  const onRemoteLoggedOut = jest.fn();
+  first.on('expired', onExpired);
+  first.on('loggedOut', onLoggedOut);
+  second.on('loggedOut', onRemoteLoggedOut);
+  first.start();
+  second.start();
+
+  jest.advanceTimersByTime(7000);
+  expect(onExpired).toHaveBeenCalledTimes(1);
+  expect(first.getState().isAuthenticated).toBe(false);
+
+  cookies.jar.token = createToken({ exp: Math.floor(Date.now() / 1000) + 600 });
+  jest.advanceTimersByTime(1000);
+  expect(second.getState().isAuthenticated).toBe(true);
+
+  first.logout();
+  expect(onLoggedOut).toHaveBeenCalledWith({ remote: false });
+  expect(onRemoteLoggedOut).toHaveBeenCalledWith({ remote: true });
+  expect(second.getState()).toMatchObject({ isAuthenticated: false, user: null });
+  expect(onExpired).toHaveBeenCalledTimes(1);
+  first.stop();
+  second.stop();
+});
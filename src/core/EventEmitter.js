@@ -0,0 +1,62 @@
+// src/core/EventEmitter.js
+// React/DOM에 의존하지 않는 최소 이벤트 이미터
+
+class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // 구독 해제 함수 반환
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  once(event, handler) {
+    const unsubscribe = this.on(event, (...args) => {
+      unsubscribe();
+      handler(...args);
+    });
+    return unsubscribe;
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.listeners.delete(event);
+    }
+  }
+
+  emit(event, ...args) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // 핸들러 오류가 다른 구독자나 스트림 처리를 막지 않도록 격리
+    [...handlers].forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`EventEmitter [${event}] 핸들러 오류:`, error);
+      }
+    });
+  }
+
+  listenerCount(event) {
+    return this.listeners.get(event)?.size || 0;
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+}
+
+export default EventEmitter;
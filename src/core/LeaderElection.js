@@ -0,0 +1,177 @@
+// src/core/LeaderElection.js
+// BroadcastChannel 하트비트 기반 탭 리더 선출
+// - 리더는 heartbeatInterval마다 하트비트 전송
+// - leaderTimeout 동안 하트비트가 없으면 팔로워가 리더가 됨
+// - 리더가 둘이면 tabId가 작은(먼저 열린) 탭이 유지
+// - 리더 탭이 닫히면(pagehide) 즉시 사임하면서 후계자(가장 먼저 열린 팔로워)를 지명해 그 탭만 인계
+import EventEmitter from './EventEmitter';
+import { SSE_CONFIG } from '../utils/constants';
+
+const createTabId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+class LeaderElection extends EventEmitter {
+  constructor(channelName, {
+    heartbeatInterval = SSE_CONFIG.LEADER_HEARTBEAT_INTERVAL,
+    leaderTimeout = SSE_CONFIG.LEADER_TIMEOUT
+  } = {}) {
+    super();
+    this.channelName = channelName;
+    this.heartbeatInterval = heartbeatInterval;
+    this.leaderTimeout = leaderTimeout;
+    this.tabId = createTabId();
+    this.isLeader = false;
+    this.leaderId = null;
+    this.lastLeaderSeen = 0;
+    // 채널에서 확인한 다른 탭 (사임할 때 후계자를 고르는 데 사용)
+    this.peers = new Set();
+    this.channel = null;
+    this.timer = null;
+    this.started = false;
+    this.handlePageHide = () => this.resign();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // BroadcastChannel이 없으면 단독 탭으로 동작
+    if (typeof BroadcastChannel === 'undefined') {
+      this.setLeader(true);
+      return;
+    }
+
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+    // 기존 리더가 응답할 시간(하트비트 1회)만 기다린 뒤 선출
+    this.lastLeaderSeen = Date.now() - this.leaderTimeout + this.heartbeatInterval;
+    this.post({ kind: 'election:hello' });
+    this.timer = setInterval(() => this.tick(), this.heartbeatInterval);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  stop() {
+    if (!this.started) return;
+    if (this.isLeader) {
+      this.resign();
+    } else {
+      this.post({ kind: 'election:bye' });
+    }
+    this.started = false;
+    this.peers.clear();
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  // 리더 자리를 내려놓고 팔로워에게 후계자를 알림
+  resign() {
+    if (!this.isLeader) return;
+    // 먼저 내려놓아야 새 리더의 하트비트와 충돌하지 않음
+    this.setLeader(false);
+    this.lastLeaderSeen = Date.now();
+    this.post({ kind: 'election:resign', successor: this.pickSuccessor() });
+  }
+
+  // 리더 충돌 때와 같은 기준으로 tabId가 가장 작은 탭 (없으면 null)
+  pickSuccessor() {
+    return [...this.peers].sort()[0] ?? null;
+  }
+
+  tick() {
+    if (this.isLeader) {
+      this.post({ kind: 'election:heartbeat' });
+      return;
+    }
+    if (Date.now() - this.lastLeaderSeen >= this.leaderTimeout) {
+      this.leaderId = this.tabId;
+      this.setLeader(true);
+      this.post({ kind: 'election:heartbeat' });
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+    if (message.kind !== 'election:bye' && message.kind !== 'election:resign') {
+      this.peers.add(message.tabId);
+    }
+
+    switch (message.kind) {
+      case 'election:hello':
+        // 새 탭도 다른 탭 목록을 알 수 있도록 팔로워는 자신을 알림
+        this.post({ kind: this.isLeader ? 'election:heartbeat' : 'election:peer' });
+        break;
+
+      case 'election:peer':
+        break;
+
+      case 'election:bye':
+        this.peers.delete(message.tabId);
+        break;
+
+      case 'election:heartbeat':
+        if (this.isLeader) {
+          // 리더 충돌: 먼저 열린 탭이 유지
+          if (message.tabId > this.tabId) {
+            this.post({ kind: 'election:heartbeat' });
+            return;
+          }
+          this.setLeader(false);
+        }
+        this.leaderId = message.tabId;
+        this.lastLeaderSeen = Date.now();
+        this.emit('heartbeat', message.tabId);
+        break;
+
+      case 'election:resign':
+        this.peers.delete(message.tabId);
+        if (message.tabId !== this.leaderId) break;
+
+        if (message.successor === this.tabId || !message.successor) {
+          // 지명받았거나 후계자가 없으면 바로 인계 (후계자가 없을 때 동시 인계는 리더 충돌 규칙으로 정리)
+          this.leaderId = null;
+          this.lastLeaderSeen = 0;
+          this.tick();
+        } else {
+          // 후계자의 하트비트를 기다리고, 후계자가 응답하지 않으면 leaderTimeout 뒤 선출
+          this.leaderId = message.successor;
+          this.lastLeaderSeen = Date.now();
+        }
+        break;
+
+      default:
+        this.emit('message', message);
+        break;
+    }
+  }
+
+  setLeader(isLeader) {
+    if (this.isLeader === isLeader) return;
+    this.isLeader = isLeader;
+    this.emit('leadership', isLeader);
+  }
+
+  post(message) {
+    if (!this.channel) return;
+    try {
+      this.channel.postMessage({ ...message, tabId: this.tabId });
+    } catch (error) {
+      console.error('LeaderElection 메시지 전송 오류:', error);
+    }
+  }
+}
+
+export default LeaderElection;
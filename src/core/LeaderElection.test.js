@@ -0,0 +1,103 @@
+import LeaderElection from './LeaderElection';
+
+// 같은 이름의 채널끼리 동기적으로 메시지를 전달하는 테스트용 BroadcastChannel
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeBroadcastChannel.channels = [];
+  global.BroadcastChannel = FakeBroadcastChannel;
+});
+
+afterEach(() => {
+  delete global.BroadcastChannel;
+  jest.useRealTimers();
+});
+
+test('elects exactly one leader and fails over when it closes', () => {
+  const first = new LeaderElection('test', { heartbeatInterval: 100, leaderTimeout: 300 });
+  const second = new LeaderElection('test', { heartbeatInterval: 100, leaderTimeout: 300 });
+
+  first.start();
+  jest.advanceTimersByTime(100);
+  second.start();
+  jest.advanceTimersByTime(500);
+
+  expect(first.isLeader).toBe(true);
+  expect(second.isLeader).toBe(false);
+
+  const onLeadership = jest.fn();
+  second.on('leadership', onLeadership);
+  first.stop();
+
+  expect(second.isLeader).toBe(true);
+  expect(onLeadership).toHaveBeenCalledWith(true);
+  second.stop();
+});
+
+test('resolves two simultaneous leaders in favour of the older tab', () => {
+  const older = new LeaderElection('test', { heartbeatInterval: 100, leaderTimeout: 300 });
+  const newer = new LeaderElection('test', { heartbeatInterval: 100, leaderTimeout: 300 });
+  older.tabId = '1-a';
+  newer.tabId = '2-b';
+  older.setLeader(true);
+  newer.setLeader(true);
+
+  older.start();
+  newer.start();
+  jest.advanceTimersByTime(100);
+
+  expect(older.isLeader).toBe(true);
+  expect(newer.isLeader).toBe(false);
+  older.stop();
+  newer.stop();
+});
+
+test('hands leadership only to the successor named by the resigning leader', () => {
+  const tabs = ['1-a', '2-b', '3-c'].map(tabId => {
+    const election = new LeaderElection('test', { heartbeatInterval: 100, leaderTimeout: 300 });
+    election.tabId = tabId;
+    return election;
+  });
+  const [leader, successor, other] = tabs;
+
+  tabs.forEach(election => {
+    election.start();
+    jest.advanceTimersByTime(100);
+  });
+  jest.advanceTimersByTime(500);
+  expect(tabs.map(election => election.isLeader)).toEqual([true, false, false]);
+
+  const onOtherLeadership = jest.fn();
+  other.on('leadership', onOtherLeadership);
+  leader.stop();
+
+  expect(successor.isLeader).toBe(true);
+  expect(other.isLeader).toBe(false);
+  expect(other.leaderId).toBe('2-b');
+
+  jest.advanceTimersByTime(1000);
+  expect(successor.isLeader).toBe(true);
+  expect(other.isLeader).toBe(false);
+  expect(onOtherLeadership).not.toHaveBeenCalled();
+  successor.stop();
+  other.stop();
+});
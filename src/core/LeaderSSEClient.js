@@ -0,0 +1,135 @@
+// src/core/LeaderSSEClient.js
+// 여러 탭 중 리더 탭 하나만 SSE 연결을 유지하고 팔로워에게 이벤트를 중계
+import SSEClient from './SSEClient';
+import LeaderElection from './LeaderElection';
+import { CONNECTION_MODES } from '../utils/constants';
+
+export const DEFAULT_LEADER_CHANNEL = 'sse-leader-channel';
+
+// 팔로워에게 미러링할 상태 (재전송 진행 상황은 중계된 이벤트로 팔로워가 직접 계산)
+const pickRelayState = ({ connectionState, lastEventId, error, connectionCount }) => ({
+  connectionState,
+  lastEventId,
+  error,
+  connectionCount
+});
+
+class LeaderSSEClient extends SSEClient {
+  constructor(url, options = {}) {
+    super(url, options);
+    this.connectionMode = CONNECTION_MODES.LEADER;
+    this.wantsConnection = false;
+    // 마지막으로 하트비트를 받은 리더 (리더가 바뀌면 연결 요청을 다시 보냄)
+    this.relayLeaderId = null;
+    this.election = new LeaderElection(this.options.channelName || DEFAULT_LEADER_CHANNEL);
+    this.state = { ...this.state, isLeader: false };
+
+    this.election.on('leadership', (isLeader) => this.handleLeadershipChange(isLeader));
+    this.election.on('heartbeat', (leaderId) => this.handleLeaderHeartbeat(leaderId));
+    this.election.on('message', (message) => this.handleRelayMessage(message));
+    this.on('state', (state) => {
+      if (this.election.isLeader) {
+        this.election.post({ kind: 'relay:state', state: pickRelayState(state) });
+      }
+    });
+  }
+
+  attach() {
+    const detach = super.attach();
+    this.election.start();
+    return () => {
+      detach();
+      this.election.stop();
+    };
+  }
+
+  // 리더면 실제 연결, 팔로워면 리더에게 연결을 요청하고 상태를 받아옴
+  connect(connectOptions = {}) {
+    this.wantsConnection = true;
+    this.election.start();
+
+    if (this.election.isLeader) {
+      return super.connect(connectOptions);
+    }
+
+    this.election.post({ kind: 'relay:connect-request' });
+    return Promise.resolve();
+  }
+
+  disconnect() {
+    this.wantsConnection = false;
+    super.disconnect();
+  }
+
+  handleLeadershipChange(isLeader) {
+    this.setState({ isLeader });
+    this.notify('leadershipChange', isLeader);
+
+    if (isLeader) {
+      // 팔로워일 때 미러링한 lastEventId로 이어서 연결
+      if (this.wantsConnection) {
+        super.connect();
+      }
+      return;
+    }
+
+    // 다른 탭이 리더가 되면 자신의 스트림은 닫음
+    if (this.abortController || this.reconnectTimeout) {
+      const wantsConnection = this.wantsConnection;
+      super.disconnect();
+      this.wantsConnection = wantsConnection;
+    }
+  }
+
+  // 새 리더는 이전 리더가 받은 연결 요청을 모르므로 다시 요청
+  handleLeaderHeartbeat(leaderId) {
+    if (leaderId === this.relayLeaderId) return;
+    this.relayLeaderId = leaderId;
+    if (this.wantsConnection) {
+      this.election.post({ kind: 'relay:connect-request' });
+    }
+  }
+
+  // 리더: 원본 이벤트를 먼저 중계한 뒤 처리
+  handleRawEvent(event) {
+    if (this.election.isLeader) {
+      this.election.post({ kind: 'relay:event', event });
+    }
+    super.handleRawEvent(event);
+  }
+
+  // 팔로워는 연결을 원할 때만 중계를 반영 (disconnect 후에는 무시)
+  handleRelayMessage(message) {
+    switch (message.kind) {
+      case 'relay:event':
+        if (this.election.isLeader || !this.wantsConnection) return;
+        super.handleRawEvent(message.event);
+        break;
+
+      case 'relay:state':
+        if (this.election.isLeader || !this.wantsConnection) return;
+        this.setState(message.state);
+        break;
+
+      case 'relay:connect-request':
+        if (!this.election.isLeader) return;
+        if (!this.abortController && !this.reconnectTimeout) {
+          this.wantsConnection = true;
+          super.connect();
+        }
+        this.election.post({ kind: 'relay:state', state: pickRelayState(this.state) });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  destroy() {
+    super.destroy();
+    this.election.stop();
+    this.election.removeAllListeners();
+  }
+}
+
+export default LeaderSSEClient;
@@ -0,0 +1,102 @@
+import LeaderSSEClient from './LeaderSSEClient';
+import { CONNECTION_STATES, SSE_CONFIG } from '../utils/constants';
+
+// 같은 이름의 채널끼리 동기적으로 메시지를 전달하는 테스트용 BroadcastChannel
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+// 테스트용 트랜스포트: 열린 뒤 중단될 때까지 대기
+const createTestTransport = () => jest.fn(({ signal }, handlers) => new Promise((resolve, reject) => {
+  handlers.onOpen({ status: 200 });
+  signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+}));
+
+// tabId를 고정한 탭을 만들어 선출에 참여시킴
+const createTab = (tabId) => {
+  const transport = createTestTransport();
+  const client = new LeaderSSEClient('http://localhost/sse', {
+    monitorNetwork: false,
+    enableHeartbeat: false,
+    transport
+  });
+  client.election.tabId = tabId;
+  client.attach();
+  return { client, transport };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeBroadcastChannel.channels = [];
+  global.BroadcastChannel = FakeBroadcastChannel;
+});
+
+afterEach(() => {
+  delete global.BroadcastChannel;
+  jest.useRealTimers();
+});
+
+test('asks the new leader to connect when the previous leader closes', async () => {
+  const leader = createTab('1-a');
+  jest.advanceTimersByTime(SSE_CONFIG.LEADER_TIMEOUT);
+  leader.client.connect();
+  await Promise.resolve();
+
+  const successor = createTab('2-b');
+  const follower = createTab('3-c');
+  follower.client.connect();
+  expect(follower.client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+
+  // 후계자는 직접 연결을 원하지 않았지만 팔로워의 요청으로 연결
+  leader.client.destroy();
+  await Promise.resolve();
+
+  expect(successor.client.election.isLeader).toBe(true);
+  expect(successor.transport).toHaveBeenCalledTimes(1);
+  expect(follower.transport).not.toHaveBeenCalled();
+  expect(follower.client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+
+  successor.client.destroy();
+  follower.client.destroy();
+});
+
+test('ignores relayed events and state after the follower disconnects', async () => {
+  const leader = createTab('1-a');
+  jest.advanceTimersByTime(SSE_CONFIG.LEADER_TIMEOUT);
+  leader.client.connect();
+  await Promise.resolve();
+
+  const follower = createTab('2-b');
+  follower.client.connect();
+  follower.client.disconnect();
+
+  leader.client.election.post({ kind: 'relay:event', event: { type: 'message', data: '{}', id: '9' } });
+  leader.client.election.post({ kind: 'relay:state', state: { connectionState: CONNECTION_STATES.CONNECTED } });
+
+  expect(follower.client.getState().connectionState).toBe(CONNECTION_STATES.DISCONNECTED);
+  expect(follower.client.getState().lastEventId).toBeNull();
+  expect(follower.client.getMetrics().totalEvents).toBe(0);
+
+  leader.client.destroy();
+  follower.client.destroy();
+});
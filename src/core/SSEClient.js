@@ -0,0 +1,1018 @@
+// src/core/SSEClient.js
+// 프레임워크 독립 SSE 클라이언트 (useSSE, 서비스, 웹 워커에서 공용)
+import EventEmitter from './EventEmitter';
+import { SSE_CONFIG, CONNECTION_STATES, CONNECTION_MODES, EVENT_TYPES, TRANSPORT_TYPES } from '../utils/constants';
+import { computeReconnectDelay } from '../utils/reconnectPolicy';
+import { resolveTransport } from '../transports';
+import { createEventPersistence } from './persistence';
+import { createEventSequencer } from './eventSequencer';
+import { createMetricsCollector, getDefaultEventTimestamp } from './metricsCollector';
+import { normalizeAuth, getAuthToken, applyAuthToken } from './authToken';
+import {
+  INITIAL_REPLAY_PROGRESS,
+  startReplayProgress,
+  recordReplayEvent,
+  completeReplayPage,
+  toReplayPageInfo
+} from './replayProgress';
+
+export const DEFAULT_SSE_OPTIONS = {
+  reconnect: true,
+  reconnectInterval: SSE_CONFIG.DEFAULT_RECONNECT_INTERVAL,
+  maxReconnectAttempts: SSE_CONFIG.MAX_RECONNECT_ATTEMPTS,
+  withCredentials: true,
+  enablePaging: true,
+  pageSize: SSE_CONFIG.DEFAULT_PAGE_SIZE,
+  maxReplayEvents: SSE_CONFIG.MAX_REPLAY_EVENTS,
+  maxBufferSize: SSE_CONFIG.MAX_BUFFER_SIZE,
+  enableHeartbeat: true,
+  heartbeatInterval: 30000,
+  enableMetrics: true,
+  // 오류 타입별 재연결 백오프 { [errorType]: { base, max, multiplier } }
+  reconnectDelays: SSE_CONFIG.RECONNECT_DELAYS,
+  // 종단 지연 계산용 서버 발행 시각 추출 ((data) => ms | null), 기본값은 timestamp/serverTime/sentAt/createdAt
+  getEventTimestamp: undefined,
+  transport: TRANSPORT_TYPES.FETCH,
+  eventTypes: [],
+  pollInterval: SSE_CONFIG.LONG_POLL_INTERVAL,
+  pollTimeout: SSE_CONFIG.LONG_POLL_TIMEOUT,
+  monitorNetwork: true,
+  connectionMode: CONNECTION_MODES.TAB,
+  // false | true | { key, storage, maxEvents, throttleMs }
+  persistence: false,
+  // 재전송 중복 제거 / 순서 보정
+  dedupe: true,
+  dedupeWindowSize: SSE_CONFIG.DEDUPE_WINDOW_SIZE,
+  reorder: false,
+  reorderWindow: SSE_CONFIG.REORDER_WINDOW,
+  reorderDelay: SSE_CONFIG.REORDER_DELAY,
+  // (a, b) => number, 기본값은 '1-1', 'epoch-<ms>-<n>' 형식 비교
+  compareEventIds: undefined,
+  // 재전송 페이지 확인 콜백 ((pageInfo) => void | Promise)
+  ackReplayPage: undefined,
+  // 일시정지 중 보관할 최대 이벤트 수 (초과 시 스트림을 끊고 재개할 때 이어받음)
+  replayPauseBufferSize: SSE_CONFIG.MAX_BUFFER_SIZE,
+  // 모든 연결/재연결에 추가할 헤더 (예: bearer 세션의 Authorization)
+  headers: undefined,
+  // 토큰 제공 함수 또는 설정 (authToken.js 참고), 연결/재연결마다 호출해 헤더나 쿼리에 추가
+  auth: undefined,
+  // 토큰 갱신 ((reason) => Promise), auth_error를 받거나 만료가 가까워지면 호출 후 lastEventId부터 재개
+  // 갱신하지 않았으면(이미 갱신됨 등) null 또는 false로 resolve -> 만료 전 갱신이면 스트림을 다시 열지 않음
+  // (AuthSession.refresh는 건너뛰면 null로 resolve하므로 그대로 넘길 수 있음)
+  refreshAuth: undefined,
+  // 토큰 만료 시각 (() => epoch ms | null), 만료 authRefreshLeadTime 전에 미리 갱신
+  // AuthSession 없이 SSEClient만 쓸 때용: 대시보드는 AuthSession이 만료 전 갱신을 전담하므로 지정하지 않음
+  getAuthExpiry: undefined,
+  authRefreshLeadTime: SSE_CONFIG.AUTH_REFRESH_LEAD_TIME
+};
+
+// 아직 수신하지 않은 타입의 스냅샷 (참조가 고정되어야 useSyncExternalStore가 재렌더링하지 않음)
+const EMPTY_EVENT_TYPE_SNAPSHOT = Object.freeze({
+  data: null,
+  id: null,
+  count: 0,
+  receivedAt: null
+});
+
+// 모든 타입을 구독할 때 사용하는 이름
+export const ALL_EVENT_TYPES = '*';
+
+// 탭에서는 window, 웹 워커에서는 생성할 때 globalScope로 주입받은 전역 객체
+const getWindowScope = () => (typeof window !== 'undefined' ? window : undefined);
+
+const isNavigatorOnline = () => (
+  typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean' ? navigator.onLine : true
+);
+
+// 'reconnectAttempt' -> 'onReconnectAttempt'
+const toCallbackName = (event) => `on${event[0].toUpperCase()}${event.slice(1)}`;
+
+// undefined 값은 기본값을 덮어쓰지 않음
+const withDefaults = (options) => {
+  const merged = { ...DEFAULT_SSE_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+  return merged;
+};
+
+const toSequencerOptions = (options) => ({
+  dedupe: options.dedupe,
+  windowSize: options.dedupeWindowSize,
+  reorder: options.reorder,
+  reorderWindow: options.reorderWindow,
+  reorderDelay: options.reorderDelay,
+  compare: options.compareEventIds
+});
+
+class SSEClient extends EventEmitter {
+  constructor(url, options = {}, { globalScope = getWindowScope() } = {}) {
+    super();
+    this.url = url;
+    this.options = withDefaults(options);
+    // 네트워크 online/offline 이벤트를 받을 전역 객체
+    this.globalScope = globalScope;
+    this.connectionMode = CONNECTION_MODES.TAB;
+
+    this.state = {
+      data: null,
+      connectionState: CONNECTION_STATES.DISCONNECTED,
+      error: null,
+      lastEventId: null,
+      connectionCount: 0,
+      replayProgress: INITIAL_REPLAY_PROGRESS,
+      networkStatus: {
+        isOnline: isNavigatorOnline(),
+        lastOnlineTime: Date.now(),
+        downtime: 0
+      },
+      nextReconnectDelay: null,
+      nextReconnectAt: null,
+      // 이 인스턴스가 직접 스트림을 여는지 여부 (탭 공유 모드에서는 리더만 true)
+      isLeader: true
+    };
+
+    this.abortController = null;
+    this.reconnectTimeout = null;
+    this.heartbeatTimer = null;
+    this.authRefreshTimer = null;
+    // 진행 중인 토큰 갱신 (여러 곳에서 요청해도 한 번만 호출)
+    this.authRefreshPromise = null;
+    // 갱신 후에도 auth_error면 일반 재연결 정책을 따름 (연결에 성공하면 초기화)
+    this.authRefreshedForRetry = false;
+    this.reconnectAttempts = 0;
+    this.serverRetry = null;
+    this.eventBuffer = [];
+    this.lastHeartbeat = Date.now();
+    this.connectionStartTime = null;
+    this.offlineSince = null;
+    this.networkMonitorCleanup = null;
+    this.persistence = null;
+    this.persistenceRestored = false;
+    this.typedEvents = new EventEmitter();
+    this.destroyed = false;
+    // 재전송 일시정지 중 보관한 원본 이벤트, 보관 한도 초과로 스트림을 끊었는지 여부
+    this.replayQueue = [];
+    this.replaySuspended = false;
+    this.eventTypeSnapshots = new Map();
+    this.sequencer = createEventSequencer(
+      (event, { late }) => this.deliverRawEvent(event, late),
+      toSequencerOptions(this.options)
+    );
+    this.metrics = {
+      totalEvents: 0,
+      totalBytes: 0,
+      totalReconnects: 0,
+      totalErrors: 0,
+      averageEventSize: 0,
+      connectionUptime: 0
+    };
+    this.timeSeries = createMetricsCollector();
+
+    if (this.options.monitorNetwork) {
+      this.enableNetworkMonitor();
+    }
+  }
+
+  // 설정
+  setUrl(url) {
+    this.url = url;
+  }
+
+  setOptions(options = {}) {
+    this.options = withDefaults(options);
+    this.sequencer.configure(toSequencerOptions(this.options));
+    // 저장 키가 바뀌었으면 바로 이전 키의 상태를 비움
+    this.getPersistence();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.emit('state', this.state);
+  }
+
+  // 옵션 콜백(onXxx)과 이벤트 구독자 모두에게 전달
+  notify(event, ...args) {
+    this.options[toCallbackName(event)]?.(...args);
+    this.emit(event, ...args);
+  }
+
+  // 재연결 지연 시간 계산
+  getReconnectDelay(attempt, errorType) {
+    return computeReconnectDelay({
+      attempt,
+      errorType,
+      serverRetry: this.serverRetry,
+      reconnectInterval: this.options.reconnectInterval,
+      delays: this.options.reconnectDelays,
+      isOnline: this.state.networkStatus.isOnline
+    });
+  }
+
+  // 오류 타입 분류
+  categorizeError(error, response) {
+    if (!this.state.networkStatus.isOnline) return 'network';
+    if (response?.status === 401 || response?.status === 403) return 'auth_error';
+    if (response?.status >= 500) return 'server_error';
+    if (error?.name === 'NetworkError' || error?.name === 'TypeError') return 'network';
+    if (error?.name === 'TimeoutError') return 'network';
+    return 'default';
+  }
+
+  // 메트릭스 업데이트
+  updateMetrics(eventType, data) {
+    if (!this.options.enableMetrics) return;
+
+    const metrics = this.metrics;
+
+    switch (eventType) {
+      case 'event': {
+        const eventSize = data ? JSON.stringify(data).length : 0;
+        const getEventTimestamp = this.options.getEventTimestamp || getDefaultEventTimestamp;
+        metrics.totalEvents += 1;
+        metrics.totalBytes += eventSize;
+        metrics.averageEventSize = metrics.totalBytes / metrics.totalEvents;
+        this.timeSeries.recordEvent({ size: eventSize, serverTimestamp: getEventTimestamp(data) });
+        break;
+      }
+      case 'reconnect':
+        metrics.totalReconnects += 1;
+        break;
+      case 'error':
+        metrics.totalErrors += 1;
+        this.timeSeries.markDisconnected();
+        break;
+      case 'connectionLost':
+        this.timeSeries.markDisconnected();
+        break;
+      case 'connection':
+        if (this.connectionStartTime) {
+          metrics.connectionUptime = Date.now() - this.connectionStartTime;
+        }
+        this.timeSeries.markConnected();
+        break;
+      case 'heartbeat':
+        this.timeSeries.recordHeartbeat(this.options.heartbeatInterval);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // 트랜스포트(또는 탭 공유 중계)에서 받은 원본 이벤트 처리 (중복 제거/순서 보정 후 전달)
+  // rawEvent는 중복 제거 전에 알림 (전달 검증에서 중복 수신도 셀 수 있도록)
+  // 재전송 일시정지 중이면 보관 (수신 자체는 연결이 살아 있다는 뜻이므로 하트비트로 간주)
+  handleRawEvent(event) {
+    this.notify('rawEvent', event);
+    if (this.state.replayProgress.isPaused) {
+      this.lastHeartbeat = Date.now();
+      this.queueReplayEvent(event);
+      return;
+    }
+    this.sequencer.push(event);
+  }
+
+  // 늦게 도착한 이벤트는 마지막 이벤트 ID를 되돌리지 않음
+  deliverRawEvent({ type, data, id }, late = false) {
+    if (id && !late) this.setState({ lastEventId: id });
+    this.processEventData(data, type, id);
+    this.persistState();
+  }
+
+  // 영속화 설정 (URL + key가 바뀌면 새 저장 위치 사용)
+  getPersistence() {
+    const { persistence } = this.options;
+    if (!persistence || !this.url) return null;
+
+    const config = persistence === true ? {} : persistence;
+    const key = config.key ?? 'default';
+    if (this.persistence?.storageKey !== `${this.url}::${key}`) {
+      if (this.persistence) {
+        // 계정/저장 키가 바뀌면 이전 키의 이어받기 위치와 중복 판단 기록을 새 키로 가져가지 않음
+        this.persistence.flush();
+        this.eventBuffer = [];
+        this.sequencer.reset();
+        this.setState({ lastEventId: null });
+      }
+      this.persistence = createEventPersistence({ ...config, url: this.url, key });
+      this.persistenceRestored = false;
+    }
+    return this.persistence;
+  }
+
+  // 저장된 마지막 이벤트 ID와 버퍼 복원 (키별로 한 번)
+  async restorePersistedState() {
+    const persistence = this.getPersistence();
+    if (!persistence || this.persistenceRestored) return;
+    this.persistenceRestored = true;
+
+    const snapshot = await persistence.load();
+    if (!snapshot) return;
+
+    if (!this.state.lastEventId && snapshot.lastEventId) {
+      this.setState({ lastEventId: snapshot.lastEventId });
+    }
+    if (this.eventBuffer.length === 0 && snapshot.buffer?.length) {
+      this.eventBuffer = snapshot.buffer.slice(-this.options.maxBufferSize);
+      this.sequencer.seed(this.eventBuffer.map(event => event.id));
+    }
+    this.notify('persistedStateRestored', snapshot);
+  }
+
+  persistState() {
+    this.getPersistence()?.save({
+      lastEventId: this.state.lastEventId,
+      buffer: this.eventBuffer
+    });
+  }
+
+  // 저장된 상태 삭제 후 처음부터 수신
+  async clearPersistedState() {
+    const persistence = this.getPersistence();
+    this.eventBuffer = [];
+    this.sequencer.reset();
+    this.setState({ lastEventId: null });
+    await persistence?.clear();
+  }
+
+  // 이벤트 데이터 처리
+  processEventData(eventData, eventType, eventId) {
+    let parsed;
+    try {
+      parsed = JSON.parse(eventData);
+    } catch (parseError) {
+      // JSON 파싱 실패 시 원본 데이터 처리
+      this.setState({ data: eventData });
+      this.notify('message', eventData, { type: eventType, id: eventId });
+      this.dispatchTypedEvent(eventType, eventData, eventId);
+      this.notify('parseError', parseError, eventData);
+      return;
+    }
+
+    // 특수 이벤트 처리
+    switch (parsed?.type || eventType) {
+      case EVENT_TYPES.REPLAY_START:
+        this.setState({
+          replayProgress: startReplayProgress({
+            total: parsed.totalEvents || 0,
+            pageSize: parsed.pageSize || (this.options.enablePaging ? this.options.pageSize : null),
+            totalPages: parsed.totalPages
+          })
+        });
+        this.notify('replayStart', parsed);
+        return;
+
+      case EVENT_TYPES.REPLAY_END: {
+        // 마지막 페이지가 replay_progress 없이 끝난 경우에도 확인
+        const prev = this.state.replayProgress;
+        if (prev.isReplaying && prev.current > prev.pageStartCount) {
+          this.finishReplayPage({});
+        }
+        this.setState({ replayProgress: INITIAL_REPLAY_PROGRESS });
+        this.notify('replayEnd', parsed);
+        return;
+      }
+
+      case EVENT_TYPES.REPLAY_PROGRESS:
+        if (this.state.replayProgress.isReplaying) {
+          this.finishReplayPage(parsed);
+        }
+        return;
+
+      case EVENT_TYPES.HEARTBEAT:
+        this.lastHeartbeat = Date.now();
+        this.updateMetrics('heartbeat');
+        this.notify('heartbeat', parsed);
+        return;
+
+      case EVENT_TYPES.ERROR:
+        this.setState({ error: parsed.message || 'Server error' });
+        this.notify('serverError', parsed);
+        return;
+
+      default:
+        break;
+    }
+
+    // 재전송 취소 후에는 replay_end까지 소비자에게 전달하지 않음 (lastEventId는 계속 갱신)
+    const { replayProgress } = this.state;
+    if (replayProgress.isCancelled) {
+      this.setState({ replayProgress: recordReplayEvent(replayProgress, { skipped: true }) });
+      return;
+    }
+
+    // 일반 이벤트 처리
+    this.setState(replayProgress.isReplaying
+      ? { data: parsed, replayProgress: recordReplayEvent(replayProgress) }
+      : { data: parsed });
+    this.updateMetrics('event', parsed);
+
+    // 이벤트 버퍼 관리
+    this.eventBuffer.push({
+      data: parsed,
+      id: eventId,
+      timestamp: Date.now(),
+      type: eventType,
+      size: JSON.stringify(parsed).length
+    });
+
+    const { maxBufferSize } = this.options;
+    if (this.eventBuffer.length > maxBufferSize) {
+      this.eventBuffer = this.eventBuffer.slice(-Math.floor(maxBufferSize * 0.8));
+    }
+
+    this.notify('message', parsed, { type: eventType, id: eventId });
+    this.dispatchTypedEvent(eventType, parsed, eventId);
+  }
+
+  // 재전송 페이지 완료 처리 및 확인(ack) 콜백 호출
+  finishReplayPage({ page, totalPages }) {
+    const prev = this.state.replayProgress;
+    const progress = completeReplayPage(prev, { page, totalPages });
+    const pageInfo = toReplayPageInfo(prev, { page: progress.page, lastEventId: this.state.lastEventId });
+    this.setState({ replayProgress: progress });
+    this.notify('replayPage', pageInfo);
+
+    const { ackReplayPage } = this.options;
+    if (!ackReplayPage) return;
+
+    Promise.resolve()
+      .then(() => ackReplayPage(pageInfo))
+      .then(() => {
+        const current = this.state.replayProgress;
+        if (current.isReplaying) {
+          this.setState({ replayProgress: { ...current, acknowledgedPages: current.acknowledgedPages + 1 } });
+        }
+      })
+      .catch((error) => this.notify('replayAckError', error, pageInfo));
+  }
+
+  // 일시정지 중 도착한 이벤트 보관, 한도를 넘으면 스트림을 끊고 재개 시 lastEventId부터 다시 수신
+  queueReplayEvent(event) {
+    if (this.replaySuspended) return;
+
+    this.replayQueue.push(event);
+    const progress = this.state.replayProgress;
+    if (this.replayQueue.length <= this.options.replayPauseBufferSize) {
+      this.setState({ replayProgress: { ...progress, queued: this.replayQueue.length } });
+      return;
+    }
+
+    this.replayQueue = [];
+    this.replaySuspended = true;
+    this.disconnect();
+    this.setState({ replayProgress: { ...progress, queued: 0 } });
+    this.notify('replaySuspended', this.state.lastEventId);
+  }
+
+  // 일시정지 보관 한도 초과로 끊었던 재전송은 다시 연결하면 서버가 lastEventId부터 다시 보냄
+  clearReplaySuspension() {
+    if (!this.replaySuspended) return;
+    this.replaySuspended = false;
+    this.setState({ replayProgress: INITIAL_REPLAY_PROGRESS });
+  }
+
+  // 재전송 일시정지 (이벤트는 계속 수신하되 소비자 전달과 페이지 확인을 보류)
+  pauseReplay() {
+    const progress = this.state.replayProgress;
+    if (!progress.isReplaying || progress.isPaused || progress.isCancelled) return;
+
+    this.setState({ replayProgress: { ...progress, isPaused: true } });
+    this.notify('replayPause', this.state.replayProgress);
+  }
+
+  resumeReplay() {
+    const progress = this.state.replayProgress;
+    if (!progress.isPaused) return;
+
+    if (this.replaySuspended) {
+      this.notify('replayResume', progress);
+      this.connect();
+      return;
+    }
+
+    const queue = this.replayQueue;
+    this.replayQueue = [];
+    this.setState({ replayProgress: { ...progress, isPaused: false, queued: 0 } });
+    this.notify('replayResume', this.state.replayProgress);
+    queue.forEach(event => this.sequencer.push(event));
+  }
+
+  // 재전송 취소: 남은 재전송 이벤트는 건너뛰고 replay_end 이후 실시간 이벤트부터 전달
+  cancelReplay() {
+    const progress = this.state.replayProgress;
+    if (!progress.isReplaying || progress.isCancelled) return;
+
+    if (this.replaySuspended) {
+      this.replaySuspended = false;
+      this.setState({ replayProgress: INITIAL_REPLAY_PROGRESS });
+      this.notify('replayCancel', progress);
+      return;
+    }
+
+    const queue = this.replayQueue;
+    this.replayQueue = [];
+    this.setState({ replayProgress: { ...progress, isPaused: false, isCancelled: true, queued: 0 } });
+    this.notify('replayCancel', this.state.replayProgress);
+    queue.forEach(event => this.sequencer.push(event));
+  }
+
+  // 타입별 구독자에게 전달하고 타입별 최신 값/횟수 갱신
+  dispatchTypedEvent(eventType, data, eventId) {
+    const prev = this.eventTypeSnapshots.get(eventType);
+    const snapshot = {
+      data,
+      id: eventId,
+      count: (prev?.count || 0) + 1,
+      receivedAt: Date.now()
+    };
+    this.eventTypeSnapshots.set(eventType, snapshot);
+
+    const meta = { type: eventType, id: eventId, count: snapshot.count };
+    this.typedEvents.emit(eventType, data, meta);
+    this.typedEvents.emit(ALL_EVENT_TYPES, data, meta);
+  }
+
+  // 이름 있는 SSE 이벤트 구독 (구독 해제 함수 반환)
+  subscribe(eventType, handler) {
+    return this.typedEvents.on(eventType, handler);
+  }
+
+  getEventTypeSnapshot(eventType) {
+    return this.eventTypeSnapshots.get(eventType) || EMPTY_EVENT_TYPE_SNAPSHOT;
+  }
+
+  // 타입별 수신 횟수
+  getEventTypeStats() {
+    const stats = {};
+    this.eventTypeSnapshots.forEach((snapshot, eventType) => {
+      stats[eventType] = snapshot.count;
+    });
+    return stats;
+  }
+
+  // SSE 연결
+  async connect(connectOptions = {}) {
+    const options = this.options;
+
+    if (!this.url) {
+      this.setState({ error: 'URL이 제공되지 않았습니다' });
+      return;
+    }
+
+    let transport;
+    try {
+      transport = resolveTransport(options.transport);
+    } catch (transportError) {
+      this.setState({ error: transportError.message });
+      return;
+    }
+
+    if (this.abortController) {
+      this.notify('duplicateConnection');
+      return;
+    }
+
+    // 네트워크 상태 확인
+    if (!this.state.networkStatus.isOnline) {
+      this.setState({ error: '네트워크 연결을 확인해주세요' });
+      this.notify('networkUnavailable');
+      return;
+    }
+
+    this.clearReconnectTimeout();
+
+    this.clearReplaySuspension();
+
+    const controller = new AbortController();
+    this.abortController = controller;
+    const { signal } = controller;
+    const transportName = typeof options.transport === 'function'
+      ? (options.transport.name || 'custom')
+      : options.transport;
+
+    this.setState({ connectionState: CONNECTION_STATES.CONNECTING });
+
+    try {
+      // 영속화를 쓰지 않으면 트랜스포트를 동기적으로 시작
+      if (this.getPersistence() && !this.persistenceRestored) {
+        await this.restorePersistedState();
+        if (signal.aborted) return;
+      }
+
+      // 동기 제공 함수면 기다리지 않음 (트랜스포트를 동기적으로 시작)
+      const auth = normalizeAuth(options.auth);
+      let authToken = null;
+      if (auth) {
+        try {
+          authToken = getAuthToken(auth);
+          if (typeof authToken?.then === 'function') {
+            authToken = await authToken;
+            if (signal.aborted) return;
+          }
+        } catch (authError) {
+          throw Object.assign(new Error(`인증 토큰을 가져오지 못했습니다: ${authError.message}`), { cause: 'auth_error' });
+        }
+      }
+
+      const { lastEventId } = this.state;
+      const headers = {
+        'Accept': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Enable-Paging': options.enablePaging ? 'true' : 'false',
+        'X-Page-Size': options.pageSize.toString(),
+        'X-Max-Replay-Events': options.maxReplayEvents.toString(),
+        'X-Enable-Heartbeat': options.enableHeartbeat ? 'true' : 'false',
+        'X-Heartbeat-Interval': options.heartbeatInterval.toString()
+      };
+
+      // 마지막 이벤트 ID가 있으면 기본 헤더에 포함
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+        this.notify('resumeFromLastEvent', lastEventId);
+      }
+
+      if (options.headers) {
+        Object.assign(headers, options.headers);
+      }
+
+      const { url, headers: authHeaders } = auth
+        ? applyAuthToken(auth, authToken, { url: this.url, headers })
+        : { url: this.url, headers };
+      Object.assign(headers, authHeaders);
+
+      // connect() 호출 시 전달받은 headers 병합 (우선순위 높음)
+      if (connectOptions.headers) {
+        Object.assign(headers, connectOptions.headers);
+      }
+
+      const connectionCount = this.state.connectionCount + 1;
+      this.connectionStartTime = Date.now();
+      this.setState({ error: null, connectionCount });
+
+      await transport({
+        url,
+        headers,
+        withCredentials: options.withCredentials,
+        signal,
+        eventTypes: options.eventTypes,
+        pollInterval: options.pollInterval,
+        pollTimeout: options.pollTimeout
+      }, {
+        onOpen: () => {
+          this.reconnectAttempts = 0;
+          this.authRefreshedForRetry = false;
+          this.lastHeartbeat = Date.now();
+          this.setState({
+            connectionState: CONNECTION_STATES.CONNECTED,
+            nextReconnectDelay: null,
+            nextReconnectAt: null
+          });
+          this.updateMetrics('connection');
+          this.startHeartbeatCheck();
+          this.scheduleAuthRefresh();
+          this.notify('open', {
+            connectionCount,
+            resumedFromEventId: lastEventId,
+            transport: transportName
+          });
+        },
+        onEvent: (event) => this.handleRawEvent(event),
+        onRetry: (retryMs) => {
+          if (retryMs > 0) {
+            this.serverRetry = retryMs;
+            this.notify('retryIntervalUpdate', retryMs);
+          }
+        },
+        // 서버가 주석(:)을 keep-alive로 보내므로 하트비트로 간주
+        onComment: () => {
+          this.lastHeartbeat = Date.now();
+        }
+      });
+
+      // 서버가 스트림을 닫으면 EventSource와 같이 재연결
+      if (!signal.aborted) {
+        throw new Error('서버가 스트림을 종료했습니다');
+      }
+    } catch (err) {
+      if (err.name === 'AbortError' || this.abortController !== controller) return;
+
+      // 재연결 시 중복 연결로 판단하지 않도록 정리
+      this.abortController = null;
+      this.stopHeartbeatCheck();
+      this.clearAuthRefreshTimer();
+
+      const errorType = typeof err.cause === 'string'
+        ? err.cause
+        : this.categorizeError(err, { status: err.status });
+      this.setState({
+        connectionState: CONNECTION_STATES.DISCONNECTED,
+        error: `연결 오류 (${errorType}): ${err.message}`
+      });
+      this.updateMetrics('error');
+      this.notify('error', err, errorType, {
+        attempt: this.reconnectAttempts + 1,
+        maxAttempts: options.maxReconnectAttempts
+      });
+
+      // 인증 오류는 토큰을 갱신한 뒤 바로 재연결 (긴 auth_error 대기 없이)
+      if (errorType === 'auth_error' && options.reconnect && options.refreshAuth && !this.authRefreshedForRetry) {
+        this.authRefreshedForRetry = true;
+        this.reconnectAfterAuthRefresh();
+        return;
+      }
+
+      this.scheduleReconnect(errorType);
+    } finally {
+      if (controller.signal.aborted && this.abortController === controller) {
+        this.abortController = null;
+        this.stopHeartbeatCheck();
+        this.setState({ connectionState: CONNECTION_STATES.DISCONNECTED });
+        this.notify('close', { reason: 'aborted', uptime: this.getUptime() });
+      }
+    }
+  }
+
+  // 재연결 예약 (시도 횟수를 넘으면 실패 상태)
+  scheduleReconnect(errorType) {
+    const { options } = this;
+    if (options.reconnect && this.reconnectAttempts < options.maxReconnectAttempts) {
+      this.reconnectAttempts += 1;
+      const delay = this.getReconnectDelay(this.reconnectAttempts, errorType);
+
+      this.setState({
+        connectionState: CONNECTION_STATES.RECONNECTING,
+        nextReconnectDelay: delay,
+        nextReconnectAt: Date.now() + delay
+      });
+      this.updateMetrics('reconnect');
+      this.notify('reconnectAttempt', this.reconnectAttempts, delay, errorType);
+
+      this.reconnectTimeout = setTimeout(() => {
+        this.reconnectTimeout = null;
+        this.connect();
+      }, delay);
+    } else {
+      this.setState({
+        connectionState: CONNECTION_STATES.FAILED,
+        nextReconnectDelay: null,
+        nextReconnectAt: null
+      });
+      this.notify('reconnectFailed', this.reconnectAttempts, errorType);
+    }
+  }
+
+  // 토큰 갱신 (single-flight), 성공 여부 반환
+  refreshAuthentication(reason) {
+    if (this.authRefreshPromise) return this.authRefreshPromise;
+    if (!this.options.refreshAuth) return Promise.resolve(false);
+
+    this.notify('authRefreshStart', reason);
+    this.authRefreshPromise = Promise.resolve()
+      .then(() => this.options.refreshAuth(reason))
+      .then((result) => {
+        if (result === null || result === false) return false;
+        this.notify('authRefreshed', reason);
+        return true;
+      }, (error) => {
+        this.notify('authRefreshFailed', error, reason);
+        return false;
+      })
+      .finally(() => {
+        this.authRefreshPromise = null;
+      });
+    return this.authRefreshPromise;
+  }
+
+  // auth_error 후 갱신에 성공하면 바로 재연결, 실패하면 일반 재연결 정책
+  async reconnectAfterAuthRefresh() {
+    this.setState({
+      connectionState: CONNECTION_STATES.RECONNECTING,
+      nextReconnectDelay: null,
+      nextReconnectAt: null
+    });
+    const refreshed = await this.refreshAuthentication('auth_error');
+
+    // 갱신 중에 연결을 종료했거나 다른 연결이 시작됐으면 중단
+    if (this.state.connectionState !== CONNECTION_STATES.RECONNECTING || this.abortController || this.reconnectTimeout) return;
+    if (refreshed) {
+      this.updateMetrics('reconnect');
+      this.connect();
+    } else {
+      this.scheduleReconnect('auth_error');
+    }
+  }
+
+  // 만료 authRefreshLeadTime 전에 갱신하고 스트림을 새 토큰으로 다시 연결
+  scheduleAuthRefresh() {
+    this.clearAuthRefreshTimer();
+    const { refreshAuth, getAuthExpiry, authRefreshLeadTime } = this.options;
+    if (!refreshAuth || !getAuthExpiry) return;
+
+    const expiresAt = getAuthExpiry();
+    if (!expiresAt) return;
+
+    const delay = Math.max(expiresAt - authRefreshLeadTime - Date.now(), 0);
+    this.authRefreshTimer = setTimeout(async () => {
+      this.authRefreshTimer = null;
+      const refreshed = await this.refreshAuthentication('expiring');
+      if (refreshed && this.state.connectionState === CONNECTION_STATES.CONNECTED) {
+        this.restartStream();
+      }
+    }, delay);
+  }
+
+  clearAuthRefreshTimer() {
+    if (this.authRefreshTimer) {
+      clearTimeout(this.authRefreshTimer);
+      this.authRefreshTimer = null;
+    }
+  }
+
+  // 현재 스트림을 조용히 닫고 lastEventId부터 다시 연결 (close 알림 없음)
+  restartStream() {
+    const controller = this.abortController;
+    this.abortController = null;
+    controller?.abort();
+    this.stopHeartbeatCheck();
+    this.sequencer.flush();
+    this.connect();
+  }
+
+  // 연결 종료
+  disconnect() {
+    this.clearReconnectTimeout();
+    this.clearAuthRefreshTimer();
+    this.stopHeartbeatCheck();
+
+    const controller = this.abortController;
+    this.abortController = null;
+    controller?.abort();
+    this.sequencer.flush();
+    this.replayQueue = [];
+    this.persistence?.flush();
+
+    this.setState({
+      connectionState: CONNECTION_STATES.DISCONNECTED,
+      error: null,
+      replayProgress: INITIAL_REPLAY_PROGRESS,
+      nextReconnectDelay: null,
+      nextReconnectAt: null
+    });
+
+    this.notify('close', { reason: 'manual', uptime: this.getUptime() });
+  }
+
+  // 강제 재연결
+  forceReconnect() {
+    this.disconnect();
+    this.reconnectAttempts = 0;
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, 1000);
+  }
+
+  clearReconnectTimeout() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+  }
+
+  // 하트비트 체크
+  startHeartbeatCheck() {
+    this.stopHeartbeatCheck();
+
+    const { enableHeartbeat, heartbeatInterval } = this.options;
+    if (!enableHeartbeat) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      const timeSinceLastHeartbeat = Date.now() - this.lastHeartbeat;
+      if (timeSinceLastHeartbeat <= heartbeatInterval * 2) return;
+
+      this.notify('heartbeatMissed', timeSinceLastHeartbeat);
+      this.updateMetrics('connectionLost');
+      if (this.options.reconnect) {
+        this.disconnect();
+        this.setState({ error: '하트비트 타임아웃' });
+        this.reconnectTimeout = setTimeout(() => {
+          this.reconnectTimeout = null;
+          this.connect();
+        }, 3000);
+      }
+    }, heartbeatInterval);
+  }
+
+  stopHeartbeatCheck() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  // 네트워크 상태 모니터링 (해제 함수 반환)
+  enableNetworkMonitor() {
+    const scope = this.globalScope;
+    if (this.networkMonitorCleanup) return this.networkMonitorCleanup;
+    if (!scope?.addEventListener) return () => {};
+
+    const handleOnline = () => {
+      const now = Date.now();
+      const downtime = this.offlineSince ? now - this.offlineSince : 0;
+      this.offlineSince = null;
+      this.setState({
+        networkStatus: { isOnline: true, lastOnlineTime: now, downtime }
+      });
+
+      if (this.state.connectionState !== CONNECTION_STATES.CONNECTED && this.options.reconnect) {
+        this.notify('networkRestore', downtime);
+        this.clearReconnectTimeout();
+        this.reconnectTimeout = setTimeout(() => {
+          this.reconnectTimeout = null;
+          this.connect();
+        }, 1000);
+      }
+    };
+
+    const handleOffline = () => {
+      this.offlineSince = Date.now();
+      this.setState({
+        networkStatus: { ...this.state.networkStatus, isOnline: false },
+        error: '네트워크 연결이 끊어졌습니다'
+      });
+      this.notify('networkLost');
+    };
+
+    scope.addEventListener('online', handleOnline);
+    scope.addEventListener('offline', handleOffline);
+
+    this.networkMonitorCleanup = () => {
+      scope.removeEventListener('online', handleOnline);
+      scope.removeEventListener('offline', handleOffline);
+      this.networkMonitorCleanup = null;
+    };
+    return this.networkMonitorCleanup;
+  }
+
+  disableNetworkMonitor() {
+    this.networkMonitorCleanup?.();
+  }
+
+  // 실행 환경 리소스 연결 (React에서는 마운트 시 호출), 해제 함수 반환
+  attach() {
+    const stopNetworkMonitor = this.enableNetworkMonitor();
+    if (typeof window === 'undefined') return stopNetworkMonitor;
+
+    // 페이지를 떠날 때 저장 대기 중인 상태 기록
+    const handlePageHide = () => this.persistence?.flush();
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      stopNetworkMonitor();
+      window.removeEventListener('pagehide', handlePageHide);
+    };
+  }
+
+  getUptime() {
+    return this.connectionStartTime ? Date.now() - this.connectionStartTime : 0;
+  }
+
+  // 이벤트 버퍼 조회
+  getEventBuffer() {
+    return [...this.eventBuffer];
+  }
+
+  // 메트릭스 조회
+  getMetrics() {
+    const metrics = { ...this.metrics, ...this.sequencer.getStats() };
+    if (this.connectionStartTime && this.state.connectionState === CONNECTION_STATES.CONNECTED) {
+      metrics.connectionUptime = Date.now() - this.connectionStartTime;
+    }
+    return metrics;
+  }
+
+  // 슬라이딩 윈도우 시계열 메트릭 (요약 백분위 + 버킷별 값)
+  getTimeSeriesMetrics() {
+    const now = Date.now();
+    return {
+      summary: this.timeSeries.getSummary(now),
+      series: this.timeSeries.getSeries(now)
+    };
+  }
+
+  // 연결 종료 및 모든 리스너 해제
+  destroy() {
+    this.disconnect();
+    this.disableNetworkMonitor();
+    this.removeAllListeners();
+    this.typedEvents.removeAllListeners();
+    this.destroyed = true;
+  }
+}
+
+export default SSEClient;
@@ -0,0 +1,382 @@
+import SSEClient from './SSEClient';
+import { createMemoryStorage } from './persistence';
+import { CONNECTION_STATES } from '../utils/constants';
+
+// 테스트용 트랜스포트: 열린 뒤 주어진 이벤트를 보내고 중단될 때까지 대기
+const createTestTransport = (events = []) => jest.fn(({ signal }, handlers) => new Promise((resolve, reject) => {
+  handlers.onOpen({ status: 200 });
+  events.forEach(event => handlers.onEvent(event));
+  signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+}));
+
+const createClient = (options = {}) => new SSEClient('http://localhost/sse', {
+  monitorNetwork: false,
+  enableHeartbeat: false,
+  ...options
+});
+
+test('emits messages, buffers events and tracks lastEventId without React', async () => {
+  const onMessage = jest.fn();
+  const transport = createTestTransport([
+    { type: 'notification', data: '{"text":"hi"}', id: '1-1' },
+    { type: 'message', data: 'plain', id: '1-2' }
+  ]);
+  const client = createClient({ transport, onMessage });
+  const listener = jest.fn();
+  client.on('message', listener);
+
+  client.connect();
+  await Promise.resolve();
+
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+  expect(client.getState().lastEventId).toBe('1-2');
+  expect(listener).toHaveBeenCalledWith({ text: 'hi' }, { type: 'notification', id: '1-1' });
+  expect(onMessage).toHaveBeenCalledWith('plain', { type: 'message', id: '1-2' });
+  expect(client.getEventBuffer().map(e => e.id)).toEqual(['1-1']);
+  expect(client.getMetrics().totalEvents).toBe(1);
+
+  client.destroy();
+});
+
+test('sends Last-Event-ID on the next connect and closes cleanly on disconnect', async () => {
+  const transport = createTestTransport([{ type: 'message', data: '{}', id: '7' }]);
+  const onClose = jest.fn();
+  const client = createClient({ transport, onClose });
+
+  client.connect();
+  await Promise.resolve();
+  client.disconnect();
+  await Promise.resolve();
+
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.DISCONNECTED);
+  expect(onClose).toHaveBeenCalledTimes(1);
+  expect(onClose.mock.calls[0][0].reason).toBe('manual');
+
+  client.connect();
+  expect(transport.mock.calls[1][0].headers['Last-Event-ID']).toBe('7');
+  client.destroy();
+});
+
+test('schedules a reconnect with the policy delay after a failure', async () => {
+  jest.useFakeTimers();
+  const transport = jest.fn()
+    .mockRejectedValueOnce(Object.assign(new Error('서버 오류: 503'), { status: 503 }))
+    .mockImplementation(createTestTransport());
+  const onReconnectAttempt = jest.fn();
+  const client = createClient({ transport, onReconnectAttempt, reconnectInterval: 0 });
+
+  await client.connect();
+
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.RECONNECTING);
+  expect(onReconnectAttempt).toHaveBeenCalledWith(1, expect.any(Number), 'server_error');
+  const delay = client.getState().nextReconnectDelay;
+  expect(delay).toBeGreaterThanOrEqual(2000);
+
+  jest.advanceTimersByTime(delay);
+  expect(transport).toHaveBeenCalledTimes(2);
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+
+  client.destroy();
+  jest.useRealTimers();
+});
+
+test('delivers named events only to subscribers of that type', async () => {
+  const transport = createTestTransport([
+    { type: 'notification', data: '{"n":1}', id: '1' },
+    { type: 'order_update', data: '{"o":1}', id: '2' },
+    { type: 'notification', data: '{"n":2}', id: '3' }
+  ]);
+  const client = createClient({ transport });
+  const notifications = jest.fn();
+  const unsubscribe = client.subscribe('notification', notifications);
+
+  client.connect();
+  await Promise.resolve();
+
+  expect(notifications).toHaveBeenCalledTimes(2);
+  expect(notifications).toHaveBeenLastCalledWith({ n: 2 }, { type: 'notification', id: '3', count: 2 });
+  expect(client.getEventTypeSnapshot('order_update')).toMatchObject({ data: { o: 1 }, count: 1 });
+  expect(client.getEventTypeStats()).toEqual({ notification: 2, order_update: 1 });
+  expect(client.getEventTypeSnapshot('unknown')).toBe(client.getEventTypeSnapshot('other'));
+
+  unsubscribe();
+  expect(client.typedEvents.listenerCount('notification')).toBe(0);
+  client.destroy();
+});
+
+test('resumes from the persisted lastEventId and buffer after a reload', async () => {
+  const storage = createMemoryStorage();
+  const persistence = { key: 'account-1', storage, throttleMs: 0 };
+
+  const before = createClient({ transport: createTestTransport([{ type: 'message', data: '{"n":1}', id: '5-1' }]), persistence });
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  before.connect();
+  await flush();
+  before.destroy();
+  await flush();
+
+  const transport = createTestTransport();
+  const after = createClient({ transport, persistence });
+  after.connect();
+  await flush();
+
+  expect(transport.mock.calls[0][0].headers['Last-Event-ID']).toBe('5-1');
+  expect(after.getEventBuffer().map(e => e.id)).toEqual(['5-1']);
+
+  await after.clearPersistedState();
+  expect(await storage.get('http://localhost/sse::account-1')).toBeNull();
+  after.destroy();
+});
+
+test('starts over from the new key\'s saved state when the persistence key changes', async () => {
+  const storage = createMemoryStorage();
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  await storage.set('http://localhost/sse::account-2', { lastEventId: '9-1', buffer: [{ id: '9-1', data: {} }] });
+
+  const transport = createTestTransport([{ type: 'message', data: '{"n":1}', id: '5-1' }]);
+  const client = createClient({ transport, persistence: { key: 'account-1', storage, throttleMs: 0 } });
+  client.connect();
+  await flush();
+  client.disconnect();
+
+  client.setOptions({ transport, persistence: { key: 'account-2', storage, throttleMs: 0 } });
+  expect(client.getState().lastEventId).toBeNull();
+  expect(client.getEventBuffer()).toEqual([]);
+
+  client.connect();
+  await flush();
+  expect(transport.mock.calls[1][0].headers['Last-Event-ID']).toBe('9-1');
+  expect(client.getEventBuffer().map(e => e.id)).toEqual(['9-1', '5-1']);
+  client.destroy();
+});
+
+test('drops replayed duplicates and reports them in metrics', async () => {
+  const onMessage = jest.fn();
+  const transport = createTestTransport([
+    { type: 'message', data: '{"n":1}', id: '3-1' },
+    { type: 'message', data: '{"n":2}', id: '3-2' },
+    { type: 'message', data: '{"n":2}', id: '3-2' }
+  ]);
+  const onRawEvent = jest.fn();
+  const client = createClient({ transport, onMessage, onRawEvent });
+
+  client.connect();
+  await Promise.resolve();
+
+  expect(onMessage).toHaveBeenCalledTimes(2);
+  // 원본 이벤트는 중복 제거 전에 모두 알림
+  expect(onRawEvent.mock.calls.map(([event]) => event.id)).toEqual(['3-1', '3-2', '3-2']);
+  expect(client.getMetrics()).toMatchObject({ totalEvents: 2, duplicatesDropped: 1 });
+  client.destroy();
+});
+
+test('pauses replay delivery, acknowledges each page and skips the rest on cancel', async () => {
+  const replay = (type, payload = {}) => ({ type, data: JSON.stringify({ type, ...payload }), id: null });
+  const onMessage = jest.fn();
+  const ackReplayPage = jest.fn();
+  let handlers;
+  const transport = jest.fn((request, nextHandlers) => {
+    handlers = nextHandlers;
+    handlers.onOpen({ status: 200 });
+    return new Promise(() => {});
+  });
+  const client = createClient({ transport, onMessage, ackReplayPage, pageSize: 2 });
+
+  client.connect();
+  handlers.onEvent(replay('replay_start', { totalEvents: 4 }));
+  handlers.onEvent({ type: 'message', data: '{"n":1}', id: '1' });
+  handlers.onEvent({ type: 'message', data: '{"n":2}', id: '2' });
+  handlers.onEvent(replay('replay_progress', { processedEvents: 2 }));
+  await Promise.resolve();
+  await Promise.resolve();
+
+  expect(ackReplayPage).toHaveBeenCalledWith(expect.objectContaining({ page: 1, events: 2, lastEventId: '2' }));
+  expect(client.getState().replayProgress).toMatchObject({ page: 1, totalPages: 2, acknowledgedPages: 1 });
+
+  client.pauseReplay();
+  handlers.onEvent({ type: 'message', data: '{"n":3}', id: '3' });
+  expect(onMessage).toHaveBeenCalledTimes(2);
+  expect(client.getState().replayProgress).toMatchObject({ isPaused: true, queued: 1 });
+  expect(client.getState().lastEventId).toBe('2');
+
+  client.cancelReplay();
+  handlers.onEvent({ type: 'message', data: '{"n":4}', id: '4' });
+  handlers.onEvent(replay('replay_end', { processedEvents: 4 }));
+  handlers.onEvent({ type: 'message', data: '{"live":true}', id: '5' });
+  await Promise.resolve();
+
+  expect(onMessage).toHaveBeenCalledTimes(3);
+  expect(onMessage).toHaveBeenLastCalledWith({ live: true }, { type: 'message', id: '5' });
+  expect(ackReplayPage).toHaveBeenLastCalledWith(expect.objectContaining({ page: 2, skipped: true }));
+  expect(client.getState().replayProgress.isReplaying).toBe(false);
+  client.destroy();
+});
+
+// 갱신/재연결 Promise 체인이 끝날 때까지 대기
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) await Promise.resolve();
+};
+
+const authError = () => Object.assign(new Error('인증 오류: 401'), { status: 401 });
+
+test('refreshes the token once on auth_error and resumes from lastEventId', async () => {
+  const transport = jest.fn()
+    .mockImplementationOnce(createTestTransport([{ type: 'message', data: '{}', id: '3-1' }]))
+    .mockRejectedValueOnce(authError())
+    .mockImplementation(createTestTransport());
+  const refreshAuth = jest.fn(async () => {});
+  const onAuthRefreshed = jest.fn();
+  const client = createClient({ transport, refreshAuth, onAuthRefreshed });
+
+  client.connect();
+  await Promise.resolve();
+  client.restartStream();
+  await flushPromises();
+
+  expect(refreshAuth).toHaveBeenCalledTimes(1);
+  expect(onAuthRefreshed).toHaveBeenCalledWith('auth_error');
+  expect(transport).toHaveBeenCalledTimes(3);
+  expect(transport.mock.calls[2][0].headers['Last-Event-ID']).toBe('3-1');
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+  client.destroy();
+});
+
+test('falls back to the reconnect policy when the refresh fails', async () => {
+  jest.useFakeTimers();
+  const transport = jest.fn().mockRejectedValue(authError());
+  const failure = new Error('refresh 401');
+  const onAuthRefreshFailed = jest.fn();
+  const onReconnectAttempt = jest.fn();
+  const client = createClient({
+    transport,
+    refreshAuth: jest.fn().mockRejectedValue(failure),
+    onAuthRefreshFailed,
+    onReconnectAttempt
+  });
+
+  await client.connect();
+  await flushPromises();
+
+  expect(onAuthRefreshFailed).toHaveBeenCalledWith(failure, 'auth_error');
+  expect(onReconnectAttempt).toHaveBeenCalledWith(1, expect.any(Number), 'auth_error');
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.RECONNECTING);
+  client.destroy();
+  jest.useRealTimers();
+});
+
+test('keeps the stream open when the pre-expiry refresh was skipped', async () => {
+  jest.useFakeTimers();
+  const transport = jest.fn(createTestTransport());
+  const onAuthRefreshed = jest.fn();
+  const client = createClient({
+    transport,
+    refreshAuth: jest.fn(async () => false),
+    onAuthRefreshed,
+    getAuthExpiry: () => Date.now() + 90000,
+    authRefreshLeadTime: 60000
+  });
+
+  client.connect();
+  await Promise.resolve();
+  jest.advanceTimersByTime(30000);
+  await flushPromises();
+
+  expect(client.options.refreshAuth).toHaveBeenCalledWith('expiring');
+  expect(onAuthRefreshed).not.toHaveBeenCalled();
+  expect(transport).toHaveBeenCalledTimes(1);
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+  client.destroy();
+  jest.useRealTimers();
+});
+
+test('reports a refresh only when AuthSession actually refreshed', async () => {
+  const onAuthRefreshed = jest.fn();
+  // AuthSession.refresh: 갱신하면 응답 데이터, 건너뛰면 null
+  const refreshAuth = jest.fn()
+    .mockResolvedValueOnce(null)
+    .mockResolvedValueOnce({ token: 'next' });
+  const client = createClient({ refreshAuth, onAuthRefreshed });
+
+  await expect(client.refreshAuthentication('manual')).resolves.toBe(false);
+  expect(onAuthRefreshed).not.toHaveBeenCalled();
+
+  await expect(client.refreshAuthentication('manual')).resolves.toBe(true);
+  expect(onAuthRefreshed).toHaveBeenCalledWith('manual');
+  client.destroy();
+});
+
+test('shares one in-flight refresh and refreshes before the token expires', async () => {
+  jest.useFakeTimers();
+  let resolveRefresh;
+  const refreshAuth = jest.fn(() => new Promise(resolve => { resolveRefresh = resolve; }));
+  const transport = jest.fn(createTestTransport());
+  const client = createClient({
+    transport,
+    refreshAuth,
+    getAuthExpiry: () => Date.now() + 90000,
+    authRefreshLeadTime: 60000
+  });
+
+  client.connect();
+  await Promise.resolve();
+  jest.advanceTimersByTime(30000);
+  const manual = client.refreshAuthentication('manual');
+  await Promise.resolve();
+  expect(manual).toBe(client.authRefreshPromise);
+  expect(refreshAuth).toHaveBeenCalledTimes(1);
+
+  resolveRefresh();
+  await expect(manual).resolves.toBe(true);
+  await flushPromises();
+
+  expect(transport).toHaveBeenCalledTimes(2);
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.CONNECTED);
+  client.destroy();
+  jest.useRealTimers();
+});
+
+test('asks the auth provider for a fresh token on every connect', async () => {
+  const transport = jest.fn(createTestTransport());
+  const tokens = ['t1', 't2'];
+  const client = createClient({ transport, auth: () => tokens.shift() });
+
+  client.connect();
+  expect(transport.mock.calls[0][0].headers.Authorization).toBe('Bearer t1');
+  client.restartStream();
+  expect(transport.mock.calls[1][0].headers.Authorization).toBe('Bearer t2');
+  client.destroy();
+
+  const queryTransport = jest.fn(createTestTransport());
+  const queryClient = createClient({
+    transport: queryTransport,
+    auth: { getToken: async () => 'q1', type: 'query' }
+  });
+  queryClient.connect();
+  await flushPromises();
+  expect(queryTransport.mock.calls[0][0].url).toBe('http://localhost/sse?access_token=q1');
+  expect(queryTransport.mock.calls[0][0].headers.Authorization).toBeUndefined();
+  queryClient.destroy();
+});
+
+test('treats a failing auth provider as an auth_error', async () => {
+  jest.useFakeTimers();
+  const transport = jest.fn(createTestTransport());
+  const onError = jest.fn();
+  const client = createClient({
+    transport,
+    onError,
+    auth: async () => { throw new Error('no session'); }
+  });
+
+  await client.connect();
+
+  expect(transport).not.toHaveBeenCalled();
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: '인증 토큰을 가져오지 못했습니다: no session' }), 'auth_error', expect.anything());
+  expect(client.getState().connectionState).toBe(CONNECTION_STATES.RECONNECTING);
+  client.destroy();
+  jest.useRealTimers();
+});
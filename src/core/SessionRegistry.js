@@ -0,0 +1,124 @@
+// src/core/SessionRegistry.js
+// 이름 붙인 인증 세션 목록 (계정별 토큰 보관, 활성 세션 전환)
+// - cookie 모드: 브라우저의 access_token 쿠키로 인증 (한 번에 하나만 활성, 전환하면 쿠키를 교체)
+// - bearer 모드: 쿠키 없이 Authorization 헤더로 인증 (여러 세션을 동시에 사용 가능)
+// - 구독/테스트 클라이언트는 getHeaders(name)로 특정 세션에 묶음
+// - 토큰은 sessionStorage에만 저장 (탭을 닫으면 삭제), 로그인 입력값(credentials)은 메모리에만 보관
+// - 이벤트: state
+import EventEmitter from './EventEmitter';
+import { createLocalStorage, createSessionStorage } from './persistence';
+import { decodeJWT } from '../utils/jwt';
+
+export const AUTH_MODES = {
+  COOKIE: 'cookie',
+  BEARER: 'bearer'
+};
+
+const STORAGE_KEY = 'sessions';
+
+// 로그인/갱신 응답 본문에서 토큰 추출 (필드명은 서버 구현마다 다름)
+export const extractToken = (data) => data?.accessToken ?? data?.access_token ?? data?.token ?? null;
+
+// 이전 버전이 localStorage에 남긴 토큰과 로그인 입력값 삭제
+export const removeLegacySessions = (storage = createLocalStorage('sse-auth:')) => storage.remove(STORAGE_KEY);
+
+const toSessionInfo = (session) => {
+  const payload = session.token ? decodeJWT(session.token) : null;
+  return {
+    ...session,
+    user: payload,
+    accountId: payload?.accountId ?? session.credentials?.accountId ?? null,
+    expiresAt: payload?.exp ? payload.exp * 1000 : null
+  };
+};
+
+class SessionRegistry extends EventEmitter {
+  constructor({ storage = createSessionStorage('sse-auth:') } = {}) {
+    super();
+    this.storage = storage;
+    this.sessions = [];
+    this.activeName = null;
+    this.state = { sessions: [], activeName: null };
+    // 복원 전에는 저장하지 않음 (저장된 목록을 덮어쓰지 않도록)
+    this.loaded = false;
+  }
+
+  // 저장된 세션 복원 (복원 전에 추가된 세션이 우선)
+  async load() {
+    try {
+      const saved = await this.storage.get(STORAGE_KEY);
+      if (saved) {
+        const names = new Set(this.sessions.map(session => session.name));
+        this.sessions = [...(saved.sessions || []).filter(session => !names.has(session.name)), ...this.sessions];
+        this.activeName = this.activeName ?? saved.activeName ?? null;
+      }
+    } finally {
+      this.loaded = true;
+      this.commit();
+    }
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  get(name) {
+    return this.state.sessions.find(session => session.name === name) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeName);
+  }
+
+  // 같은 이름이면 교체
+  add({ name, mode = AUTH_MODES.COOKIE, token, credentials = null }) {
+    const now = Date.now();
+    const session = { name, mode, token, credentials, addedAt: now, receivedAt: now };
+    this.sessions = [...this.sessions.filter(existing => existing.name !== name), session];
+    this.commit();
+    return this.get(name);
+  }
+
+  remove(name) {
+    this.sessions = this.sessions.filter(session => session.name !== name);
+    if (this.activeName === name) this.activeName = null;
+    this.commit();
+  }
+
+  setActive(name) {
+    if (name !== null && !this.sessions.some(session => session.name === name)) {
+      throw new Error(`세션을 찾을 수 없습니다: ${name}`);
+    }
+    this.activeName = name;
+    this.commit();
+    return this.getActive();
+  }
+
+  // receivedAt: 토큰을 받은 로컬 시각 (iat와 비교해 시계 오차 추정)
+  updateToken(name, token) {
+    if (!this.sessions.some(session => session.name === name && session.token !== token)) return;
+    this.sessions = this.sessions.map(session => (
+      session.name === name ? { ...session, token, receivedAt: Date.now() } : session
+    ));
+    this.commit();
+  }
+
+  // cookie 세션은 브라우저 쿠키가 인증하므로 추가 헤더 없음
+  getHeaders(name) {
+    const session = this.sessions.find(item => item.name === name);
+    if (!session || session.mode !== AUTH_MODES.BEARER || !session.token) return {};
+    return { Authorization: `Bearer ${session.token}` };
+  }
+
+  commit() {
+    this.state = { sessions: this.sessions.map(toSessionInfo), activeName: this.activeName };
+    this.emit('state', this.state);
+    if (this.loaded) {
+      const sessions = this.sessions.map(({ credentials, ...session }) => session);
+      this.storage.set(STORAGE_KEY, { sessions, activeName: this.activeName })
+        .catch(error => console.error('SessionRegistry 저장 오류:', error));
+    }
+  }
+}
+
+export default SessionRegistry;
@@ -0,0 +1,67 @@
+import SessionRegistry, { AUTH_MODES, extractToken } from './SessionRegistry';
+import { createMemoryStorage } from './persistence';
+
+const createToken = (payload) => ['header', btoa(JSON.stringify(payload)), 'signature'].join('.');
+
+test('keeps named sessions per account and switches the active one', () => {
+  const registry = new SessionRegistry({ storage: createMemoryStorage() });
+  const onState = jest.fn();
+  registry.on('state', onState);
+
+  registry.add({ name: 'alice', token: createToken({ accountId: 1, exp: 2000000000 }) });
+  registry.add({ name: 'bob', mode: AUTH_MODES.BEARER, token: createToken({ accountId: 2 }) });
+  registry.setActive('bob');
+
+  expect(registry.getState().sessions.map(session => [session.name, session.accountId])).toEqual([['alice', 1], ['bob', 2]]);
+  expect(registry.get('alice')).toMatchObject({ mode: AUTH_MODES.COOKIE, expiresAt: 2000000000000 });
+  expect(registry.getActive().name).toBe('bob');
+  expect(onState).toHaveBeenLastCalledWith(expect.objectContaining({ activeName: 'bob' }));
+  expect(() => registry.setActive('carol')).toThrow('세션을 찾을 수 없습니다: carol');
+
+  registry.remove('bob');
+  expect(registry.getActive()).toBeNull();
+});
+
+test('adds an Authorization header only for bearer sessions', () => {
+  const registry = new SessionRegistry({ storage: createMemoryStorage() });
+  registry.add({ name: 'cookie', token: 'c' });
+  registry.add({ name: 'bearer', mode: AUTH_MODES.BEARER, token: 'b' });
+
+  expect(registry.getHeaders('cookie')).toEqual({});
+  expect(registry.getHeaders('bearer')).toEqual({ Authorization: 'Bearer b' });
+  expect(registry.getHeaders('missing')).toEqual({});
+
+  registry.updateToken('bearer', 'b2');
+  expect(registry.getHeaders('bearer')).toEqual({ Authorization: 'Bearer b2' });
+  expect(extractToken({ access_token: 't' })).toBe('t');
+});
+
+test('restores saved sessions without overwriting ones added since', async () => {
+  const storage = createMemoryStorage();
+  const saved = new SessionRegistry({ storage });
+  await saved.load();
+  saved.add({ name: 'alice', token: 'old' });
+  saved.add({ name: 'bob', mode: AUTH_MODES.BEARER, token: 'b' });
+  saved.setActive('bob');
+  await Promise.resolve();
+
+  const restored = new SessionRegistry({ storage });
+  restored.add({ name: 'alice', token: 'new' });
+  await restored.load();
+
+  expect(restored.getState().sessions.map(session => [session.name, session.token])).toEqual([['bob', 'b'], ['alice', 'new']]);
+  expect(restored.getState().activeName).toBe('bob');
+});
+
+test('saves tokens without the login credentials', async () => {
+  const storage = createMemoryStorage();
+  const registry = new SessionRegistry({ storage });
+  await registry.load();
+  registry.add({ name: 'alice', token: 't', credentials: { accountId: 1, sessionId: 's', uuid: 'u' } });
+  await Promise.resolve();
+
+  expect(registry.get('alice').credentials).toEqual({ accountId: 1, sessionId: 's', uuid: 'u' });
+  const saved = await storage.get('sessions');
+  expect(saved.sessions).toEqual([expect.not.objectContaining({ credentials: expect.anything() })]);
+  expect(saved.sessions[0].token).toBe('t');
+});
@@ -0,0 +1,236 @@
+// src/core/SharedWorkerSSEClient.js
+// SharedWorker 안의 SSE 연결에 MessagePort로 붙는 클라이언트
+// - 워커가 원본 이벤트와 연결 상태를 중계하고, 탭에서는 이벤트를 직접 처리(버퍼, 메트릭스, 타입별 구독)
+// - SharedWorker를 쓸 수 없으면 일반 탭 연결(SSEClient)로 동작
+// - 토큰 갱신 함수는 워커로 보낼 수 없으므로 탭에서 갱신하고 워커에 재연결을 요청
+// - auth 토큰 제공 함수도 마찬가지로 탭에서 호출하고, 받은 토큰을 정적 auth 옵션으로 전달
+import SSEClient from './SSEClient';
+import { normalizeAuth, getAuthToken, toStaticAuth } from './authToken';
+import { CONNECTION_MODES, CONNECTION_STATES } from '../utils/constants';
+import { deserializeArg, toWorkerOptions } from '../workers/sharedWorkerProtocol';
+
+class SharedWorkerSSEClient extends SSEClient {
+  constructor(url, options = {}) {
+    super(url, options);
+    this.connectionMode = CONNECTION_MODES.SHARED_WORKER;
+    this.workerSupported = typeof SharedWorker !== 'undefined';
+    this.port = null;
+    this.portPromise = null;
+    this.pendingMessages = [];
+    this.postedOptions = null;
+    // 워커에 전달한 정적 auth 설정 (탭에서 받은 토큰 포함)
+    this.workerAuth = null;
+    this.attachedUrl = null;
+    this.handlePageHide = () => this.detachPort();
+  }
+
+  attach() {
+    if (!this.workerSupported) return super.attach();
+
+    this.ensurePort();
+    window.addEventListener('pagehide', this.handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      this.detachPort();
+    };
+  }
+
+  ensurePort() {
+    if (this.port || this.portPromise) return;
+
+    const portPromise = import('../workers/createSSESharedWorker')
+      .then(({ default: createSSESharedWorker }) => {
+        // 기다리는 동안 분리(detach)되었거나 다시 붙은 경우 무시
+        if (this.portPromise !== portPromise) return;
+
+        const worker = createSSESharedWorker();
+        this.port = worker.port;
+        this.port.onmessage = (e) => this.handleWorkerMessage(e.data);
+        this.port.start();
+        this.postAttach();
+        this.pendingMessages.forEach(message => this.port.postMessage(message));
+        this.pendingMessages = [];
+      })
+      .catch((error) => {
+        console.error('SharedWorker 생성 오류, 탭 연결로 전환:', error);
+        const shouldConnect = this.pendingMessages.some(message => message.kind === 'connect');
+        this.workerSupported = false;
+        this.portPromise = null;
+        this.pendingMessages = [];
+        this.enableNetworkMonitor();
+        if (shouldConnect) super.connect();
+      });
+    this.portPromise = portPromise;
+  }
+
+  getWorkerOptions() {
+    const workerOptions = toWorkerOptions(this.options);
+    if (this.workerAuth) workerOptions.auth = this.workerAuth;
+    return workerOptions;
+  }
+
+  postAttach() {
+    this.attachedUrl = this.url;
+    const workerOptions = this.getWorkerOptions();
+    this.postedOptions = JSON.stringify(workerOptions);
+    this.port.postMessage({ kind: 'attach', url: this.url, options: workerOptions });
+  }
+
+  // 옵션이 실제로 바뀐 경우에만 워커에 전달 (포트가 없으면 attach 때 함께 전달)
+  postWorkerOptions() {
+    if (!this.port) return;
+
+    const workerOptions = this.getWorkerOptions();
+    const serialized = JSON.stringify(workerOptions);
+    if (serialized !== this.postedOptions) {
+      this.postedOptions = serialized;
+      this.port.postMessage({ kind: 'options', options: workerOptions });
+    }
+  }
+
+  // 탭에서 토큰을 받아 워커의 auth 옵션 갱신 (실패하면 auth_error로 알림 후 false)
+  async syncWorkerAuth() {
+    if (!this.options.auth) {
+      this.workerAuth = null;
+      this.postWorkerOptions();
+      return true;
+    }
+    const auth = normalizeAuth(this.options.auth);
+    try {
+      this.workerAuth = toStaticAuth(auth, await getAuthToken(auth));
+    } catch (authError) {
+      const error = new Error(`인증 토큰을 가져오지 못했습니다: ${authError.message}`);
+      this.setState({ error: error.message });
+      this.notify('error', error, 'auth_error', {
+        attempt: this.reconnectAttempts,
+        maxAttempts: this.options.maxReconnectAttempts
+      });
+      return false;
+    }
+    this.postWorkerOptions();
+    return true;
+  }
+
+  postToWorker(message) {
+    if (this.port) {
+      this.port.postMessage(message);
+      return;
+    }
+    this.pendingMessages.push(message);
+    this.ensurePort();
+  }
+
+  detachPort() {
+    if (this.port) {
+      this.port.postMessage({ kind: 'detach' });
+      this.port.onmessage = null;
+      this.port.close();
+    }
+    this.port = null;
+    this.portPromise = null;
+    this.pendingMessages = [];
+  }
+
+  setUrl(url) {
+    super.setUrl(url);
+    if (this.port && url !== this.attachedUrl) {
+      this.postAttach();
+    }
+  }
+
+  setOptions(options = {}) {
+    super.setOptions(options);
+    this.postWorkerOptions();
+  }
+
+  async connect(connectOptions = {}) {
+    if (!this.workerSupported) return super.connect(connectOptions);
+    this.clearReplaySuspension();
+    if (!(await this.syncWorkerAuth())) return;
+    this.postToWorker({ kind: 'connect', connectOptions });
+  }
+
+  disconnect() {
+    if (!this.workerSupported) {
+      super.disconnect();
+      return;
+    }
+    this.clearAuthRefreshTimer();
+    if (this.port) {
+      this.port.postMessage({ kind: 'disconnect' });
+      return;
+    }
+    // 포트가 준비되기 전이면 대기 중인 연결 요청을 버리고 탭 상태만 갱신
+    this.pendingMessages = this.pendingMessages.filter(message => (
+      message.kind !== 'connect' && message.kind !== 'forceReconnect'
+    ));
+    this.setState({
+      connectionState: CONNECTION_STATES.DISCONNECTED,
+      nextReconnectDelay: null,
+      nextReconnectAt: null
+    });
+  }
+
+  async forceReconnect() {
+    if (!this.workerSupported) {
+      super.forceReconnect();
+      return;
+    }
+    if (!(await this.syncWorkerAuth())) return;
+    this.postToWorker({ kind: 'forceReconnect' });
+  }
+
+  restartStream() {
+    if (!this.workerSupported) {
+      super.restartStream();
+      return;
+    }
+    this.forceReconnect();
+  }
+
+  handleWorkerMessage(message) {
+    switch (message.kind) {
+      case 'state': {
+        // 재전송 진행 상황(일시정지 포함)은 탭에서 원본 이벤트로 직접 계산
+        const { replayProgress, ...state } = message.state;
+        this.setState(state);
+        break;
+      }
+
+      case 'event':
+        this.handleRawEvent(message.event);
+        break;
+
+      case 'notify': {
+        const args = message.args.map(deserializeArg);
+        if (message.event === 'open') {
+          this.connectionStartTime = Date.now();
+          this.updateMetrics('connection');
+          this.scheduleAuthRefresh();
+        } else if (message.event === 'error') {
+          this.updateMetrics('error');
+          if (args[1] === 'auth_error' && this.options.refreshAuth) {
+            this.refreshAuthentication('auth_error').then(refreshed => refreshed && this.restartStream());
+          } else if (args[1] === 'auth_error' && this.options.auth) {
+            // 워커가 재연결할 때 쓸 토큰을 새로 받아 둠
+            this.syncWorkerAuth();
+          }
+        } else if (message.event === 'reconnectAttempt') {
+          this.updateMetrics('reconnect');
+        }
+        this.notify(message.event, ...args);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  destroy() {
+    this.detachPort();
+    super.destroy();
+  }
+}
+
+export default SharedWorkerSSEClient;
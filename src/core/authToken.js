@@ -0,0 +1,44 @@
+// src/core/authToken.js
+// SSE 연결의 auth 옵션 (쿠키 대신 토큰으로 인증하는 게이트웨이용)
+// - auth: 토큰 제공 함수 (() => token | Promise<token>) 또는
+//   { getToken, token, type: 'header' | 'query', headerName, scheme, queryParam }
+// - 연결/재연결마다 getToken을 호출하므로 갱신된 토큰을 자동으로 사용
+import { appendQueryParams } from '../transports/utils';
+
+export const AUTH_TOKEN_TYPES = {
+  HEADER: 'header',
+  QUERY: 'query'
+};
+
+const DEFAULT_AUTH = {
+  type: AUTH_TOKEN_TYPES.HEADER,
+  headerName: 'Authorization',
+  scheme: 'Bearer',
+  queryParam: 'access_token'
+};
+
+export const normalizeAuth = (auth) => {
+  if (!auth) return null;
+  return { ...DEFAULT_AUTH, ...(typeof auth === 'function' ? { getToken: auth } : auth) };
+};
+
+// 토큰 조회 (동기 제공 함수면 값, 비동기면 Promise)
+export const getAuthToken = (auth) => (auth.getToken ? auth.getToken() : auth.token);
+
+// 토큰을 헤더나 쿼리에 추가한 { url, headers } (토큰이 없으면 그대로)
+export const applyAuthToken = (auth, token, { url, headers }) => {
+  if (!token) return { url, headers };
+  if (auth.type === AUTH_TOKEN_TYPES.QUERY) {
+    return { url: appendQueryParams(url, { [auth.queryParam]: token }), headers };
+  }
+  return {
+    url,
+    headers: { ...headers, [auth.headerName]: auth.scheme ? `${auth.scheme} ${token}` : token }
+  };
+};
+
+// 워커로 보낼 수 있도록 제공 함수 대신 받아 둔 토큰만 남김
+export const toStaticAuth = (auth, token) => {
+  const { getToken, ...config } = normalizeAuth(auth);
+  return { ...config, token };
+};
@@ -0,0 +1,28 @@
+import { normalizeAuth, applyAuthToken, toStaticAuth, AUTH_TOKEN_TYPES } from './authToken';
+
+const target = { url: 'http://x/sse?clientId=a', headers: { Accept: 'text/event-stream' } };
+
+test('adds a bearer Authorization header by default', () => {
+  const auth = normalizeAuth(() => 't1');
+  expect(applyAuthToken(auth, 't1', target)).toEqual({
+    url: target.url,
+    headers: { Accept: 'text/event-stream', Authorization: 'Bearer t1' }
+  });
+  expect(applyAuthToken(normalizeAuth({ headerName: 'X-Token', scheme: '' }), 't1', target).headers['X-Token']).toBe('t1');
+});
+
+test('appends the token as a query parameter and skips empty tokens', () => {
+  const auth = normalizeAuth({ getToken: () => 't2', type: AUTH_TOKEN_TYPES.QUERY });
+  expect(applyAuthToken(auth, 't 2', target).url).toBe('http://x/sse?clientId=a&access_token=t%202');
+  expect(applyAuthToken(auth, null, target)).toEqual(target);
+});
+
+test('drops the provider function when handing auth to the shared worker', () => {
+  expect(toStaticAuth({ getToken: () => 'x', type: AUTH_TOKEN_TYPES.QUERY }, 'x')).toEqual({
+    type: AUTH_TOKEN_TYPES.QUERY,
+    headerName: 'Authorization',
+    scheme: 'Bearer',
+    queryParam: 'access_token',
+    token: 'x'
+  });
+});
@@ -0,0 +1,19 @@
+// src/core/createSSEClient.js
+import SSEClient from './SSEClient';
+import LeaderSSEClient from './LeaderSSEClient';
+import SharedWorkerSSEClient from './SharedWorkerSSEClient';
+import { CONNECTION_MODES } from '../utils/constants';
+
+// connectionMode 옵션에 맞는 클라이언트 생성
+const createSSEClient = (url, options = {}) => {
+  switch (options.connectionMode) {
+    case CONNECTION_MODES.LEADER:
+      return new LeaderSSEClient(url, options);
+    case CONNECTION_MODES.SHARED_WORKER:
+      return new SharedWorkerSSEClient(url, options);
+    default:
+      return new SSEClient(url, options);
+  }
+};
+
+export default createSSEClient;
@@ -0,0 +1,231 @@
+// src/core/environmentProfiles.js
+// 게이트웨이 환경 프로필 (local, staging, prod 등)
+// - 프로필: { name, baseUrl, endpoints: { subscribe, cast, authToken, authRefresh }, sseSettings }
+// - localStorage에 동기로 저장 (첫 렌더부터 저장된 설정으로 연결하도록)
+// - JSON 파일로 내보내기/가져오기 ({ version, profiles: [...] }, 배열, 단일 프로필 모두 허용)
+import { AUTH_TOKEN_TYPES } from './authToken';
+import { CONNECTION_MODES, GATEWAY_ENDPOINTS, SSE_CONFIG, TRANSPORT_TYPES } from '../utils/constants';
+import { validateReconnectDelays } from '../utils/reconnectPolicy';
+
+export const PROFILE_VERSION = 1;
+
+const STORAGE_KEY = 'sse-profiles:state';
+
+export const DEFAULT_ENDPOINTS = {
+  subscribe: GATEWAY_ENDPOINTS.SUBSCRIBE,
+  cast: GATEWAY_ENDPOINTS.CAST,
+  authToken: GATEWAY_ENDPOINTS.AUTH_TOKEN,
+  authRefresh: GATEWAY_ENDPOINTS.AUTH_REFRESH
+};
+
+export const DEFAULT_SSE_SETTINGS = {
+  enablePaging: true,
+  pageSize: SSE_CONFIG.DEFAULT_PAGE_SIZE,
+  maxReplayEvents: SSE_CONFIG.MAX_REPLAY_EVENTS,
+  maxBufferSize: SSE_CONFIG.MAX_BUFFER_SIZE,
+  enableHeartbeat: true,
+  heartbeatInterval: 30000,
+  enableMetrics: true,
+  maxReconnectAttempts: SSE_CONFIG.MAX_RECONNECT_ATTEMPTS,
+  reconnectDelays: SSE_CONFIG.RECONNECT_DELAYS,
+  transport: TRANSPORT_TYPES.FETCH,
+  connectionMode: CONNECTION_MODES.TAB,
+  // 마지막 이벤트 ID/버퍼 저장은 사용자가 켤 때만
+  persistState: false,
+  reorderEvents: false,
+  autoRefreshAuth: true,
+  authTokenType: AUTH_TOKEN_TYPES.HEADER,
+  authRefreshLeadSec: SSE_CONFIG.AUTH_REFRESH_LEAD_TIME / 1000
+};
+
+// 숫자 설정의 최솟값
+const NUMBER_SETTINGS = {
+  pageSize: 1,
+  maxReplayEvents: 0,
+  maxBufferSize: 1,
+  heartbeatInterval: 1000,
+  maxReconnectAttempts: 0,
+  authRefreshLeadSec: 0
+};
+
+const ENUM_SETTINGS = {
+  transport: Object.values(TRANSPORT_TYPES),
+  connectionMode: Object.values(CONNECTION_MODES),
+  authTokenType: Object.values(AUTH_TOKEN_TYPES)
+};
+
+// 연결 중에 바꿨을 때 적용 시점
+// - live: 다음 이벤트/재연결 예약부터 바로 적용
+// - reconnect: 연결 요청 헤더나 연결 시 시작하는 타이머에 쓰이므로 다시 연결해야 적용
+export const SETTING_APPLY_MODES = {
+  LIVE: 'live',
+  RECONNECT: 'reconnect'
+};
+
+export const SSE_SETTING_APPLY_MODES = {
+  enablePaging: SETTING_APPLY_MODES.RECONNECT,
+  pageSize: SETTING_APPLY_MODES.RECONNECT,
+  maxReplayEvents: SETTING_APPLY_MODES.RECONNECT,
+  enableHeartbeat: SETTING_APPLY_MODES.RECONNECT,
+  heartbeatInterval: SETTING_APPLY_MODES.RECONNECT,
+  maxBufferSize: SETTING_APPLY_MODES.LIVE,
+  enableMetrics: SETTING_APPLY_MODES.LIVE,
+  maxReconnectAttempts: SETTING_APPLY_MODES.LIVE,
+  reconnectDelays: SETTING_APPLY_MODES.LIVE
+};
+
+const isSameSetting = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 연결할 때 쓴 설정과 비교해 재연결해야 적용되는 설정 이름 목록
+export const getPendingReconnectSettings = (applied, current) => Object.keys(SSE_SETTING_APPLY_MODES)
+  .filter(key => SSE_SETTING_APPLY_MODES[key] === SETTING_APPLY_MODES.RECONNECT)
+  .filter(key => !isSameSetting(applied[key], current[key]));
+
+export const createProfile = (name, baseUrl, overrides = {}) => ({
+  name,
+  baseUrl,
+  endpoints: { ...DEFAULT_ENDPOINTS },
+  sseSettings: { ...DEFAULT_SSE_SETTINGS, ...overrides }
+});
+
+// staging/prod 주소는 예시이므로 실제 게이트웨이 주소로 수정해서 사용
+export const DEFAULT_PROFILES = [
+  createProfile('local', 'http://localhost:9292'),
+  createProfile('staging', 'https://sse-staging.example.com'),
+  createProfile('prod', 'https://sse.example.com')
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 설정 하나의 오류 메시지 목록 (알 수 없는 설정은 무시)
+export const validateSseSetting = (key, value) => {
+  if (!(key in DEFAULT_SSE_SETTINGS)) return [];
+  if (key === 'reconnectDelays') return validateReconnectDelays(value);
+  if (key in NUMBER_SETTINGS) {
+    return Number.isInteger(value) && value >= NUMBER_SETTINGS[key] ? [] : [`${NUMBER_SETTINGS[key]} 이상의 정수여야 합니다`];
+  }
+  if (key in ENUM_SETTINGS) {
+    return ENUM_SETTINGS[key].includes(value) ? [] : [`${ENUM_SETTINGS[key].join(', ')} 중 하나여야 합니다`];
+  }
+  return typeof value === 'boolean' ? [] : ['true/false여야 합니다'];
+};
+
+export const validateSseSettings = (settings) => {
+  if (!isObject(settings)) return ['sseSettings는 객체여야 합니다'];
+  return Object.entries(settings).flatMap(([key, value]) => (
+    validateSseSetting(key, value).map(message => `sseSettings.${key}: ${message}`)
+  ));
+};
+
+export const validateProfile = (profile) => {
+  if (!isObject(profile)) return ['프로필은 JSON 객체여야 합니다'];
+
+  const errors = [];
+  if (!isNonEmptyString(profile.name)) errors.push('name이 필요합니다');
+
+  try {
+    const url = new URL(profile.baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') errors.push('baseUrl은 http(s) 주소여야 합니다');
+  } catch {
+    errors.push('baseUrl이 올바른 URL이 아닙니다');
+  }
+
+  if (profile.endpoints !== undefined) {
+    if (!isObject(profile.endpoints)) {
+      errors.push('endpoints는 객체여야 합니다');
+    } else {
+      Object.keys(DEFAULT_ENDPOINTS)
+        .filter(key => profile.endpoints[key] !== undefined)
+        .forEach(key => {
+          const path = profile.endpoints[key];
+          if (typeof path !== 'string' || !path.startsWith('/')) errors.push(`endpoints.${key}는 /로 시작하는 경로여야 합니다`);
+        });
+    }
+  }
+
+  if (profile.sseSettings !== undefined) errors.push(...validateSseSettings(profile.sseSettings));
+  return errors;
+};
+
+// 빠진 값은 기본값으로 채우고 알 수 없는 설정은 버림 (검증을 통과한 프로필만)
+export const normalizeProfile = (profile) => {
+  const sseSettings = Object.fromEntries(Object.keys(DEFAULT_SSE_SETTINGS).map(key => [
+    key,
+    profile.sseSettings?.[key] ?? DEFAULT_SSE_SETTINGS[key]
+  ]));
+  return {
+    name: profile.name.trim(),
+    baseUrl: profile.baseUrl.trim().replace(/\/+$/, ''),
+    endpoints: { ...DEFAULT_ENDPOINTS, ...profile.endpoints },
+    sseSettings
+  };
+};
+
+export const getSubscribeUrl = (profile) => `${profile.baseUrl}${profile.endpoints.subscribe}`;
+
+// 파일에서 읽은 JSON 문자열 -> 프로필 목록 (유효하지 않으면 throw)
+export const parseProfiles = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`프로필 JSON 파싱 실패: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : (Array.isArray(data?.profiles) ? data.profiles : [data]);
+  if (list.length === 0) throw new Error('가져올 프로필이 없습니다');
+
+  const errors = [];
+  const names = new Set();
+  list.forEach((profile, index) => {
+    const label = `${index + 1}번 프로필${isNonEmptyString(profile?.name) ? ` (${profile.name})` : ''}`;
+    validateProfile(profile).forEach(message => errors.push(`${label}: ${message}`));
+    if (isNonEmptyString(profile?.name)) {
+      if (names.has(profile.name.trim())) errors.push(`${label}: 이름이 중복됩니다`);
+      names.add(profile.name.trim());
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`프로필이 올바르지 않습니다\n${errors.join('\n')}`);
+  }
+  return list.map(normalizeProfile);
+};
+
+export const serializeProfiles = (profiles) => JSON.stringify({ version: PROFILE_VERSION, profiles }, null, 2);
+
+// 같은 이름은 가져온 것으로 교체, 새 이름은 뒤에 추가
+export const mergeProfiles = (profiles, imported) => {
+  const byName = new Map(imported.map(profile => [profile.name, profile]));
+  return [
+    ...profiles.map(profile => byName.get(profile.name) ?? profile),
+    ...imported.filter(profile => !profiles.some(existing => existing.name === profile.name))
+  ];
+};
+
+const getDefaultStorage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+// 저장된 프로필과 활성 프로필 이름 (없거나 깨졌으면 기본 프로필)
+export const loadProfiles = (storage = getDefaultStorage()) => {
+  const fallback = { profiles: DEFAULT_PROFILES, activeName: DEFAULT_PROFILES[0].name };
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    if (!saved) return fallback;
+    const profiles = (saved.profiles || []).filter(profile => validateProfile(profile).length === 0).map(normalizeProfile);
+    if (profiles.length === 0) return fallback;
+    const activeName = profiles.some(profile => profile.name === saved.activeName) ? saved.activeName : profiles[0].name;
+    return { profiles, activeName };
+  } catch (error) {
+    console.error('저장된 환경 프로필을 읽지 못했습니다:', error);
+    return fallback;
+  }
+};
+
+export const saveProfiles = (state, storage = getDefaultStorage()) => {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ version: PROFILE_VERSION, ...state }));
+  } catch (error) {
+    console.error('환경 프로필 저장 오류:', error);
+  }
+};
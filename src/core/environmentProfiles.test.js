@@ -0,0 +1,86 @@
+import {
+  DEFAULT_PROFILES,
+  DEFAULT_SSE_SETTINGS,
+  getPendingReconnectSettings,
+  getSubscribeUrl,
+  loadProfiles,
+  mergeProfiles,
+  parseProfiles,
+  saveProfiles,
+  serializeProfiles
+} from './environmentProfiles';
+import { GATEWAY_ENDPOINTS, TRANSPORT_TYPES } from '../utils/constants';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value)
+  };
+};
+
+test('parses exported profiles and fills in defaults', () => {
+  const text = JSON.stringify([
+    { name: ' qa ', baseUrl: 'https://qa.example.com/', endpoints: { subscribe: '/v2/subscribe' }, sseSettings: { pageSize: 50, unknown: 1 } }
+  ]);
+  const [profile] = parseProfiles(text);
+
+  expect(profile.name).toBe('qa');
+  expect(getSubscribeUrl(profile)).toBe('https://qa.example.com/v2/subscribe');
+  expect(profile.endpoints.authToken).toBe(DEFAULT_PROFILES[0].endpoints.authToken);
+  expect(profile.endpoints.cast).toBe(GATEWAY_ENDPOINTS.CAST);
+  expect(profile.sseSettings.persistState).toBe(false);
+  expect(profile.sseSettings).toEqual({ ...DEFAULT_SSE_SETTINGS, pageSize: 50 });
+  expect(parseProfiles(serializeProfiles([profile]))).toEqual([profile]);
+});
+
+test('rejects invalid profiles with every problem listed', () => {
+  const text = JSON.stringify({
+    profiles: [
+      { name: 'a', baseUrl: 'ftp://a', sseSettings: { pageSize: 0, transport: 'smoke' } },
+      { name: 'a', baseUrl: 'http://a', endpoints: { subscribe: 'subscribe', cast: 'cast' } }
+    ]
+  });
+
+  expect(() => parseProfiles(text)).toThrow([
+    '프로필이 올바르지 않습니다',
+    '1번 프로필 (a): baseUrl은 http(s) 주소여야 합니다',
+    '1번 프로필 (a): sseSettings.pageSize: 1 이상의 정수여야 합니다',
+    `1번 프로필 (a): sseSettings.transport: ${Object.values(TRANSPORT_TYPES).join(', ')} 중 하나여야 합니다`,
+    '2번 프로필 (a): endpoints.subscribe는 /로 시작하는 경로여야 합니다',
+    '2번 프로필 (a): endpoints.cast는 /로 시작하는 경로여야 합니다',
+    '2번 프로필 (a): 이름이 중복됩니다'
+  ].join('\n'));
+  expect(() => parseProfiles('{')).toThrow('프로필 JSON 파싱 실패');
+});
+
+test('persists profiles and the active one, falling back to defaults', () => {
+  const storage = createStorage();
+  expect(loadProfiles(storage)).toEqual({ profiles: DEFAULT_PROFILES, activeName: 'local' });
+
+  const qa = { ...DEFAULT_PROFILES[0], name: 'qa' };
+  const profiles = mergeProfiles(DEFAULT_PROFILES, [qa, { ...DEFAULT_PROFILES[1], baseUrl: 'https://stg.internal' }]);
+  expect(profiles.map(profile => [profile.name, profile.baseUrl])).toEqual([
+    ['local', 'http://localhost:9292'],
+    ['staging', 'https://stg.internal'],
+    ['prod', 'https://sse.example.com'],
+    ['qa', 'http://localhost:9292']
+  ]);
+
+  saveProfiles({ profiles, activeName: 'qa' }, storage);
+  expect(loadProfiles(storage)).toEqual({ profiles, activeName: 'qa' });
+
+  saveProfiles({ profiles, activeName: 'gone' }, storage);
+  expect(loadProfiles(storage).activeName).toBe('local');
+});
+
+test('lists changed settings that only apply after reconnecting', () => {
+  const current = {
+    ...DEFAULT_SSE_SETTINGS,
+    pageSize: 50,
+    maxBufferSize: 10,
+    reconnectDelays: { ...DEFAULT_SSE_SETTINGS.reconnectDelays, network: { base: 1, max: 2, multiplier: 1 } }
+  };
+  expect(getPendingReconnectSettings(DEFAULT_SSE_SETTINGS, current)).toEqual(['pageSize']);
+  expect(getPendingReconnectSettings(current, { ...current, heartbeatInterval: 5000 })).toEqual(['heartbeatInterval']);
+});
@@ -0,0 +1,163 @@
+// src/core/eventSequencer.js
+// 재전송(replay) 중 중복 제거와 순서 보정
+// - 최근 windowSize개의 이벤트 ID를 기억해 중복 이벤트를 버림
+// - reorder가 켜져 있으면 최대 reorderWindow개를 reorderDelay 동안 모아 ID 순서대로 내보냄
+// - 이미 더 큰 ID를 내보낸 뒤 도착한 이벤트는 늦은 이벤트(late)로 표시해 그대로 전달
+import { SSE_CONFIG } from '../utils/constants';
+
+const NUMERIC = /^\d+$/;
+
+// '1-1', 'epoch-1700000000000-3' 같은 '-' 구분 ID 비교 (숫자 구간은 숫자로 비교)
+export const compareEventIds = (a, b) => {
+  const left = String(a).split('-');
+  const right = String(b).split('-');
+  const length = Math.max(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const x = left[i];
+    const y = right[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    if (NUMERIC.test(x) && NUMERIC.test(y)) {
+      // 길이가 다르면 자릿수로, 같으면 문자열로 비교 (Number 정밀도 한계 회피)
+      const xs = x.replace(/^0+(?=\d)/, '');
+      const ys = y.replace(/^0+(?=\d)/, '');
+      if (xs.length !== ys.length) return xs.length < ys.length ? -1 : 1;
+      if (xs !== ys) return xs < ys ? -1 : 1;
+      continue;
+    }
+    return x < y ? -1 : 1;
+  }
+  return 0;
+};
+
+export const DEFAULT_SEQUENCER_OPTIONS = {
+  dedupe: true,
+  windowSize: SSE_CONFIG.DEDUPE_WINDOW_SIZE,
+  reorder: false,
+  reorderWindow: SSE_CONFIG.REORDER_WINDOW,
+  reorderDelay: SSE_CONFIG.REORDER_DELAY,
+  compare: compareEventIds
+};
+
+export const createEventSequencer = (onRelease, initialOptions = {}) => {
+  let options = { ...DEFAULT_SEQUENCER_OPTIONS };
+  const seen = new Set();
+  const seenOrder = [];
+  let pending = [];
+  let timer = null;
+  let highestReleasedId = null;
+  const stats = {
+    duplicatesDropped: 0,
+    reorderedEvents: 0,
+    lateEvents: 0
+  };
+
+  const configure = (nextOptions = {}) => {
+    options = { ...DEFAULT_SEQUENCER_OPTIONS };
+    Object.entries(nextOptions).forEach(([key, value]) => {
+      if (value !== undefined) options[key] = value;
+    });
+  };
+
+  const markSeen = (id) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    seenOrder.push(id);
+    while (seenOrder.length > options.windowSize) {
+      seen.delete(seenOrder.shift());
+    }
+  };
+
+  const release = (event) => {
+    let late = false;
+    if (options.reorder && event.id) {
+      if (highestReleasedId !== null && options.compare(event.id, highestReleasedId) < 0) {
+        late = true;
+        stats.lateEvents += 1;
+      } else {
+        highestReleasedId = event.id;
+      }
+    }
+    onRelease(event, { late });
+  };
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const flush = () => {
+    clearTimer();
+    const events = pending;
+    pending = [];
+    events.forEach(release);
+  };
+
+  const push = (event) => {
+    const { id } = event;
+
+    if (id && options.dedupe) {
+      if (seen.has(id)) {
+        stats.duplicatesDropped += 1;
+        return;
+      }
+      markSeen(id);
+    }
+
+    // ID가 없는 이벤트(제어 이벤트 등)는 앞선 이벤트를 모두 내보낸 뒤 바로 전달
+    if (!options.reorder || !id) {
+      flush();
+      release(event);
+      return;
+    }
+
+    // 정렬된 위치에 삽입 (뒤에서부터 탐색: 대부분 순서대로 도착)
+    let index = pending.length;
+    while (index > 0 && options.compare(pending[index - 1].id, id) > 0) {
+      index -= 1;
+    }
+    if (index < pending.length) {
+      stats.reorderedEvents += 1;
+    }
+    pending.splice(index, 0, event);
+
+    while (pending.length > options.reorderWindow) {
+      release(pending.shift());
+    }
+    if (pending.length > 0 && !timer) {
+      timer = setTimeout(flush, options.reorderDelay);
+    }
+  };
+
+  // 저장소에서 복원한 ID 등 이미 처리한 이벤트 등록
+  const seed = (ids = []) => {
+    ids.filter(Boolean).forEach(markSeen);
+  };
+
+  const reset = () => {
+    clearTimer();
+    pending = [];
+    seen.clear();
+    seenOrder.length = 0;
+    highestReleasedId = null;
+    stats.duplicatesDropped = 0;
+    stats.reorderedEvents = 0;
+    stats.lateEvents = 0;
+  };
+
+  configure(initialOptions);
+
+  return {
+    push,
+    flush,
+    seed,
+    reset,
+    configure,
+    getStats: () => ({ ...stats, pendingEvents: pending.length })
+  };
+};
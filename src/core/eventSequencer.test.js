@@ -0,0 +1,87 @@
+import { compareEventIds, createEventSequencer } from './eventSequencer';
+import { eventSourceTransport } from '../transports/eventSource';
+
+const ids = (calls) => calls.map(([event]) => event.id);
+
+test('compares dash-separated ids numerically per segment', () => {
+  expect(compareEventIds('1-2', '1-10')).toBeLessThan(0);
+  expect(compareEventIds('2-1', '1-99')).toBeGreaterThan(0);
+  expect(compareEventIds('epoch-1700000000000-3', 'epoch-1700000000001-1')).toBeLessThan(0);
+  expect(compareEventIds('epoch-9-1', 'epoch-10-1')).toBeLessThan(0);
+  expect(compareEventIds('1-1', '1-1')).toBe(0);
+  expect(compareEventIds('1', '1-1')).toBeLessThan(0);
+});
+
+test('drops ids seen within the window and forgets the oldest ones', () => {
+  const onRelease = jest.fn();
+  const sequencer = createEventSequencer(onRelease, { windowSize: 2 });
+
+  ['1', '2', '2', '1', '3', '1'].forEach(id => sequencer.push({ id }));
+  sequencer.push({ id: null, type: 'heartbeat' });
+
+  expect(ids(onRelease.mock.calls)).toEqual(['1', '2', '3', '1', null]);
+  expect(sequencer.getStats().duplicatesDropped).toBe(2);
+});
+
+test('reorders within the window and flags events older than what was already released', () => {
+  jest.useFakeTimers();
+  const onRelease = jest.fn();
+  const sequencer = createEventSequencer(onRelease, { reorder: true, reorderWindow: 3, reorderDelay: 100 });
+
+  ['1-2', '1-1', '1-4', '1-3'].forEach(id => sequencer.push({ id }));
+  expect(ids(onRelease.mock.calls)).toEqual(['1-1']);
+
+  jest.advanceTimersByTime(100);
+  expect(ids(onRelease.mock.calls)).toEqual(['1-1', '1-2', '1-3', '1-4']);
+
+  sequencer.push({ id: '1-0' });
+  sequencer.flush();
+  expect(onRelease).toHaveBeenLastCalledWith({ id: '1-0' }, { late: true });
+  expect(sequencer.getStats()).toMatchObject({ reorderedEvents: 2, lateEvents: 1, pendingEvents: 0 });
+  jest.useRealTimers();
+});
+
+// 브라우저처럼 id 필드가 없는 이벤트에도 이전 lastEventId를 유지하는 테스트용 EventSource
+class FakeEventSource {
+  constructor() {
+    this.listeners = {};
+    this.lastEventId = '';
+    FakeEventSource.instance = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  removeEventListener(type) {
+    delete this.listeners[type];
+  }
+
+  close() {}
+
+  dispatch(type, data, id) {
+    if (id !== undefined) this.lastEventId = id;
+    this.listeners[type]?.({ type, data, lastEventId: this.lastEventId });
+  }
+}
+
+test('keeps id-less EventSource events after an event with an id', () => {
+  window.EventSource = FakeEventSource;
+  const onRelease = jest.fn();
+  const sequencer = createEventSequencer(onRelease);
+  const controller = new AbortController();
+  eventSourceTransport({ url: 'http://localhost/sse', signal: controller.signal }, { onEvent: event => sequencer.push(event) })
+    .catch(() => {});
+
+  const source = FakeEventSource.instance;
+  source.dispatch('message', '{"n":1}', '1-1');
+  source.dispatch('heartbeat', '{}');
+  source.dispatch('heartbeat', '{}');
+  source.dispatch('message', '{"n":2}', '1-2');
+  source.dispatch('message', '{"n":2}', '1-1');
+
+  expect(ids(onRelease.mock.calls)).toEqual(['1-1', null, null, '1-2']);
+  expect(sequencer.getStats().duplicatesDropped).toBe(1);
+  controller.abort();
+  delete window.EventSource;
+});
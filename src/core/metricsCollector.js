@@ -0,0 +1,181 @@
+// src/core/metricsCollector.js
+// 시계열 메트릭 (bucketMs 단위 버킷을 windowMs 동안 유지)
+// - 초당 이벤트 수/바이트, 서버 타임스탬프 기준 종단 지연, 재연결 공백, 하트비트 지터
+// - 백분위는 슬라이딩 윈도우 안의 표본으로 계산 (버킷당 표본 수는 저수지 표집으로 제한)
+import { SSE_CONFIG } from '../utils/constants';
+
+// 정렬된 배열의 백분위 (nearest-rank)
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+export const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+};
+
+const toTimestampMs = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // 초 단위 epoch도 허용
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  return null;
+};
+
+// 이벤트 데이터에서 서버 발행 시각 추출 (기본 필드명)
+export const getDefaultEventTimestamp = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  return toTimestampMs(data.timestamp ?? data.serverTime ?? data.sentAt ?? data.createdAt);
+};
+
+const createBucket = (start) => ({
+  start,
+  events: 0,
+  bytes: 0,
+  latencies: [],
+  latencySeen: 0,
+  reconnectGaps: [],
+  heartbeatJitters: []
+});
+
+// 표본 수 제한 (저수지 표집)
+const addSample = (bucket, value, maxSamples, random) => {
+  bucket.latencySeen += 1;
+  if (bucket.latencies.length < maxSamples) {
+    bucket.latencies.push(value);
+    return;
+  }
+  const index = Math.floor(random() * bucket.latencySeen);
+  if (index < maxSamples) bucket.latencies[index] = value;
+};
+
+export const createMetricsCollector = ({
+  bucketMs = SSE_CONFIG.METRICS_BUCKET_MS,
+  windowMs = SSE_CONFIG.METRICS_WINDOW_MS,
+  maxSamplesPerBucket = SSE_CONFIG.METRICS_MAX_SAMPLES_PER_BUCKET,
+  random = Math.random
+} = {}) => {
+  let buckets = [];
+  let disconnectedAt = null;
+  let lastHeartbeatAt = null;
+
+  const prune = (now) => {
+    const oldest = now - windowMs;
+    if (buckets.length > 0 && buckets[0].start + bucketMs <= oldest) {
+      buckets = buckets.filter(bucket => bucket.start + bucketMs > oldest);
+    }
+  };
+
+  const getBucket = (now) => {
+    const start = Math.floor(now / bucketMs) * bucketMs;
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = createBucket(start);
+      buckets.push(bucket);
+      prune(now);
+    }
+    return bucket;
+  };
+
+  const recordEvent = ({ size = 0, serverTimestamp = null, now = Date.now() } = {}) => {
+    const bucket = getBucket(now);
+    bucket.events += 1;
+    bucket.bytes += size;
+    if (serverTimestamp !== null) {
+      // 시계 오차로 음수가 나오면 0으로 처리
+      addSample(bucket, Math.max(now - serverTimestamp, 0), maxSamplesPerBucket, random);
+    }
+  };
+
+  // 연결이 끊긴 시각 (이미 끊긴 상태면 처음 시각 유지)
+  const markDisconnected = (now = Date.now()) => {
+    if (disconnectedAt === null) disconnectedAt = now;
+    lastHeartbeatAt = null;
+  };
+
+  // 다시 연결되면 끊겨 있던 시간을 기록
+  const markConnected = (now = Date.now()) => {
+    if (disconnectedAt !== null) {
+      getBucket(now).reconnectGaps.push(now - disconnectedAt);
+      disconnectedAt = null;
+    }
+    lastHeartbeatAt = null;
+  };
+
+  // 하트비트 간격과 기대 간격의 차이
+  const recordHeartbeat = (expectedInterval, now = Date.now()) => {
+    if (lastHeartbeatAt !== null && expectedInterval > 0) {
+      getBucket(now).heartbeatJitters.push(Math.abs(now - lastHeartbeatAt - expectedInterval));
+    }
+    lastHeartbeatAt = now;
+  };
+
+  // 윈도우 내 버킷별 값 (이벤트가 없던 구간은 0으로 채움)
+  const getSeries = (now = Date.now()) => {
+    prune(now);
+    const end = Math.floor(now / bucketMs) * bucketMs;
+    const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+    const series = [];
+
+    for (let start = end - windowMs + bucketMs; start <= end; start += bucketMs) {
+      const bucket = byStart.get(start) || createBucket(start);
+      const latency = summarize(bucket.latencies);
+      series.push({
+        time: start,
+        eventsPerSecond: bucket.events * 1000 / bucketMs,
+        bytesPerSecond: bucket.bytes * 1000 / bucketMs,
+        latencyP50: latency.p50,
+        latencyP95: latency.p95,
+        reconnectGap: bucket.reconnectGaps.length > 0 ? Math.max(...bucket.reconnectGaps) : null,
+        heartbeatJitter: bucket.heartbeatJitters.length > 0 ? Math.max(...bucket.heartbeatJitters) : null
+      });
+    }
+    return series;
+  };
+
+  const getSummary = (now = Date.now()) => {
+    prune(now);
+    const seconds = windowMs / 1000;
+    const totals = buckets.reduce((sum, bucket) => ({
+      events: sum.events + bucket.events,
+      bytes: sum.bytes + bucket.bytes
+    }), { events: 0, bytes: 0 });
+
+    return {
+      windowMs,
+      eventsPerSecond: totals.events / seconds,
+      bytesPerSecond: totals.bytes / seconds,
+      latency: summarize(buckets.flatMap(bucket => bucket.latencies)),
+      reconnectGap: summarize(buckets.flatMap(bucket => bucket.reconnectGaps)),
+      heartbeatJitter: summarize(buckets.flatMap(bucket => bucket.heartbeatJitters))
+    };
+  };
+
+  const reset = () => {
+    buckets = [];
+    disconnectedAt = null;
+    lastHeartbeatAt = null;
+  };
+
+  return {
+    recordEvent,
+    markDisconnected,
+    markConnected,
+    recordHeartbeat,
+    getSeries,
+    getSummary,
+    reset
+  };
+};
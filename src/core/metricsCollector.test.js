@@ -0,0 +1,41 @@
+import { createMetricsCollector, percentile, getDefaultEventTimestamp } from './metricsCollector';
+
+test('computes nearest-rank percentiles', () => {
+  const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+  expect(percentile(sorted, 50)).toBe(50);
+  expect(percentile(sorted, 95)).toBe(95);
+  expect(percentile([], 50)).toBeNull();
+});
+
+test('reads server timestamps in ms, seconds or ISO form', () => {
+  expect(getDefaultEventTimestamp({ timestamp: 1700000000000 })).toBe(1700000000000);
+  expect(getDefaultEventTimestamp({ serverTime: 1700000000 })).toBe(1700000000000);
+  expect(getDefaultEventTimestamp({ sentAt: '2024-01-01T00:00:00Z' })).toBe(Date.UTC(2024, 0, 1));
+  expect(getDefaultEventTimestamp('plain')).toBeNull();
+});
+
+test('aggregates rates, latency, reconnect gaps and heartbeat jitter over a sliding window', () => {
+  const collector = createMetricsCollector({ bucketMs: 1000, windowMs: 5000 });
+
+  collector.recordEvent({ size: 100, serverTimestamp: 950, now: 1000 });
+  collector.recordEvent({ size: 300, serverTimestamp: 1800, now: 2000 });
+  collector.recordHeartbeat(1000, 2000);
+  collector.recordHeartbeat(1000, 3100);
+  collector.markDisconnected(3500);
+  collector.markDisconnected(3600);
+  collector.markConnected(4700);
+
+  const summary = collector.getSummary(4900);
+  expect(summary.eventsPerSecond).toBe(2 / 5);
+  expect(summary.bytesPerSecond).toBe(400 / 5);
+  expect(summary.latency).toMatchObject({ count: 2, p50: 50, max: 200 });
+  expect(summary.reconnectGap).toMatchObject({ count: 1, max: 1200 });
+  expect(summary.heartbeatJitter).toMatchObject({ count: 1, max: 100 });
+
+  const series = collector.getSeries(4900);
+  expect(series.map(point => point.eventsPerSecond)).toEqual([0, 1, 1, 0, 0]);
+  expect(series[4].reconnectGap).toBe(1200);
+
+  // 윈도우를 벗어난 버킷은 제외
+  expect(collector.getSummary(8000).eventsPerSecond).toBe(0);
+});
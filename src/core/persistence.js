@@ -0,0 +1,208 @@
+// src/core/persistence.js
+// 마지막 이벤트 ID와 이벤트 버퍼를 새로고침 이후에도 유지하기 위한 저장소
+import { SSE_CONFIG } from '../utils/constants';
+
+const DB_NAME = 'sse-gateway';
+const DB_VERSION = 1;
+const STORE_NAME = 'sse-state';
+const LOCAL_STORAGE_PREFIX = 'sse-state:';
+
+export const PERSISTENCE_STORAGES = {
+  AUTO: 'auto',
+  INDEXED_DB: 'indexeddb',
+  LOCAL_STORAGE: 'localstorage',
+  SESSION_STORAGE: 'sessionstorage',
+  MEMORY: 'memory'
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// IndexedDB 저장소 (웹 워커에서도 사용 가능)
+export const createIndexedDBStorage = () => {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      dbPromise = promisifyRequest(request);
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await getDatabase();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisifyRequest(callback(store));
+  };
+
+  return {
+    type: PERSISTENCE_STORAGES.INDEXED_DB,
+    get: async (key) => (await withStore('readonly', store => store.get(key))) ?? null,
+    set: (key, value) => withStore('readwrite', store => store.put(value, key)),
+    remove: (key) => withStore('readwrite', store => store.delete(key))
+  };
+};
+
+const createWebStorage = (type, getStorage, prefix) => ({
+  type,
+  get: async (key) => {
+    const raw = getStorage().getItem(prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  },
+  set: async (key, value) => {
+    getStorage().setItem(prefix + key, JSON.stringify(value));
+  },
+  remove: async (key) => {
+    getStorage().removeItem(prefix + key);
+  }
+});
+
+export const createLocalStorage = (prefix = LOCAL_STORAGE_PREFIX) => (
+  createWebStorage(PERSISTENCE_STORAGES.LOCAL_STORAGE, () => localStorage, prefix)
+);
+
+// 탭을 닫으면 지워지는 저장소 (토큰처럼 오래 남기면 안 되는 값)
+export const createSessionStorage = (prefix = LOCAL_STORAGE_PREFIX) => (
+  createWebStorage(PERSISTENCE_STORAGES.SESSION_STORAGE, () => sessionStorage, prefix)
+);
+
+export const createMemoryStorage = () => {
+  const store = new Map();
+  return {
+    type: PERSISTENCE_STORAGES.MEMORY,
+    get: async (key) => store.get(key) ?? null,
+    set: async (key, value) => {
+      store.set(key, value);
+    },
+    remove: async (key) => {
+      store.delete(key);
+    }
+  };
+};
+
+// 기본 저장소에서 오류가 나면 이후로는 대체 저장소 사용 (예: 사생활 보호 모드의 IndexedDB)
+const withFallback = (primary, createSecondary) => {
+  let active = primary;
+
+  const run = async (method, ...args) => {
+    try {
+      return await active[method](...args);
+    } catch (error) {
+      if (active !== primary) throw error;
+      console.warn(`${primary.type} 저장소 오류, 대체 저장소로 전환:`, error);
+      active = createSecondary();
+      return active[method](...args);
+    }
+  };
+
+  return {
+    get type() {
+      return active.type;
+    },
+    get: (key) => run('get', key),
+    set: (key, value) => run('set', key, value),
+    remove: (key) => run('remove', key)
+  };
+};
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+const hasLocalStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  } catch {
+    return false;
+  }
+};
+
+export const createPersistenceStorage = (type = PERSISTENCE_STORAGES.AUTO) => {
+  const fallback = () => (hasLocalStorage() ? createLocalStorage() : createMemoryStorage());
+
+  switch (type) {
+    case PERSISTENCE_STORAGES.INDEXED_DB:
+      return createIndexedDBStorage();
+    case PERSISTENCE_STORAGES.LOCAL_STORAGE:
+      return createLocalStorage();
+    case PERSISTENCE_STORAGES.MEMORY:
+      return createMemoryStorage();
+    default:
+      return hasIndexedDB() ? withFallback(createIndexedDBStorage(), fallback) : fallback();
+  }
+};
+
+// URL + 클라이언트/계정 키 단위로 마지막 확인 이벤트 ID와 최근 버퍼 저장
+// save는 throttleMs 간격으로 모아서 기록하고, flush로 즉시 기록
+export const createEventPersistence = ({
+  url,
+  key = 'default',
+  storage = PERSISTENCE_STORAGES.AUTO,
+  maxEvents = SSE_CONFIG.PERSISTED_BUFFER_SIZE,
+  throttleMs = SSE_CONFIG.PERSIST_THROTTLE
+} = {}) => {
+  const backend = typeof storage === 'object' ? storage : createPersistenceStorage(storage);
+  const storageKey = `${url}::${key}`;
+  let pending = null;
+  let timer = null;
+
+  const write = async () => {
+    timer = null;
+    if (!pending) return;
+
+    const snapshot = pending;
+    pending = null;
+    try {
+      await backend.set(storageKey, snapshot);
+    } catch (error) {
+      console.error('SSE 상태 저장 오류:', error);
+    }
+  };
+
+  return {
+    storageKey,
+
+    load: async () => {
+      try {
+        return await backend.get(storageKey);
+      } catch (error) {
+        console.error('SSE 상태 불러오기 오류:', error);
+        return null;
+      }
+    },
+
+    save: ({ lastEventId, buffer = [] }) => {
+      pending = {
+        lastEventId,
+        buffer: buffer.slice(-maxEvents),
+        savedAt: Date.now()
+      };
+      if (!timer) {
+        timer = setTimeout(write, throttleMs);
+      }
+    },
+
+    flush: () => {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      return write();
+    },
+
+    clear: async () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      pending = null;
+      await backend.remove(storageKey);
+    }
+  };
+};
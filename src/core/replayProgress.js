@@ -0,0 +1,80 @@
+// src/core/replayProgress.js
+// 재전송(replay) 진행 상황 계산
+// - 페이지 단위 진행률 (replay_progress 이벤트 = 한 페이지 완료)
+// - 처리량(events/s)은 지수 이동 평균으로 평활화해 ETA 흔들림을 줄임
+import { SSE_CONFIG } from '../utils/constants';
+
+export const INITIAL_REPLAY_PROGRESS = Object.freeze({
+  isReplaying: false,
+  isPaused: false,
+  isCancelled: false,
+  current: 0,
+  total: 0,
+  skipped: 0,
+  queued: 0,
+  page: 0,
+  totalPages: null,
+  pageSize: null,
+  acknowledgedPages: 0,
+  throughput: null,
+  startTime: null,
+  pageStartedAt: null,
+  pageStartCount: 0,
+  estimatedTimeRemaining: null
+});
+
+export const startReplayProgress = ({ total = 0, pageSize = null, totalPages = null, now = Date.now() }) => ({
+  ...INITIAL_REPLAY_PROGRESS,
+  isReplaying: true,
+  total,
+  pageSize,
+  totalPages: totalPages ?? (pageSize && total ? Math.ceil(total / pageSize) : null),
+  startTime: now,
+  pageStartedAt: now
+});
+
+// 재전송 이벤트 1건 전달 (skipped: 취소 후 건너뛴 이벤트)
+export const recordReplayEvent = (progress, { skipped = false } = {}) => ({
+  ...progress,
+  current: progress.current + 1,
+  skipped: progress.skipped + (skipped ? 1 : 0)
+});
+
+// 페이지 완료: 처리량/ETA 갱신 후 다음 페이지 시작
+export const completeReplayPage = (progress, {
+  page,
+  totalPages,
+  now = Date.now(),
+  smoothing = SSE_CONFIG.REPLAY_RATE_SMOOTHING
+} = {}) => {
+  const elapsed = now - progress.pageStartedAt;
+  const delivered = progress.current - progress.pageStartCount;
+
+  let { throughput } = progress;
+  if (elapsed > 0 && delivered > 0) {
+    const rate = delivered / (elapsed / 1000);
+    throughput = throughput === null ? rate : smoothing * rate + (1 - smoothing) * throughput;
+  }
+
+  const remaining = Math.max(progress.total - progress.current, 0);
+  return {
+    ...progress,
+    page: page ?? progress.page + 1,
+    totalPages: totalPages ?? progress.totalPages,
+    throughput,
+    estimatedTimeRemaining: throughput > 0 && remaining > 0 ? remaining / throughput * 1000 : null,
+    pageStartedAt: now,
+    pageStartCount: progress.current
+  };
+};
+
+// 확인(ack) 콜백에 전달할 페이지 정보 (completeReplayPage 호출 전 진행 상황 기준)
+export const toReplayPageInfo = (progress, { page = progress.page + 1, lastEventId = null } = {}) => ({
+  page,
+  totalPages: progress.totalPages,
+  events: progress.current - progress.pageStartCount,
+  processedEvents: progress.current,
+  totalEvents: progress.total,
+  lastEventId,
+  skipped: progress.isCancelled
+});
@@ -0,0 +1,27 @@
+import { startReplayProgress, recordReplayEvent, completeReplayPage, toReplayPageInfo } from './replayProgress';
+
+const deliver = (progress, count) => Array.from({ length: count }).reduce(p => recordReplayEvent(p), progress);
+
+test('derives page count and smooths throughput across pages', () => {
+  let progress = startReplayProgress({ total: 300, pageSize: 100, now: 0 });
+  expect(progress.totalPages).toBe(3);
+
+  progress = completeReplayPage(deliver(progress, 100), { now: 1000, smoothing: 0.5 });
+  expect(progress).toMatchObject({ page: 1, throughput: 100, pageStartCount: 100 });
+  expect(progress.estimatedTimeRemaining).toBe(2000);
+
+  const beforePage = deliver(progress, 100);
+  progress = completeReplayPage(beforePage, { now: 1500, smoothing: 0.5 });
+  expect(progress.throughput).toBe(150);
+  expect(progress.estimatedTimeRemaining).toBeCloseTo(100 / 150 * 1000);
+
+  expect(toReplayPageInfo(beforePage, { page: progress.page, lastEventId: '2-100' })).toEqual({
+    page: 2,
+    totalPages: 3,
+    events: 100,
+    processedEvents: 200,
+    totalEvents: 300,
+    lastEventId: '2-100',
+    skipped: false
+  });
+});
@@ -1,59 +1,140 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import AuthSession from '../core/AuthSession';
+import { createExpiredToken, decodeJWT } from '../utils/jwt';
+import SessionRegistry, { AUTH_MODES, extractToken, removeLegacySessions } from '../core/SessionRegistry';
+import { DEFAULT_PROFILES } from '../core/environmentProfiles';
 
-export default function useAuth(baseUrl = 'http://localhost:9292') {
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+const getCookie = name => {
+  const m = document.cookie.match(new RegExp('(^| )'+name+'=([^;]+)'));
+  return m ? m[2] : null;
+};
 
-  const getCookie = name => {
-    const m = document.cookie.match(new RegExp('(^| )'+name+'=([^;]+)'));
-    return m ? m[2] : null;
-  };
+// 세션 이벤트 -> 옵션 콜백
+const SESSION_CALLBACKS = {
+  refreshed: 'onRefreshed',
+  refreshFailed: 'onRefreshFailed',
+  expired: 'onExpired',
+  loggedOut: 'onLoggedOut'
+};
 
-  const decodeJWT = token => {
-    try { return JSON.parse(atob(token.split('.')[1])); } catch { return null; }
-  };
+export default function useAuth(baseUrl = DEFAULT_PROFILES[0].baseUrl, options = {}) {
+  const { autoRefresh = true, refreshLeadTime, endpoints } = options;
 
-  const login = useCallback(async creds => {
-    setLoading(true); setError(null);
-    try {
-      const res = await fetch(`${baseUrl}/sse/api/auth/token`, {
-        method: 'POST',
-        credentials: 'include',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(creds)
-      });
-      if (!res.ok) throw new Error(res.status);
-      return await res.json();
-    } catch (e) {
-      setError(e.message);
-      throw e;
-    } finally {
-      setLoading(false);
-    }
-  }, [baseUrl]);
-
-  const refreshToken = useCallback(async () => {
-    setLoading(true); setError(null);
-    try {
-      const res = await fetch(`${baseUrl}/sse/api/auth/token/refresh`, {
-        method: 'POST',
-        credentials: 'include'
-      });
-      if (!res.ok) throw new Error(res.status);
-      return await res.json();
-    } catch (e) {
-      setError(e.message);
-      throw e;
-    } finally {
-      setLoading(false);
+  // 세션은 한 번만 생성 (baseUrl/옵션은 effect에서 반영)
+  const sessionRef = useRef(null);
+  if (!sessionRef.current) {
+    sessionRef.current = new AuthSession(baseUrl, { autoRefresh, refreshLeadTime, endpoints });
+  }
+  const session = sessionRef.current;
+
+  // 계정별 이름 붙인 세션 (저장된 토큰, 활성 세션)
+  const registryRef = useRef(null);
+  if (!registryRef.current) {
+    registryRef.current = new SessionRegistry();
+  }
+  const registry = registryRef.current;
+
+  const [state, setState] = useState(() => session.getState());
+  const [sessions, setSessions] = useState(() => registry.getState());
+
+  // 콜백은 항상 최신 렌더의 것을 사용
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+    session.setOptions({ baseUrl, autoRefresh, refreshLeadTime, endpoints });
+  });
+
+  // 상태/이벤트 구독, 만료 스케줄러 시작, 정리
+  useEffect(() => {
+    setState(session.getState());
+    const unsubscribes = [
+      session.on('state', setState),
+      ...Object.entries(SESSION_CALLBACKS).map(([event, callback]) => session.on(event, (...args) => {
+        optionsRef.current[callback]?.(...args);
+      }))
+    ];
+    session.start();
+
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      session.stop();
+    };
+  }, [session]);
+
+  // 세션 목록 구독, 저장된 세션 복원, 쿠키 세션의 갱신된 토큰 반영
+  useEffect(() => {
+    setSessions(registry.getState());
+    const unsubscribes = [
+      registry.on('state', setSessions),
+      session.on('refreshed', () => {
+        const active = registry.getActive();
+        if (active?.mode === AUTH_MODES.COOKIE && session.getToken()) {
+          registry.updateToken(active.name, session.getToken());
+        }
+      })
+    ];
+    registry.load().catch(e => console.error('저장된 세션 복원 실패:', e));
+    removeLegacySessions().catch(e => console.error('이전 세션 저장소 삭제 실패:', e));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [registry, session]);
+
+  // 로그인한 계정을 이름 붙인 세션으로 보관하고 활성화
+  // cookie 모드는 access_token 쿠키를, bearer 모드는 응답 본문의 토큰만 사용 (쿠키는 그대로)
+  const login = useCallback(async (creds, { name, mode = AUTH_MODES.COOKIE } = {}) => {
+    const sessionName = name || `account-${creds.accountId}`;
+    if (mode === AUTH_MODES.BEARER) {
+      const data = await session.issueToken(creds);
+      const token = extractToken(data);
+      if (!token) throw new Error('응답 본문에 토큰이 없어 bearer 세션을 만들 수 없습니다');
+      registry.add({ name: sessionName, mode, token, credentials: creds });
+      registry.setActive(sessionName);
+      return data;
     }
-  }, [baseUrl]);
 
+    const data = await session.login(creds);
+    registry.add({ name: sessionName, mode, token: extractToken(data) ?? session.getToken(), credentials: creds });
+    registry.setActive(sessionName);
+    return data;
+  }, [session, registry]);
+
+  const refreshToken = useCallback(reason => session.refresh(reason), [session]);
+
+  // 활성 세션 로그아웃 (cookie 세션이면 쿠키도 삭제)
   const logout = useCallback(() => {
-    document.cookie = 'access_token=;expires=Thu,01 Jan 1970 00:00:00 UTC;path=/;';
-  }, []);
+    const active = registry.getActive();
+    if (active) registry.remove(active.name);
+    if (!active || active.mode === AUTH_MODES.COOKIE) session.logout();
+  }, [session, registry]);
+
+  // 세션을 지우지 않고 만료된 토큰으로 바꿔 만료 상황 재현 (name이 없으면 활성 세션)
+  // cookie 세션은 쿠키만 바꾸므로 세션에 보관한 토큰은 그대로 (활성 세션만 가능)
+  const expireToken = useCallback((name) => {
+    const target = registry.get(name ?? registry.getState().activeName);
+    if (!target?.token) throw new Error(`만료시킬 토큰이 없습니다${name ? `: ${name}` : ''}`);
+    const expired = createExpiredToken(target.token);
+    if (target.mode === AUTH_MODES.BEARER) {
+      registry.updateToken(target.name, expired);
+      return target.name;
+    }
+    if (target.name !== registry.getState().activeName) {
+      throw new Error(`cookie 세션은 활성 세션만 만료시킬 수 있습니다: ${target.name}`);
+    }
+    session.applyToken(expired);
+    return target.name;
+  }, [session, registry]);
+
+  // cookie 세션으로 전환하면 보관해 둔 토큰으로 쿠키를 교체
+  const switchSession = useCallback((name) => {
+    const target = registry.setActive(name);
+    if (target?.mode === AUTH_MODES.COOKIE && target.token) session.applyToken(target.token);
+    return target;
+  }, [session, registry]);
 
-  const isAuthenticated = !!getCookie('access_token');
+  const removeSession = useCallback(name => registry.remove(name), [registry]);
+  const getSessionHeaders = useCallback(name => registry.getHeaders(name ?? registry.getState().activeName), [registry]);
+  // 연결 시점의 최신 토큰 (useSSE auth 제공 함수용)
+  const getSessionToken = useCallback(name => registry.get(name ?? registry.getState().activeName)?.token ?? null, [registry]);
 
   const getCurrentUser = () => {
     const t = getCookie('access_token');
@@ -71,14 +152,43 @@ export default function useAuth(baseUrl = 'http://localhost:9292') {
     };
   };
 
+  // bearer 세션이 활성이면 쿠키 대신 그 세션의 토큰 기준
+  const activeSession = sessions.sessions.find(item => item.name === sessions.activeName) || null;
+  const bearer = activeSession?.mode === AUTH_MODES.BEARER ? activeSession : null;
+
+  // 지금 인증에 쓰는 토큰과 로그인 때 입력한 값 (JWT 검사용)
+  // 쿠키가 세션에 보관한 토큰과 다르면 다른 곳에서 바뀐 것이므로 받은 시각은 알 수 없음
+  const token = bearer ? bearer.token : session.getToken();
+  const tokenReceivedAt = activeSession?.token === token
+    ? activeSession.receivedAt ?? activeSession.addedAt ?? null
+    : null;
+
   return {
     login,
     refreshToken,
     logout,
-    loading,
-    error,
-    isAuthenticated,
+    expireToken,
+    loading: state.isLoggingIn || state.isRefreshing,
+    error: state.error,
+    isAuthenticated: bearer ? !bearer.expiresAt || bearer.expiresAt > Date.now() : state.isAuthenticated,
+    user: bearer ? bearer.user : state.user,
+    expiresAt: bearer ? bearer.expiresAt : state.expiresAt,
+    timeUntilExpiry: bearer
+      ? (bearer.expiresAt !== null ? Math.floor((bearer.expiresAt - Date.now()) / 1000) : null)
+      : state.timeUntilExpiry,
+    isRefreshing: state.isRefreshing,
+    lastRefreshedAt: state.lastRefreshedAt,
+    token,
+    tokenCredentials: activeSession?.credentials ?? null,
+    tokenReceivedAt,
     getCurrentUser,
-    getTokenInfo   // <— ensure this is returned
+    getTokenInfo,   // <— ensure this is returned
+    sessions: sessions.sessions,
+    activeSession,
+    switchSession,
+    removeSession,
+    getSessionHeaders,
+    getSessionToken,
+    session
   };
 }
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  loadProfiles,
+  mergeProfiles,
+  normalizeProfile,
+  parseProfiles,
+  saveProfiles,
+  serializeProfiles,
+  validateProfile
+} from '../core/environmentProfiles';
+
+// 환경 프로필 목록과 활성 프로필 (변경할 때마다 localStorage에 저장)
+const useEnvironmentProfiles = () => {
+  const [state, setState] = useState(() => loadProfiles());
+  const { profiles, activeName } = state;
+  const activeProfile = profiles.find(profile => profile.name === activeName) || profiles[0];
+
+  useEffect(() => {
+    saveProfiles(state);
+  }, [state]);
+
+  const selectProfile = useCallback((name) => {
+    setState(prev => (prev.profiles.some(profile => profile.name === name) ? { ...prev, activeName: name } : prev));
+  }, []);
+
+  // 활성 프로필의 sseSettings 변경 (setState처럼 값 또는 updater 함수)
+  const updateSseSettings = useCallback((update) => {
+    setState(prev => ({
+      ...prev,
+      profiles: prev.profiles.map(profile => (profile.name !== prev.activeName ? profile : {
+        ...profile,
+        sseSettings: typeof update === 'function' ? update(profile.sseSettings) : update
+      }))
+    }));
+  }, []);
+
+  // previousName의 프로필을 교체 (없으면 새로 추가하고 활성화), 유효하지 않으면 throw
+  const saveProfile = useCallback((profile, previousName = null) => {
+    const errors = validateProfile(profile);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    const next = normalizeProfile(profile);
+    if (next.name !== previousName && profiles.some(existing => existing.name === next.name)) {
+      throw new Error(`이미 있는 프로필 이름입니다: ${next.name}`);
+    }
+
+    setState(prev => {
+      const exists = prev.profiles.some(existing => existing.name === previousName);
+      return {
+        profiles: exists
+          ? prev.profiles.map(existing => (existing.name === previousName ? next : existing))
+          : [...prev.profiles, next],
+        activeName: !exists || prev.activeName === previousName ? next.name : prev.activeName
+      };
+    });
+    return next;
+  }, [profiles]);
+
+  // 마지막 프로필은 삭제할 수 없음
+  const removeProfile = useCallback((name) => {
+    if (profiles.length <= 1) throw new Error('프로필이 하나 이상 있어야 합니다');
+    setState(prev => {
+      const rest = prev.profiles.filter(profile => profile.name !== name);
+      return { profiles: rest, activeName: prev.activeName === name ? rest[0].name : prev.activeName };
+    });
+  }, [profiles]);
+
+  // 가져온 프로필 목록 반환 (같은 이름은 교체), 유효하지 않으면 throw
+  const importProfiles = useCallback((text) => {
+    const imported = parseProfiles(text);
+    setState(prev => ({ ...prev, profiles: mergeProfiles(prev.profiles, imported) }));
+    return imported;
+  }, []);
+
+  const exportProfiles = useCallback(() => serializeProfiles(profiles), [profiles]);
+
+  return {
+    profiles,
+    activeProfile,
+    selectProfile,
+    updateSseSettings,
+    saveProfile,
+    removeProfile,
+    importProfiles,
+    exportProfiles
+  };
+};
+
+export default useEnvironmentProfiles;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { LOG_CONFIG, LOG_TYPES } from '../utils/constants';
+
+// 로그는 ref에 모았다가 flushInterval마다 한 번에 반영 (초당 수천 건이 들어와도 렌더링은 주기당 1회)
+// 일시정지 중에도 수집은 계속하고 화면만 고정
+const useEventLog = ({ maxEntries = LOG_CONFIG.MAX_ENTRIES, flushInterval = LOG_CONFIG.FLUSH_INTERVAL } = {}) => {
+  const [logs, setLogs] = useState([]);
+  const [isPaused, setIsPaused] = useState(false);
+  const [hiddenCount, setHiddenCount] = useState(0);
+
+  const entriesRef = useRef([]);
+  const pendingRef = useRef([]);
+  const nextIdRef = useRef(0);
+  const pausedRef = useRef(false);
+  const hiddenCountRef = useRef(0);
+  const maxEntriesRef = useRef(maxEntries);
+
+  const addLog = useCallback((message, type = LOG_TYPES.INFO) => {
+    nextIdRef.current += 1;
+    pendingRef.current.push({
+      id: nextIdRef.current,
+      message,
+      type,
+      time: Date.now()
+    });
+  }, []);
+
+  // 보관 한도 적용 후 화면에 반영
+  const flush = useCallback(() => {
+    const pending = pendingRef.current;
+    if (pending.length === 0) return;
+
+    pendingRef.current = [];
+    const entries = entriesRef.current.concat(pending);
+    entriesRef.current = entries.length > maxEntriesRef.current
+      ? entries.slice(-maxEntriesRef.current)
+      : entries;
+
+    if (pausedRef.current) {
+      hiddenCountRef.current += pending.length;
+      setHiddenCount(hiddenCountRef.current);
+      return;
+    }
+    setLogs(entriesRef.current);
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(flush, flushInterval);
+    return () => clearInterval(timer);
+  }, [flush, flushInterval]);
+
+  useEffect(() => {
+    maxEntriesRef.current = maxEntries;
+    if (entriesRef.current.length > maxEntries) {
+      entriesRef.current = entriesRef.current.slice(-maxEntries);
+      if (!pausedRef.current) setLogs(entriesRef.current);
+    }
+  }, [maxEntries]);
+
+  const pause = useCallback(() => {
+    pausedRef.current = true;
+    setIsPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    pausedRef.current = false;
+    hiddenCountRef.current = 0;
+    setIsPaused(false);
+    setHiddenCount(0);
+    setLogs(entriesRef.current);
+  }, []);
+
+  const clearLogs = useCallback(() => {
+    entriesRef.current = [];
+    pendingRef.current = [];
+    hiddenCountRef.current = 0;
+    setHiddenCount(0);
+    setLogs([]);
+  }, []);
+
+  // 화면 고정 여부와 관계없이 보관 중인 전체 로그 (내보내기 등)
+  const getAllLogs = useCallback(() => entriesRef.current.concat(pendingRef.current), []);
+
+  return {
+    logs,
+    addLog,
+    clearLogs,
+    getAllLogs,
+    isPaused,
+    hiddenCount,
+    pause,
+    resume
+  };
+};
+
+export default useEventLog;
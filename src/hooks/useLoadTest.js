@@ -0,0 +1,44 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createLoadTest } from '../loadtest/loadTestEngine';
+
+// 부하 테스트 실행 상태 (한 번에 하나만 실행, 언마운트 시 중단)
+const useLoadTest = () => {
+  const [isRunning, setIsRunning] = useState(false);
+  const [name, setName] = useState(null);
+  const [stats, setStats] = useState(null);
+  const testRef = useRef(null);
+
+  // 끝나면 최종 요약을 반환 (이미 실행 중이면 null)
+  const start = useCallback(async (testName, config) => {
+    if (testRef.current) return null;
+
+    const test = createLoadTest({ ...config, onProgress: setStats });
+    testRef.current = test;
+    setName(testName);
+    setStats(test.getStats());
+    setIsRunning(true);
+
+    try {
+      return await test.start();
+    } finally {
+      testRef.current = null;
+      setIsRunning(false);
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    testRef.current?.stop();
+  }, []);
+
+  useEffect(() => () => testRef.current?.stop(), []);
+
+  return {
+    isRunning,
+    name,
+    stats,
+    start,
+    stop
+  };
+};
+
+export default useLoadTest;
@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+
+// 특정 SSE 이벤트 타입만 구독 (다른 타입 수신 시에는 재렌더링하지 않음)
+// source: useSSE 반환값 또는 SSEClient
+// 반환: { data, id, count, receivedAt } - 해당 타입의 최신 값과 누적 수신 횟수
+const useSSEEvent = (source, eventType, handler) => {
+  const client = source?.client || source;
+
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  const subscribe = useCallback((onStoreChange) => client.subscribe(eventType, (data, meta) => {
+    handlerRef.current?.(data, meta);
+    onStoreChange();
+  }), [client, eventType]);
+
+  const getSnapshot = useCallback(() => client.getEventTypeSnapshot(eventType), [client, eventType]);
+
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+};
+
+export default useSSEEvent;
@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createScenarioRunner } from '../loadtest/scenarioRunner';
+
+// 시나리오 실행 상태 (전체 실행 또는 한 단계씩 실행, 언마운트 시 중단)
+const useScenarioRunner = () => {
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const runnerRef = useRef(null);
+
+  // 새 시나리오 준비 (이전 실행은 중단), 유효하지 않으면 throw
+  const load = useCallback((scenario, actions) => {
+    runnerRef.current?.stop();
+    const runner = createScenarioRunner(scenario, actions, { onUpdate: setReport });
+    runnerRef.current = runner;
+    setReport(runner.getReport());
+    return runner;
+  }, []);
+
+  const track = useCallback(async (promise) => {
+    setIsRunning(true);
+    try {
+      return await promise;
+    } finally {
+      setIsRunning(false);
+    }
+  }, []);
+
+  const run = useCallback(() => track(runnerRef.current.run()), [track]);
+  const step = useCallback(() => track(runnerRef.current.next()), [track]);
+  const stop = useCallback(() => runnerRef.current?.stop(), []);
+
+  // 준비된 시나리오가 있고 아직 끝나지 않았는지
+  const isLoaded = useCallback(() => !!runnerRef.current && !runnerRef.current.isDone(), []);
+
+  useEffect(() => () => runnerRef.current?.stop(), []);
+
+  return {
+    report,
+    isRunning,
+    load,
+    run,
+    step,
+    stop,
+    isLoaded
+  };
+};
+
+export default useScenarioRunner;
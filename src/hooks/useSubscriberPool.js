@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import SubscriberPool from '../loadtest/SubscriberPool';
+import { LOAD_TEST_CONFIG } from '../utils/constants';
+
+// 가상 구독 클라이언트 풀 (메시지마다 렌더링하지 않도록 변경 사항은 주기적으로 반영)
+// 핸들러는 항상 최신 렌더의 것을 사용, 언마운트 시 모든 연결 종료
+const useSubscriberPool = (handlers = {}, { refreshInterval = LOAD_TEST_CONFIG.POOL_REFRESH_INTERVAL } = {}) => {
+  const poolRef = useRef(null);
+  if (!poolRef.current) {
+    poolRef.current = new SubscriberPool();
+  }
+  const pool = poolRef.current;
+
+  const [clients, setClients] = useState([]);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    let dirty = true;
+    const unsubscribers = [
+      pool.on('change', () => { dirty = true; }),
+      pool.on('open', client => handlersRef.current.onOpen?.(client)),
+      pool.on('message', (client, event) => handlersRef.current.onMessage?.(client, event)),
+      pool.on('error', (client, error) => handlersRef.current.onError?.(client, error)),
+      pool.on('attach', client => handlersRef.current.onAttach?.(client)),
+      pool.on('detach', client => handlersRef.current.onDetach?.(client))
+    ];
+    const timer = setInterval(() => {
+      if (!dirty) return;
+      dirty = false;
+      setClients(pool.getClients());
+    }, refreshInterval);
+
+    return () => {
+      clearInterval(timer);
+      pool.killAll();
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [pool, refreshInterval]);
+
+  const open = useCallback((config) => pool.open(config), [pool]);
+  const close = useCallback((id) => pool.close(id), [pool]);
+  const reconnect = useCallback((id) => pool.reconnect(id), [pool]);
+  const kill = useCallback((id) => pool.kill(id), [pool]);
+  const closeAll = useCallback(() => pool.closeAll(), [pool]);
+  const reconnectAll = useCallback(() => pool.reconnectAll(), [pool]);
+  const killAll = useCallback(() => pool.killAll(), [pool]);
+  const getClients = useCallback(() => pool.getClients(), [pool]);
+  const getActiveClients = useCallback(() => pool.getActiveClients(), [pool]);
+
+  return {
+    clients,
+    open,
+    close,
+    reconnect,
+    kill,
+    closeAll,
+    reconnectAll,
+    killAll,
+    getClients,
+    getActiveClients
+  };
+};
+
+export default useSubscriberPool;
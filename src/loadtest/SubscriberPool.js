@@ -0,0 +1,177 @@
+// src/loadtest/SubscriberPool.js
+// 가상 구독 클라이언트 풀 (clientId마다 EventSource 하나)
+// - 연결은 staggerMs 간격으로 예약, 예약 타이머도 풀이 관리하므로 닫기/종료 시 함께 취소
+// - close: 연결만 닫고 행은 유지 (reconnect 가능), kill: 연결을 닫고 풀에서 제거
+// - 이벤트: change, open, message(client, event), error(client, error), attach/detach(client)
+//   attach/detach는 수신 가능한 연결이 생기고 없어질 때 (전달 검증의 관찰 대상)
+import { EventSourcePolyfill } from 'event-source-polyfill';
+import EventEmitter from '../core/EventEmitter';
+import { GATEWAY_ENDPOINTS } from '../utils/constants';
+
+export const SUBSCRIBER_STATES = {
+  PENDING: 'pending',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+const defaultCreateEventSource = (url, options) => new EventSourcePolyfill(url, options);
+
+class SubscriberPool extends EventEmitter {
+  constructor({ createEventSource = defaultCreateEventSource } = {}) {
+    super();
+    this.createEventSource = createEventSource;
+    this.clients = new Map();
+    // id -> { eventSource, timer }
+    this.connections = new Map();
+    this.nextId = 0;
+  }
+
+  // clientIds마다 클라이언트를 추가하고 연결 예약, 추가된 id 목록 반환
+  // session/headers: 클라이언트를 묶을 인증 세션 이름과 그 세션의 인증 헤더
+  open({
+    baseUrl,
+    subscribePath = GATEWAY_ENDPOINTS.SUBSCRIBE,
+    clientIds,
+    lastEventId = '',
+    staggerMs = 0,
+    session = null,
+    headers = {}
+  }) {
+    const ids = clientIds.map((clientId, index) => {
+      this.nextId += 1;
+      const id = this.nextId;
+      this.clients.set(id, {
+        id,
+        clientId,
+        url: `${baseUrl}${subscribePath}?clientId=${encodeURIComponent(clientId)}`,
+        state: SUBSCRIBER_STATES.PENDING,
+        session,
+        headers,
+        lastEventId,
+        messageCount: 0,
+        errorCount: 0,
+        lastError: null,
+        connectedAt: null
+      });
+      this.schedule(id, index * staggerMs);
+      return id;
+    });
+    this.emit('change');
+    return ids;
+  }
+
+  schedule(id, delay) {
+    const timer = setTimeout(() => this.connect(id), delay);
+    this.connections.set(id, { eventSource: null, timer });
+  }
+
+  connect(id) {
+    const client = this.clients.get(id);
+    if (!client) return;
+
+    const headers = client.lastEventId ? { ...client.headers, 'Last-Event-ID': client.lastEventId } : client.headers;
+    const eventSource = this.createEventSource(client.url, { headers, withCredentials: true });
+    this.connections.set(id, { eventSource, timer: null });
+    this.update(id, { state: SUBSCRIBER_STATES.CONNECTING });
+    this.emit('attach', client);
+
+    eventSource.onopen = () => {
+      const opened = this.update(id, { state: SUBSCRIBER_STATES.OPEN, connectedAt: Date.now() });
+      this.emit('open', opened);
+    };
+
+    eventSource.onmessage = (event) => {
+      const current = this.clients.get(id);
+      if (!current) return;
+      const updated = this.update(id, {
+        messageCount: current.messageCount + 1,
+        lastEventId: event.lastEventId || current.lastEventId
+      });
+      this.emit('message', updated, event);
+    };
+
+    // 폴리필이 스스로 재연결하는 동안은 reconnecting, 완전히 닫히면 closed
+    eventSource.onerror = (event) => {
+      const current = this.clients.get(id);
+      if (!current) return;
+      const error = event?.error || new Error('SSE 연결 오류');
+      const closed = eventSource.readyState === 2;
+      const updated = this.update(id, {
+        state: closed ? SUBSCRIBER_STATES.CLOSED : SUBSCRIBER_STATES.RECONNECTING,
+        errorCount: current.errorCount + 1,
+        lastError: error.message
+      });
+      this.emit('error', updated, error);
+      if (closed) this.release(id);
+    };
+  }
+
+  update(id, changes) {
+    const client = this.clients.get(id);
+    if (!client) return null;
+    const updated = { ...client, ...changes };
+    this.clients.set(id, updated);
+    this.emit('change');
+    return updated;
+  }
+
+  // 예약 타이머와 연결 정리 (연결이 있었다면 detach)
+  release(id) {
+    const connection = this.connections.get(id);
+    if (!connection) return;
+    this.connections.delete(id);
+    clearTimeout(connection.timer);
+    if (connection.eventSource) {
+      connection.eventSource.close();
+      const client = this.clients.get(id);
+      if (client) this.emit('detach', client);
+    }
+  }
+
+  close(id) {
+    this.release(id);
+    this.update(id, { state: SUBSCRIBER_STATES.CLOSED });
+  }
+
+  // 마지막으로 받은 이벤트 ID부터 이어받음
+  reconnect(id) {
+    if (!this.clients.has(id)) return;
+    this.release(id);
+    this.connect(id);
+  }
+
+  kill(id) {
+    this.release(id);
+    if (this.clients.delete(id)) this.emit('change');
+  }
+
+  closeAll() {
+    [...this.clients.keys()].forEach(id => this.close(id));
+  }
+
+  reconnectAll() {
+    [...this.clients.keys()].forEach(id => this.reconnect(id));
+  }
+
+  killAll() {
+    [...this.clients.keys()].forEach(id => this.kill(id));
+  }
+
+  getClients() {
+    return [...this.clients.values()];
+  }
+
+  // EventSource가 열려 있는 클라이언트 (attach 이후 detach 전)
+  getActiveClients() {
+    return this.getClients().filter(client => this.connections.get(client.id)?.eventSource);
+  }
+
+  destroy() {
+    this.killAll();
+    this.removeAllListeners();
+  }
+}
+
+export default SubscriberPool;
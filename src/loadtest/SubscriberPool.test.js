@@ -0,0 +1,86 @@
+import SubscriberPool, { SUBSCRIBER_STATES } from './SubscriberPool';
+
+const createFakeEventSource = () => {
+  const created = [];
+  const factory = (url, options) => {
+    const eventSource = { url, options, readyState: 0, closed: false };
+    eventSource.close = () => {
+      eventSource.closed = true;
+      eventSource.readyState = 2;
+    };
+    created.push(eventSource);
+    return eventSource;
+  };
+  return { created, factory };
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('opens staggered clients and cancels pending connections on kill', () => {
+  jest.useFakeTimers();
+  const { created, factory } = createFakeEventSource();
+  const pool = new SubscriberPool({ createEventSource: factory });
+  const attached = [];
+  pool.on('attach', client => attached.push(client.clientId));
+
+  const ids = pool.open({ baseUrl: 'http://x', clientIds: ['c-1', 'c-2', 'c-3'], lastEventId: '2-1', staggerMs: 100 });
+  expect(pool.getClients().map(client => client.state)).toEqual(Array(3).fill(SUBSCRIBER_STATES.PENDING));
+  jest.advanceTimersByTime(0);
+  expect(created).toHaveLength(1);
+  expect(created[0].url).toBe('http://x/sse/api/subscribe?clientId=c-1');
+  expect(created[0].options.headers).toEqual({ 'Last-Event-ID': '2-1' });
+
+  pool.kill(ids[2]);
+  jest.advanceTimersByTime(500);
+  expect(created).toHaveLength(2);
+  expect(attached).toEqual(['c-1', 'c-2']);
+  expect(pool.getClients().map(client => client.clientId)).toEqual(['c-1', 'c-2']);
+});
+
+test('tracks messages and resumes from the last received event on reconnect', () => {
+  jest.useFakeTimers();
+  const { created, factory } = createFakeEventSource();
+  const pool = new SubscriberPool({ createEventSource: factory });
+  const detached = [];
+  pool.on('detach', client => detached.push(client.clientId));
+
+  const [id] = pool.open({ baseUrl: 'http://x', clientIds: ['c-1'] });
+  jest.advanceTimersByTime(0);
+  created[0].onopen();
+  created[0].onmessage({ data: 'a', lastEventId: '1-1' });
+  created[0].onmessage({ data: 'b', lastEventId: '1-2' });
+  created[0].onerror({});
+  expect(pool.getClients()[0]).toMatchObject({
+    state: SUBSCRIBER_STATES.RECONNECTING,
+    messageCount: 2,
+    errorCount: 1,
+    lastEventId: '1-2'
+  });
+
+  pool.reconnect(id);
+  expect(created[0].closed).toBe(true);
+  expect(created[1].options.headers).toEqual({ 'Last-Event-ID': '1-2' });
+
+  pool.close(id);
+  expect(pool.getClients()[0].state).toBe(SUBSCRIBER_STATES.CLOSED);
+  expect(pool.getActiveClients()).toHaveLength(0);
+  expect(detached).toEqual(['c-1', 'c-1']);
+});
+
+test('keeps each client bound to its session headers across reconnects', () => {
+  jest.useFakeTimers();
+  const { created, factory } = createFakeEventSource();
+  const pool = new SubscriberPool({ createEventSource: factory });
+  const auth = { Authorization: 'Bearer b-token' };
+
+  const [id] = pool.open({ baseUrl: 'http://x', clientIds: ['c-1'], session: 'bob', headers: auth });
+  jest.advanceTimersByTime(0);
+  expect(created[0].options.headers).toEqual(auth);
+  expect(pool.getClients()[0].session).toBe('bob');
+
+  created[0].onmessage({ data: '{}', lastEventId: '4-1' });
+  pool.reconnect(id);
+  expect(created[1].options.headers).toEqual({ ...auth, 'Last-Event-ID': '4-1' });
+});
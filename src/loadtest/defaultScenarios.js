@@ -0,0 +1,32 @@
+// src/loadtest/defaultScenarios.js
+// 기본 제공 시나리오 (대시보드의 유니캐스트/브로드캐스트 시나리오 박스와 같은 흐름)
+import { SCENARIO_STEP_TYPES } from './scenarioRunner';
+
+export const DEFAULT_SCENARIOS = [
+  {
+    name: '유니캐스트 전달 및 Last-Event-ID 재연결',
+    description: '한 클라이언트를 구독하고 unicast로 발송한 뒤 토큰 만료 후 Last-Event-ID로 재연결',
+    steps: [
+      { type: SCENARIO_STEP_TYPES.SUBSCRIBE, clientId: 'test-client' },
+      { type: SCENARIO_STEP_TYPES.CAST, sendType: 'unicast', clientId: 'test-client', rate: 5, durationSec: 5, expect: { minSuccessRate: 1 } },
+      { type: SCENARIO_STEP_TYPES.ASSERT_DELIVERY, waitMs: 2000, maxMissing: 0, maxDuplicated: 0 },
+      { type: SCENARIO_STEP_TYPES.EXPIRE_TOKEN },
+      { type: SCENARIO_STEP_TYPES.RECONNECT, clientId: 'test-client', lastEventId: '1-1' },
+      { type: SCENARIO_STEP_TYPES.WAIT, ms: 2000 },
+      { type: SCENARIO_STEP_TYPES.CLOSE, clientId: 'test-client' }
+    ]
+  },
+  {
+    name: '브로드캐스트 전달 및 Last-Event-ID 재연결',
+    description: '여러 클라이언트를 구독하고 broadcast로 발송한 뒤 토큰 만료 후 Last-Event-ID로 재연결',
+    steps: [
+      { type: SCENARIO_STEP_TYPES.SUBSCRIBE, prefix: 'test-client-', count: 5, staggerMs: 100 },
+      { type: SCENARIO_STEP_TYPES.CAST, sendType: 'broadcast', prefix: 'test-client-', rate: 5, durationSec: 5, expect: { minSuccessRate: 1 } },
+      { type: SCENARIO_STEP_TYPES.ASSERT_DELIVERY, waitMs: 2000, maxMissing: 0, maxDuplicated: 0 },
+      { type: SCENARIO_STEP_TYPES.EXPIRE_TOKEN },
+      { type: SCENARIO_STEP_TYPES.RECONNECT, prefix: 'test-client-', lastEventId: '2-1' },
+      { type: SCENARIO_STEP_TYPES.WAIT, ms: 2000 },
+      { type: SCENARIO_STEP_TYPES.CLOSE, prefix: 'test-client-' }
+    ]
+  }
+];
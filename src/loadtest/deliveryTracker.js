@@ -0,0 +1,159 @@
+// src/loadtest/deliveryTracker.js
+// /cast로 보낸 eventId와 구독 중인 클라이언트가 받은 이벤트를 대조
+// - unicast: 대상 clientId 하나, broadcast: 발송 시점에 관찰 중인 모든 clientId가 수신 대상
+// - 관찰하지 않는 clientId로 보낸 unicast는 확인할 수 없으므로 unobserved로만 집계
+// - graceMs가 지나도 도착하지 않으면 missing, 그 전에는 pending
+import { summarize } from '../core/metricsCollector';
+import { LOAD_TEST_CONFIG } from '../utils/constants';
+
+export const SEND_TYPES = {
+  UNICAST: 'unicast',
+  BROADCAST: 'broadcast'
+};
+
+// 수신 이벤트의 eventId (본문의 eventId 우선, 없으면 SSE id)
+export const extractEventId = ({ id, data }) => {
+  let payload = data;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      payload = null;
+    }
+  }
+  if (payload && typeof payload === 'object' && payload.eventId) return String(payload.eventId);
+  return id ? String(id) : null;
+};
+
+const createClientStats = (clientId) => ({
+  clientId,
+  expected: 0,
+  delivered: 0,
+  duplicated: 0,
+  unexpected: 0,
+  latencies: []
+});
+
+export const createDeliveryTracker = ({ graceMs = LOAD_TEST_CONFIG.DELIVERY_GRACE_MS } = {}) => {
+  // eventId -> { sendType, sentAt, recipients: Map<clientId, 수신 횟수> }
+  const sent = new Map();
+  const clients = new Map();
+  // clientId -> 열린 구독 수 (같은 clientId로 여러 연결이 있을 수 있음)
+  const observed = new Map();
+  let unobserved = 0;
+
+  const getClient = (clientId) => {
+    if (!clients.has(clientId)) clients.set(clientId, createClientStats(clientId));
+    return clients.get(clientId);
+  };
+
+  // 수신을 확인할 수 있는 clientId (대시보드가 구독 중인 연결)
+  const observe = (clientId) => {
+    observed.set(clientId, (observed.get(clientId) || 0) + 1);
+    getClient(clientId);
+  };
+
+  const unobserve = (clientId) => {
+    const count = observed.get(clientId) || 0;
+    if (count <= 1) observed.delete(clientId);
+    else observed.set(clientId, count - 1);
+  };
+
+  const recordSent = ({ eventId, clientId, sendType, sentAt = Date.now() }) => {
+    const targets = sendType === SEND_TYPES.BROADCAST
+      ? [...observed.keys()]
+      : [clientId].filter(target => observed.has(target));
+    if (targets.length === 0) {
+      unobserved += 1;
+      return;
+    }
+    sent.set(eventId, { sendType, sentAt, recipients: new Map(targets.map(target => [target, 0])) });
+    targets.forEach(target => { getClient(target).expected += 1; });
+  };
+
+  // 발송 요청 자체가 실패하면 기대 수신에서 제외
+  const recordSendFailed = (eventId) => {
+    const entry = sent.get(eventId);
+    if (!entry) {
+      unobserved = Math.max(unobserved - 1, 0);
+      return;
+    }
+    entry.recipients.forEach((count, target) => { getClient(target).expected -= 1; });
+    sent.delete(eventId);
+  };
+
+  const recordReceived = ({ eventId, clientId, receivedAt = Date.now() }) => {
+    if (!eventId) return;
+    const client = getClient(clientId);
+    const entry = sent.get(eventId);
+    if (!entry || !entry.recipients.has(clientId)) {
+      // 이번 검증에서 보내지 않은 이벤트 (다른 발송자, 재전송된 이전 이벤트 등)
+      client.unexpected += 1;
+      return;
+    }
+    const count = entry.recipients.get(clientId);
+    entry.recipients.set(clientId, count + 1);
+    if (count > 0) {
+      client.duplicated += 1;
+      return;
+    }
+    client.delivered += 1;
+    client.latencies.push(Math.max(receivedAt - entry.sentAt, 0));
+  };
+
+  const getReport = (now = Date.now()) => {
+    const pendingByClient = new Map();
+    sent.forEach((entry) => {
+      if (now - entry.sentAt >= graceMs) return;
+      entry.recipients.forEach((count, target) => {
+        if (count === 0) pendingByClient.set(target, (pendingByClient.get(target) || 0) + 1);
+      });
+    });
+
+    const rows = [...clients.values()].map((client) => {
+      const pending = pendingByClient.get(client.clientId) || 0;
+      return {
+        clientId: client.clientId,
+        observed: observed.has(client.clientId),
+        expected: client.expected,
+        delivered: client.delivered,
+        pending,
+        missing: client.expected - client.delivered - pending,
+        duplicated: client.duplicated,
+        unexpected: client.unexpected,
+        latency: summarize(client.latencies)
+      };
+    });
+
+    const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+    return {
+      sentEvents: sent.size,
+      unobserved,
+      expected: total('expected'),
+      delivered: total('delivered'),
+      pending: total('pending'),
+      missing: total('missing'),
+      duplicated: total('duplicated'),
+      latency: summarize([...clients.values()].flatMap(client => client.latencies)),
+      clients: rows
+    };
+  };
+
+  // 관찰 중인 clientId는 유지하고 집계만 초기화
+  const reset = () => {
+    sent.clear();
+    clients.clear();
+    unobserved = 0;
+    observed.forEach((count, clientId) => getClient(clientId));
+  };
+
+  return {
+    observe,
+    unobserve,
+    recordSent,
+    recordSendFailed,
+    recordReceived,
+    getReport,
+    reset
+  };
+};
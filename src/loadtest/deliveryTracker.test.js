@@ -0,0 +1,44 @@
+import { createDeliveryTracker, extractEventId, SEND_TYPES } from './deliveryTracker';
+
+const rowOf = (report, clientId) => report.clients.find(row => row.clientId === clientId);
+
+test('extracts the cast eventId from the payload before falling back to the SSE id', () => {
+  expect(extractEventId({ id: '3-1', data: { eventId: 'epoch-1-0' } })).toBe('epoch-1-0');
+  expect(extractEventId({ id: '3-1', data: '{"eventId":"epoch-1-1"}' })).toBe('epoch-1-1');
+  expect(extractEventId({ id: 'epoch-1-2', data: 'plain text' })).toBe('epoch-1-2');
+  expect(extractEventId({ id: null, data: 'plain text' })).toBeNull();
+});
+
+test('tracks unicast delivery, duplicates and latency per client', () => {
+  const tracker = createDeliveryTracker({ graceMs: 1000 });
+  tracker.observe('a');
+
+  tracker.recordSent({ eventId: 'e1', clientId: 'a', sendType: SEND_TYPES.UNICAST, sentAt: 0 });
+  tracker.recordSent({ eventId: 'e2', clientId: 'a', sendType: SEND_TYPES.UNICAST, sentAt: 0 });
+  tracker.recordSent({ eventId: 'e3', clientId: 'unknown', sendType: SEND_TYPES.UNICAST, sentAt: 0 });
+  tracker.recordReceived({ eventId: 'e1', clientId: 'a', receivedAt: 40 });
+  tracker.recordReceived({ eventId: 'e1', clientId: 'a', receivedAt: 60 });
+  tracker.recordReceived({ eventId: 'other', clientId: 'a', receivedAt: 70 });
+
+  expect(rowOf(tracker.getReport(500), 'a')).toMatchObject({ expected: 2, delivered: 1, pending: 1, missing: 0, duplicated: 1, unexpected: 1 });
+
+  const report = tracker.getReport(1000);
+  expect(rowOf(report, 'a')).toMatchObject({ pending: 0, missing: 1 });
+  expect(rowOf(report, 'a').latency.max).toBe(40);
+  expect(report.unobserved).toBe(1);
+});
+
+test('expects broadcasts on every observed client and drops failed sends', () => {
+  const tracker = createDeliveryTracker({ graceMs: 0 });
+  tracker.observe('a');
+  tracker.observe('b');
+
+  tracker.recordSent({ eventId: 'b1', clientId: 'a', sendType: SEND_TYPES.BROADCAST, sentAt: 0 });
+  tracker.recordSent({ eventId: 'b2', clientId: 'a', sendType: SEND_TYPES.BROADCAST, sentAt: 0 });
+  tracker.recordSendFailed('b2');
+  tracker.recordReceived({ eventId: 'b1', clientId: 'a', receivedAt: 10 });
+
+  const report = tracker.getReport(100);
+  expect(report).toMatchObject({ sentEvents: 1, expected: 2, delivered: 1, missing: 1 });
+  expect(rowOf(report, 'b')).toMatchObject({ expected: 1, missing: 1 });
+});
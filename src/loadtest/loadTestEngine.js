@@ -0,0 +1,166 @@
+// src/loadtest/loadTestEngine.js
+// 목표 TPS로 정해진 시간 동안 요청을 보내는 부하 테스트 엔진 (오픈 루프)
+// - rampUpMs 동안 0 -> targetRps로 선형 증가
+// - 동시 요청이 maxConcurrency에 도달하면 그 요청은 보내지 않고 throttled로 집계
+// - 요청 함수는 (index, { signal }) => Promise<{ status, ...meta }>, 실패는 throw
+import { summarize } from '../core/metricsCollector';
+import { LOAD_TEST_CONFIG } from '../utils/constants';
+
+// 경과 시간까지 보냈어야 하는 요청 수 (램프업 구간은 삼각형 넓이)
+export const expectedRequestCount = (elapsedMs, { targetRps, rampUpMs = 0, durationMs }) => {
+  const t = Math.min(elapsedMs, durationMs) / 1000;
+  const ramp = Math.min(rampUpMs, durationMs) / 1000;
+  if (ramp > 0 && t <= ramp) {
+    return targetRps * t * t / (2 * ramp);
+  }
+  return targetRps * (ramp / 2 + (t - ramp));
+};
+
+// 오류 분류 키: HTTP 상태 코드, timeout, network 등
+export const classifyError = (error) => {
+  if (error?.status) return `HTTP ${error.status}`;
+  if (error?.name === 'TimeoutError') return 'timeout';
+  if (error?.name === 'AbortError') return 'aborted';
+  if (error?.name === 'TypeError') return 'network';
+  return error?.name || 'unknown';
+};
+
+export const createLoadTest = ({
+  request,
+  targetRps,
+  durationMs,
+  rampUpMs = 0,
+  maxConcurrency = LOAD_TEST_CONFIG.MAX_CONCURRENCY,
+  tickMs = LOAD_TEST_CONFIG.TICK_MS,
+  progressIntervalMs = LOAD_TEST_CONFIG.PROGRESS_INTERVAL,
+  onProgress,
+  onResult
+}) => {
+  if (!(targetRps > 0) || !(durationMs > 0)) {
+    throw new Error('TPS와 테스트 시간은 0보다 커야 합니다');
+  }
+
+  const controller = new AbortController();
+  const results = [];
+  const errors = {};
+  const inFlight = new Set();
+  let issued = 0;
+  let throttled = 0;
+  let startedAt = null;
+  let finishedAt = null;
+  let tickTimer = null;
+  let lastProgressAt = 0;
+  let resolveDone = null;
+
+  const getStats = () => {
+    const now = finishedAt ?? Date.now();
+    const elapsedMs = startedAt ? now - startedAt : 0;
+    const succeeded = results.filter(result => result.ok).length;
+    const completed = results.length;
+    return {
+      elapsedMs,
+      durationMs,
+      targetRps,
+      sent: issued - throttled,
+      completed,
+      succeeded,
+      failed: completed - succeeded,
+      throttled,
+      inFlight: inFlight.size,
+      achievedTps: elapsedMs > 0 ? completed / (elapsedMs / 1000) : 0,
+      latency: summarize(results.map(result => result.latency)),
+      errors: { ...errors },
+      stopped: controller.signal.aborted
+    };
+  };
+
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < progressIntervalMs) return;
+    lastProgressAt = now;
+    onProgress?.(getStats());
+  };
+
+  const finish = () => {
+    if (finishedAt !== null) return;
+    clearTimeout(tickTimer);
+    finishedAt = Date.now();
+    const summary = getStats();
+    onProgress?.(summary);
+    resolveDone(summary);
+  };
+
+  const fire = (index) => {
+    const requestStartedAt = Date.now();
+    // 동기 예외도 실패로 집계되도록 async로 감싸서 바로 호출
+    const run = async () => request(index, { signal: controller.signal });
+    const promise = run()
+      .then(
+        (meta = {}) => ({ index, ok: true, status: meta.status ?? null, meta }),
+        (error) => {
+          const key = classifyError(error);
+          errors[key] = (errors[key] || 0) + 1;
+          return { index, ok: false, status: error?.status ?? null, error: key, message: error?.message };
+        }
+      )
+      .then((result) => {
+        const entry = { ...result, startedAt: requestStartedAt, latency: Date.now() - requestStartedAt };
+        results.push(entry);
+        onResult?.(entry);
+        inFlight.delete(promise);
+        reportProgress();
+        if (finishedAt === null && issued >= totalToIssue() && inFlight.size === 0) {
+          finish();
+        }
+      });
+    inFlight.add(promise);
+  };
+
+  // 중단되면 지금까지 보낸 수가 최종 목표
+  const totalToIssue = () => (controller.signal.aborted
+    ? issued
+    : Math.floor(expectedRequestCount(durationMs, { targetRps, rampUpMs, durationMs })));
+
+  const tick = () => {
+    const elapsed = Date.now() - startedAt;
+    const due = Math.min(
+      Math.floor(expectedRequestCount(elapsed, { targetRps, rampUpMs, durationMs })),
+      totalToIssue()
+    );
+
+    while (issued < due) {
+      if (inFlight.size >= maxConcurrency) {
+        throttled += 1;
+      } else {
+        fire(issued);
+      }
+      issued += 1;
+    }
+    reportProgress();
+
+    if (issued >= totalToIssue()) {
+      if (inFlight.size === 0) finish();
+      return;
+    }
+    tickTimer = setTimeout(tick, tickMs);
+  };
+
+  return {
+    start: () => new Promise((resolve) => {
+      resolveDone = resolve;
+      startedAt = Date.now();
+      tick();
+    }),
+
+    // 새 요청 중단, 진행 중인 요청은 signal로 취소
+    stop: () => {
+      if (finishedAt !== null || controller.signal.aborted) return;
+      controller.abort();
+      clearTimeout(tickTimer);
+      if (inFlight.size === 0) finish();
+    },
+
+    getStats,
+    getResults: () => [...results]
+  };
+};
@@ -0,0 +1,62 @@
+import { createLoadTest, expectedRequestCount, classifyError } from './loadTestEngine';
+
+// signal이 중단될 때까지 끝나지 않는 요청
+const hangingRequest = (index, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('ramps the request rate up linearly before holding the target', () => {
+  const config = { targetRps: 10, rampUpMs: 2000, durationMs: 5000 };
+  expect(expectedRequestCount(1000, config)).toBe(2.5);
+  expect(expectedRequestCount(2000, config)).toBe(10);
+  expect(expectedRequestCount(5000, config)).toBe(40);
+  expect(expectedRequestCount(9000, config)).toBe(40);
+});
+
+test('classifies failures by HTTP status or error kind', () => {
+  expect(classifyError(Object.assign(new Error('x'), { status: 503 }))).toBe('HTTP 503');
+  expect(classifyError(Object.assign(new Error('x'), { name: 'TimeoutError' }))).toBe('timeout');
+  expect(classifyError(new TypeError('Failed to fetch'))).toBe('network');
+});
+
+test('sends the target number of requests and summarizes the results', async () => {
+  jest.useFakeTimers();
+  const request = jest.fn(async (index) => {
+    if (index % 5 === 0) throw Object.assign(new Error('unavailable'), { status: 503 });
+    return { status: 200 };
+  });
+  const run = createLoadTest({ request, targetRps: 20, durationMs: 1000, tickMs: 50 });
+
+  const done = run.start();
+  jest.advanceTimersByTime(1000);
+  const summary = await done;
+
+  expect(request).toHaveBeenCalledTimes(20);
+  expect(summary).toMatchObject({
+    sent: 20,
+    completed: 20,
+    succeeded: 16,
+    failed: 4,
+    throttled: 0,
+    errors: { 'HTTP 503': 4 },
+    stopped: false
+  });
+  expect(summary.latency.count).toBe(20);
+});
+
+test('skips requests beyond the concurrency limit and aborts in-flight ones on stop', async () => {
+  jest.useFakeTimers();
+  const run = createLoadTest({ request: hangingRequest, targetRps: 10, durationMs: 1000, maxConcurrency: 3 });
+
+  const done = run.start();
+  jest.advanceTimersByTime(1000);
+  expect(run.getStats()).toMatchObject({ sent: 3, throttled: 7, inFlight: 3 });
+
+  run.stop();
+  const summary = await done;
+  expect(summary).toMatchObject({ sent: 3, failed: 3, inFlight: 0, errors: { aborted: 3 }, stopped: true });
+});
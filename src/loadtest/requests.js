@@ -0,0 +1,108 @@
+// src/loadtest/requests.js
+// 부하 테스트용 요청 함수 (/sse/api/subscribe, /sse/api/cast)
+import { createHttpError } from '../transports/utils';
+import { GATEWAY_ENDPOINTS, LOAD_TEST_CONFIG } from '../utils/constants';
+
+// 엔진의 signal과 요청별 타임아웃을 하나의 signal로 묶음
+const withTimeout = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  return {
+    signal: controller.signal,
+    isTimedOut: () => timedOut,
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
+
+const toTimeoutError = () => {
+  const error = new Error('요청 시간이 초과되었습니다');
+  error.name = 'TimeoutError';
+  return error;
+};
+
+const send = async (url, init, { signal, timeoutMs }) => {
+  const scoped = withTimeout(signal, timeoutMs);
+  try {
+    const response = await fetch(url, { credentials: 'include', ...init, signal: scoped.signal });
+    if (!response.ok) {
+      response.body?.cancel().catch(() => {});
+      throw createHttpError(response.status, response.statusText);
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError' && scoped.isTimedOut()) throw toTimeoutError();
+    throw error;
+  } finally {
+    scoped.cleanup();
+  }
+};
+
+// 구독 요청: 응답 헤더 수신까지를 지연으로 보고 스트림은 바로 닫음
+// getClientId(index)로 대상 clientId 결정 (유니캐스트는 고정, 브로드캐스트는 접두어 + 번호)
+// headers: 추가 헤더 (bearer 세션의 Authorization 등), subscribePath: 환경 프로필의 구독 경로
+export const createSubscribeRequest = ({
+  baseUrl,
+  subscribePath = GATEWAY_ENDPOINTS.SUBSCRIBE,
+  getClientId,
+  lastEventId,
+  headers: extraHeaders = {},
+  timeoutMs = LOAD_TEST_CONFIG.REQUEST_TIMEOUT
+}) => async (index, { signal }) => {
+  const clientId = getClientId(index);
+  const headers = { ...extraHeaders, Accept: 'text/event-stream' };
+  if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+  const response = await send(
+    `${baseUrl}${subscribePath}?clientId=${encodeURIComponent(clientId)}`,
+    { headers },
+    { signal, timeoutMs }
+  );
+  response.body?.cancel().catch(() => {});
+  return { status: response.status, clientId };
+};
+
+// 발송 요청: eventId는 실행별 runId + 요청 번호
+// onSend는 요청 직전에 호출 (응답보다 이벤트가 먼저 도착할 수 있음), 실패하면 onSendFailed
+// castPath: 환경 프로필의 발송 경로
+export const createCastRequest = ({
+  baseUrl,
+  castPath = GATEWAY_ENDPOINTS.CAST,
+  getClientId,
+  getMessage = index => `테스트 메시지 ${index + 1}`,
+  sendType,
+  headers = {},
+  runId = Date.now(),
+  timeoutMs = LOAD_TEST_CONFIG.REQUEST_TIMEOUT,
+  onSend,
+  onSendFailed
+}) => async (index, { signal }) => {
+  const clientId = getClientId(index);
+  const eventId = `epoch-${runId}-${index}`;
+  onSend?.({ eventId, clientId, sendType, sentAt: Date.now() });
+  try {
+    const response = await send(
+      `${baseUrl}${castPath}`,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId, eventId, message: getMessage(index), sendType })
+      },
+      { signal, timeoutMs }
+    );
+    return { status: response.status, eventId, clientId };
+  } catch (error) {
+    onSendFailed?.(eventId, error);
+    throw error;
+  }
+};
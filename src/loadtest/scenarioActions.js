@@ -0,0 +1,147 @@
+// src/loadtest/scenarioActions.js
+// 시나리오 단계 -> 대시보드 동작 (구독 풀, 부하 테스트, 인증, 전달 검증)
+// - 단계의 session으로 구독/발송을 특정 인증 세션에 묶음 (없으면 활성 세션)
+import { createCastRequest } from './requests';
+import { SUBSCRIBER_STATES } from './SubscriberPool';
+import { sleep } from '../transports/utils';
+import { LOAD_TEST_CONFIG, LOG_TYPES } from '../utils/constants';
+
+const POLL_INTERVAL = 100;
+
+// 단계의 clientId/prefix/count -> 대상 clientId 목록
+export const resolveClientIds = ({ clientId, prefix, count = 1 }) => (clientId
+  ? [clientId]
+  : Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`));
+
+// clientId 또는 prefix가 일치하는 풀 클라이언트 (둘 다 없으면 전체)
+const matchClients = (clients, { clientId, prefix }) => clients.filter(client => {
+  if (clientId) return client.clientId === clientId;
+  if (prefix) return client.clientId.startsWith(prefix);
+  return true;
+});
+
+export const createScenarioActions = ({
+  baseUrl,
+  subscribePath,
+  castPath,
+  pool,
+  loadTest,
+  login,
+  expireToken,
+  getSessionHeaders,
+  getDeliveryTracker,
+  addLog
+}) => {
+  // 대상 클라이언트가 모두 연결될 때까지 대기
+  const waitForOpen = async (ids, { timeoutMs = LOAD_TEST_CONFIG.REQUEST_TIMEOUT, signal }) => {
+    const deadline = Date.now() + timeoutMs;
+    const targets = new Set(ids);
+    for (;;) {
+      const pending = pool.getClients()
+        .filter(client => targets.has(client.id) && client.state !== SUBSCRIBER_STATES.OPEN);
+      if (pending.length === 0) return;
+      if (Date.now() >= deadline) {
+        throw new Error(`${timeoutMs}ms 안에 연결되지 않음: ${pending.map(client => client.clientId).join(', ')}`);
+      }
+      await sleep(POLL_INTERVAL, signal);
+    }
+  };
+
+  return {
+    login: async (step) => {
+      await login(
+        { accountId: parseInt(step.accountId, 10), sessionId: step.sessionId, uuid: step.uuid },
+        { name: step.session, mode: step.mode }
+      );
+      addLog(`✅ [시나리오] 로그인 (계정: ${step.accountId}${step.session ? `, 세션: ${step.session}` : ''})`, LOG_TYPES.SUCCESS);
+    },
+
+    // 같은 clientId의 기존 연결은 제거하고 새로 구독
+    subscribe: async (step, { signal }) => {
+      const clientIds = resolveClientIds(step);
+      const targets = new Set(clientIds);
+      pool.getClients().filter(client => targets.has(client.clientId)).forEach(client => pool.kill(client.id));
+      const ids = pool.open({
+        baseUrl,
+        subscribePath,
+        clientIds,
+        lastEventId: step.lastEventId || '',
+        staggerMs: step.staggerMs ?? LOAD_TEST_CONFIG.POOL_STAGGER_MS,
+        session: step.session ?? null,
+        headers: getSessionHeaders(step.session)
+      });
+      await waitForOpen(ids, { timeoutMs: step.timeoutMs, signal });
+    },
+
+    cast: async (step) => {
+      const getClientId = step.sendType === 'unicast'
+        ? () => step.clientId
+        : index => `${step.prefix}${(index % (step.count || Infinity)) + 1}`;
+      const tracker = getDeliveryTracker();
+      const summary = await loadTest.start(`[시나리오] ${step.sendType} /cast`, {
+        request: createCastRequest({
+          baseUrl,
+          castPath,
+          getClientId,
+          sendType: step.sendType,
+          headers: getSessionHeaders(step.session),
+          onSend: cast => tracker?.recordSent(cast),
+          onSendFailed: eventId => tracker?.recordSendFailed(eventId)
+        }),
+        targetRps: step.rate,
+        durationMs: step.durationSec * 1000,
+        rampUpMs: (step.rampUpSec || 0) * 1000,
+        ...(step.maxConcurrency ? { maxConcurrency: step.maxConcurrency } : {})
+      });
+      if (!summary) throw new Error('다른 부하 테스트가 실행 중입니다');
+      return summary;
+    },
+
+    // 서버 토큰을 만료시킬 수 없으므로 exp가 지난 토큰으로 바꿔 재현 (세션 목록은 그대로)
+    expireToken: async (step) => {
+      const name = expireToken(step.session);
+      addLog(`⌛ [시나리오] 토큰 만료 (세션: ${name})`, LOG_TYPES.WARNING);
+    },
+
+    // lastEventId가 있으면 그 ID로, 없으면 각자 마지막으로 받은 이벤트부터 재연결
+    // 새로 연결할 때 step.session이 없으면 클라이언트마다 기존 세션을 유지
+    reconnect: async (step, { signal }) => {
+      const clients = matchClients(pool.getClients(), step);
+      if (clients.length === 0) throw new Error('재연결할 클라이언트가 없습니다');
+
+      let ids = clients.map(client => client.id);
+      if (step.lastEventId) {
+        clients.forEach(client => pool.kill(client.id));
+        const groups = new Map();
+        clients.forEach(client => {
+          const session = step.session ?? client.session;
+          groups.set(session, [...(groups.get(session) || []), client]);
+        });
+        ids = [...groups].flatMap(([session, group]) => pool.open({
+          baseUrl,
+          subscribePath,
+          clientIds: group.map(client => client.clientId),
+          lastEventId: step.lastEventId,
+          staggerMs: step.staggerMs ?? LOAD_TEST_CONFIG.POOL_STAGGER_MS,
+          session,
+          headers: step.session ? getSessionHeaders(step.session) : group[0].headers
+        }));
+      } else {
+        ids.forEach(id => pool.reconnect(id));
+      }
+      await waitForOpen(ids, { timeoutMs: step.timeoutMs, signal });
+    },
+
+    close: async (step) => {
+      matchClients(pool.getClients(), step).forEach(client => pool.close(client.id));
+    },
+
+    getDeliveryReport: async () => {
+      const tracker = getDeliveryTracker();
+      if (!tracker) throw new Error('전달 검증이 꺼져 있습니다');
+      return tracker.getReport();
+    },
+
+    stop: () => loadTest.stop()
+  };
+};
@@ -0,0 +1,282 @@
+// src/loadtest/scenarioRunner.js
+// JSON으로 정의한 테스트 시나리오를 단계별로 실행하고 통과/실패 보고서를 만듦
+// - 실제 동작(로그인, 구독, 발송 등)은 actions로 주입, 여기서는 검증/순서/판정만 담당
+// - 단계가 실패하면 continueOnFailure가 아닌 한 나머지 단계는 skipped
+import { sleep } from '../transports/utils';
+
+export const SCENARIO_VERSION = 1;
+
+export const SCENARIO_STEP_TYPES = {
+  LOGIN: 'login',
+  SUBSCRIBE: 'subscribe',
+  CAST: 'cast',
+  WAIT: 'wait',
+  EXPIRE_TOKEN: 'expireToken',
+  RECONNECT: 'reconnect',
+  CLOSE: 'close',
+  ASSERT_DELIVERY: 'assertDelivery'
+};
+
+export const STEP_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// 단계별 필수 필드 검사 (오류 메시지 배열, 없으면 유효)
+const STEP_VALIDATORS = {
+  [SCENARIO_STEP_TYPES.LOGIN]: (step) => [
+    step.accountId === undefined && 'accountId가 필요합니다',
+    step.mode !== undefined && !['cookie', 'bearer'].includes(step.mode) && "mode는 'cookie' 또는 'bearer'여야 합니다"
+  ],
+  [SCENARIO_STEP_TYPES.SUBSCRIBE]: (step) => [
+    !isNonEmptyString(step.prefix) && !isNonEmptyString(step.clientId) && 'prefix 또는 clientId가 필요합니다',
+    step.count !== undefined && !isPositiveNumber(step.count) && 'count는 0보다 커야 합니다'
+  ],
+  [SCENARIO_STEP_TYPES.CAST]: (step) => [
+    !['unicast', 'broadcast'].includes(step.sendType) && "sendType은 'unicast' 또는 'broadcast'여야 합니다",
+    step.sendType === 'unicast' && !isNonEmptyString(step.clientId) && 'unicast에는 clientId가 필요합니다',
+    step.sendType === 'broadcast' && !isNonEmptyString(step.prefix) && 'broadcast에는 prefix가 필요합니다',
+    !isPositiveNumber(step.rate) && 'rate는 0보다 커야 합니다',
+    !isPositiveNumber(step.durationSec) && 'durationSec는 0보다 커야 합니다'
+  ],
+  [SCENARIO_STEP_TYPES.WAIT]: (step) => [
+    !isPositiveNumber(step.ms) && 'ms는 0보다 커야 합니다'
+  ],
+  [SCENARIO_STEP_TYPES.EXPIRE_TOKEN]: () => [],
+  [SCENARIO_STEP_TYPES.RECONNECT]: () => [],
+  [SCENARIO_STEP_TYPES.CLOSE]: () => [],
+  [SCENARIO_STEP_TYPES.ASSERT_DELIVERY]: () => []
+};
+
+export const validateScenario = (scenario) => {
+  if (!scenario || typeof scenario !== 'object') return ['시나리오는 JSON 객체여야 합니다'];
+
+  const errors = [];
+  if (!isNonEmptyString(scenario.name)) errors.push('name이 필요합니다');
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    errors.push('steps에 단계가 하나 이상 필요합니다');
+    return errors;
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const validate = STEP_VALIDATORS[step?.type];
+    if (!validate) {
+      errors.push(`${index + 1}단계: 알 수 없는 type '${step?.type}'`);
+      return;
+    }
+    validate(step).filter(Boolean).forEach(message => errors.push(`${index + 1}단계 (${step.type}): ${message}`));
+  });
+  return errors;
+};
+
+// 파일/편집기에서 읽은 JSON 문자열 -> 시나리오 (유효하지 않으면 throw)
+export const parseScenario = (text) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`시나리오 JSON 파싱 실패: ${error.message}`);
+  }
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`시나리오가 올바르지 않습니다\n${errors.join('\n')}`);
+  }
+  return scenario;
+};
+
+export const serializeScenario = (scenario) => JSON.stringify({ version: SCENARIO_VERSION, ...scenario }, null, 2);
+
+export const describeStep = (step) => {
+  switch (step.type) {
+    case SCENARIO_STEP_TYPES.LOGIN:
+      return `로그인 (계정 ${step.accountId}${step.session ? `, 세션 ${step.session}` : ''})`;
+    case SCENARIO_STEP_TYPES.SUBSCRIBE:
+      return step.clientId
+        ? `구독 ${step.clientId}`
+        : `구독 ${step.prefix}1 ~ ${step.prefix}${step.count ?? 1}`;
+    case SCENARIO_STEP_TYPES.CAST:
+      return `${step.sendType} /cast ${step.rate} TPS × ${step.durationSec}초 → ${step.clientId || `${step.prefix}*`}`;
+    case SCENARIO_STEP_TYPES.WAIT:
+      return `${step.ms}ms 대기`;
+    case SCENARIO_STEP_TYPES.EXPIRE_TOKEN:
+      return `토큰 만료${step.session ? ` (세션 ${step.session})` : ''}`;
+    case SCENARIO_STEP_TYPES.RECONNECT:
+      return `재연결 ${step.prefix ? `${step.prefix}*` : '전체'}${step.lastEventId ? ` (Last-Event-ID ${step.lastEventId})` : ''}`;
+    case SCENARIO_STEP_TYPES.CLOSE:
+      return `연결 종료 ${step.prefix ? `${step.prefix}*` : '전체'}`;
+    case SCENARIO_STEP_TYPES.ASSERT_DELIVERY:
+      return '전달 검증';
+    default:
+      return step.type;
+  }
+};
+
+// 발송 결과 기대치 (minSuccessRate: 0~1, minTps)
+export const evaluateCast = (summary, expect = {}) => {
+  const failures = [];
+  const successRate = summary.sent > 0 ? summary.succeeded / summary.sent : 0;
+  const minSuccessRate = expect.minSuccessRate ?? 1;
+  if (successRate < minSuccessRate) {
+    failures.push(`성공률 ${(successRate * 100).toFixed(1)}% < ${(minSuccessRate * 100).toFixed(1)}%`);
+  }
+  if (expect.minTps !== undefined && summary.achievedTps < expect.minTps) {
+    failures.push(`달성 TPS ${summary.achievedTps.toFixed(1)} < ${expect.minTps}`);
+  }
+  return failures;
+};
+
+// 전달 검증 기대치 (minDeliveryRate 기본 1, maxMissing/maxDuplicated 기본 0, maxP95Ms 선택)
+export const evaluateDelivery = (report, step = {}) => {
+  const failures = [];
+  const minDeliveryRate = step.minDeliveryRate ?? 1;
+  const deliveryRate = report.expected > 0 ? report.delivered / report.expected : 1;
+  if (report.expected === 0) failures.push('검증할 수신 대상이 없습니다');
+  if (deliveryRate < minDeliveryRate) {
+    failures.push(`수신률 ${(deliveryRate * 100).toFixed(1)}% < ${(minDeliveryRate * 100).toFixed(1)}%`);
+  }
+  const missing = report.missing + report.pending;
+  if (missing > (step.maxMissing ?? 0)) failures.push(`누락 ${missing}건`);
+  if (report.duplicated > (step.maxDuplicated ?? 0)) failures.push(`중복 ${report.duplicated}건`);
+  if (step.maxP95Ms !== undefined && report.latency.p95 !== null && report.latency.p95 > step.maxP95Ms) {
+    failures.push(`지연 p95 ${report.latency.p95}ms > ${step.maxP95Ms}ms`);
+  }
+  return failures;
+};
+
+const toStepResult = (step, index) => ({
+  index,
+  type: step.type,
+  label: step.label || describeStep(step),
+  status: STEP_STATUSES.PENDING,
+  message: null,
+  durationMs: null
+});
+
+export const createScenarioRunner = (scenario, actions, { onUpdate } = {}) => {
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`시나리오가 올바르지 않습니다\n${errors.join('\n')}`);
+  }
+
+  const controller = new AbortController();
+  let results = scenario.steps.map(toStepResult);
+  let cursor = 0;
+  let startedAt = null;
+  let finishedAt = null;
+  let running = null;
+
+  const getReport = () => {
+    const failed = results.filter(result => result.status === STEP_STATUSES.FAILED).length;
+    const done = finishedAt !== null;
+    return {
+      name: scenario.name,
+      startedAt,
+      finishedAt,
+      done,
+      stopped: controller.signal.aborted,
+      passed: done && failed === 0 && !controller.signal.aborted,
+      failed,
+      steps: results
+    };
+  };
+
+  const setResult = (index, changes) => {
+    results = results.map(result => (result.index === index ? { ...result, ...changes } : result));
+    onUpdate?.(getReport());
+  };
+
+  const finish = () => {
+    if (finishedAt !== null) return;
+    finishedAt = Date.now();
+    results = results.map(result => (result.status === STEP_STATUSES.PENDING
+      ? { ...result, status: STEP_STATUSES.SKIPPED }
+      : result));
+    onUpdate?.(getReport());
+  };
+
+  // 단계 실행, 실패 사유 배열 반환
+  const execute = async (step) => {
+    const context = { signal: controller.signal };
+    switch (step.type) {
+      case SCENARIO_STEP_TYPES.WAIT:
+        await sleep(step.ms, controller.signal);
+        return [];
+      case SCENARIO_STEP_TYPES.CAST:
+        return evaluateCast(await actions.cast(step, context), step.expect);
+      case SCENARIO_STEP_TYPES.ASSERT_DELIVERY:
+        if (step.waitMs) await sleep(step.waitMs, controller.signal);
+        return evaluateDelivery(await actions.getDeliveryReport(), step);
+      default:
+        await actions[step.type](step, context);
+        return [];
+    }
+  };
+
+  const runNext = async () => {
+    if (finishedAt !== null || cursor >= results.length) {
+      finish();
+      return null;
+    }
+    const index = cursor;
+    const step = scenario.steps[index];
+    cursor += 1;
+    if (startedAt === null) startedAt = Date.now();
+
+    const stepStartedAt = Date.now();
+    setResult(index, { status: STEP_STATUSES.RUNNING });
+    let failures;
+    try {
+      failures = await execute(step);
+    } catch (error) {
+      failures = [controller.signal.aborted ? '중단됨' : error.message];
+    }
+
+    setResult(index, {
+      status: failures.length > 0 ? STEP_STATUSES.FAILED : STEP_STATUSES.PASSED,
+      message: failures.length > 0 ? failures.join(', ') : null,
+      durationMs: Date.now() - stepStartedAt
+    });
+
+    const stopHere = controller.signal.aborted || (failures.length > 0 && !scenario.continueOnFailure);
+    if (stopHere || cursor >= results.length) finish();
+    return results[index];
+  };
+
+  // 한 번에 한 단계만 실행 (실행 중에 다시 호출하면 같은 Promise)
+  const next = () => {
+    if (!running) {
+      running = runNext().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  return {
+    next,
+
+    // 남은 단계를 모두 실행하고 보고서 반환
+    run: async () => {
+      while (finishedAt === null) {
+        await next();
+      }
+      return getReport();
+    },
+
+    stop: () => {
+      if (finishedAt !== null) return;
+      controller.abort();
+      actions.stop?.();
+      if (!running) finish();
+    },
+
+    getReport,
+    isDone: () => finishedAt !== null
+  };
+};
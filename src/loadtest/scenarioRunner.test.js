@@ -0,0 +1,108 @@
+import {
+  createScenarioRunner,
+  parseScenario,
+  validateScenario,
+  evaluateDelivery,
+  STEP_STATUSES
+} from './scenarioRunner';
+import { createScenarioActions } from './scenarioActions';
+import SessionRegistry, { AUTH_MODES } from '../core/SessionRegistry';
+import { createMemoryStorage } from '../core/persistence';
+import { createExpiredToken } from '../utils/jwt';
+
+const castSummary = { sent: 10, succeeded: 10, achievedTps: 5 };
+const deliveryReport = (overrides = {}) => ({
+  expected: 10, delivered: 10, pending: 0, missing: 0, duplicated: 0, latency: { p95: 20 }, ...overrides
+});
+
+const createActions = (overrides = {}) => ({
+  subscribe: jest.fn(async () => {}),
+  cast: jest.fn(async () => castSummary),
+  expireToken: jest.fn(async () => {}),
+  reconnect: jest.fn(async () => {}),
+  close: jest.fn(async () => {}),
+  getDeliveryReport: jest.fn(async () => deliveryReport()),
+  ...overrides
+});
+
+const scenario = {
+  name: 'unicast',
+  steps: [
+    { type: 'subscribe', clientId: 'a' },
+    { type: 'cast', sendType: 'unicast', clientId: 'a', rate: 5, durationSec: 2 },
+    { type: 'assertDelivery', maxP95Ms: 100 },
+    { type: 'expireToken' },
+    { type: 'reconnect', clientId: 'a', lastEventId: '1-1' }
+  ]
+};
+
+test('reports every invalid step before running', () => {
+  expect(validateScenario({ name: 'x', steps: [{ type: 'cast', sendType: 'unicast', rate: 0 }, { type: 'nope' }] })).toEqual([
+    '1단계 (cast): unicast에는 clientId가 필요합니다',
+    '1단계 (cast): rate는 0보다 커야 합니다',
+    '1단계 (cast): durationSec는 0보다 커야 합니다',
+    "2단계: 알 수 없는 type 'nope'"
+  ]);
+  expect(() => parseScenario('{')).toThrow('시나리오 JSON 파싱 실패');
+});
+
+test('runs all steps in order and passes', async () => {
+  const actions = createActions();
+  const report = await createScenarioRunner(scenario, actions).run();
+
+  expect(report.passed).toBe(true);
+  expect(report.steps.map(step => step.status)).toEqual(Array(5).fill(STEP_STATUSES.PASSED));
+  expect(actions.reconnect).toHaveBeenCalledWith(scenario.steps[4], expect.objectContaining({ signal: expect.anything() }));
+});
+
+test('fails on a delivery assertion and skips the remaining steps', async () => {
+  const actions = createActions({
+    getDeliveryReport: jest.fn(async () => deliveryReport({ delivered: 8, missing: 2, latency: { p95: 250 } }))
+  });
+  const runner = createScenarioRunner(scenario, actions);
+
+  await runner.next();
+  expect(runner.getReport().steps[0].status).toBe(STEP_STATUSES.PASSED);
+  expect(runner.isDone()).toBe(false);
+
+  const report = await runner.run();
+  expect(report.passed).toBe(false);
+  expect(report.steps[2]).toMatchObject({ status: STEP_STATUSES.FAILED, message: '수신률 80.0% < 100.0%, 누락 2건, 지연 p95 250ms > 100ms' });
+  expect(report.steps.slice(3).map(step => step.status)).toEqual([STEP_STATUSES.SKIPPED, STEP_STATUSES.SKIPPED]);
+  expect(actions.expireToken).not.toHaveBeenCalled();
+});
+
+test('treats a delivery report without expected recipients as a failure', () => {
+  expect(evaluateDelivery(deliveryReport({ expected: 0, delivered: 0 }))).toEqual(['검증할 수신 대상이 없습니다']);
+});
+
+test('expires the step\'s session token without logging out', async () => {
+  const createToken = (payload) => [btoa('{"alg":"HS256"}'), btoa(JSON.stringify(payload)), 'signature'].join('.');
+  const registry = new SessionRegistry({ storage: createMemoryStorage() });
+  registry.add({ name: 'alice', mode: AUTH_MODES.BEARER, token: createToken({ sub: 'alice', exp: 2000000000 }) });
+  registry.add({ name: 'bob', mode: AUTH_MODES.BEARER, token: createToken({ sub: 'bob', exp: 2000000000 }) });
+  registry.setActive('alice');
+
+  // useAuth의 bearer 세션 만료와 같은 동작 (세션 목록은 그대로 두고 토큰만 교체)
+  const expireToken = (name) => {
+    const target = registry.get(name ?? registry.getState().activeName);
+    registry.updateToken(target.name, createExpiredToken(target.token));
+    return target.name;
+  };
+  const addLog = jest.fn();
+  const actions = createScenarioActions({ expireToken, addLog });
+
+  const report = await createScenarioRunner({
+    name: 'expire',
+    steps: [{ type: 'expireToken', session: 'bob' }, { type: 'expireToken' }]
+  }, actions).run();
+
+  // 두 세션 모두 남아 있고 활성 세션(alice)도 그대로 로그인 상태
+  expect(report.passed).toBe(true);
+  expect(registry.getState().sessions.map(session => session.name)).toEqual(['alice', 'bob']);
+  expect(registry.getActive().name).toBe('alice');
+  expect(registry.get('alice').expiresAt).toBeLessThan(Date.now());
+  expect(registry.get('bob').expiresAt).toBeLessThan(Date.now());
+  expect(addLog).toHaveBeenCalledWith('⌛ [시나리오] 토큰 만료 (세션: bob)', 'warning');
+  expect(addLog).toHaveBeenCalledWith('⌛ [시나리오] 토큰 만료 (세션: alice)', 'warning');
+});
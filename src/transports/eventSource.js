@@ -0,0 +1,100 @@
+// src/transports/eventSource.js
+import { EventSourcePolyfill } from 'event-source-polyfill';
+import { EVENT_TYPES } from '../utils/constants';
+import { appendQueryParams, createAbortError, createHttpError } from './utils';
+
+// 폴리필과 같은 쿼리 파라미터 이름 사용
+const LAST_EVENT_ID_PARAM = 'lastEventId';
+
+// EventSource 계열 공통 구현
+// - 이름 있는 이벤트는 addEventListener로만 받을 수 있으므로 구독할 타입을 미리 등록
+// - 자체 재연결은 끄고(오류 시 close) useSSE의 재연결 정책을 따름
+// - retry 필드와 주석은 브라우저가 내부에서 처리하므로 전달되지 않음
+const createEventSourceTransport = (getEventSourceImpl, { supportsHeaders }) => (
+  { url, headers = {}, withCredentials, signal, eventTypes = [] },
+  handlers
+) => new Promise((resolve, reject) => {
+  const EventSourceImpl = getEventSourceImpl();
+  if (!EventSourceImpl) {
+    reject(new Error('EventSource를 지원하지 않는 환경입니다'));
+    return;
+  }
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const source = supportsHeaders
+    ? new EventSourceImpl(url, { headers, withCredentials })
+    : new EventSourceImpl(
+      appendQueryParams(url, { [LAST_EVENT_ID_PARAM]: headers['Last-Event-ID'] }),
+      { withCredentials }
+    );
+
+  const types = [...new Set([
+    EVENT_TYPES.MESSAGE,
+    ...Object.values(EVENT_TYPES),
+    ...eventTypes
+  ])].filter(type => type !== 'error');
+
+  // EventSource의 lastEventId는 id 필드가 없는 이벤트에도 이전 값이 남으므로
+  // 값이 바뀐 경우에만 이 이벤트의 id로 봄 (하트비트 등이 이전 id로 중복 제거되지 않도록)
+  let previousLastEventId = '';
+
+  const handleEvent = (e) => {
+    const lastEventId = e.lastEventId || '';
+    const carriesId = lastEventId !== previousLastEventId;
+    previousLastEventId = lastEventId;
+    handlers.onEvent?.({
+      type: e.type,
+      data: e.data,
+      id: carriesId ? lastEventId || null : null,
+      lastEventId
+    });
+  };
+
+  const cleanup = () => {
+    types.forEach(type => source.removeEventListener(type, handleEvent));
+    source.removeEventListener('error', handleError);
+    source.onopen = null;
+    signal?.removeEventListener('abort', handleAbort);
+    source.close();
+  };
+
+  function handleError(e) {
+    // 서버가 보낸 'error' 이름의 이벤트
+    if (e.data !== undefined) {
+      handleEvent(e);
+      return;
+    }
+
+    cleanup();
+    if (e.status) {
+      reject(createHttpError(e.status, e.statusText));
+      return;
+    }
+    const error = new Error(e.error?.message || 'EventSource 연결 오류');
+    error.name = 'NetworkError';
+    reject(error);
+  }
+
+  function handleAbort() {
+    cleanup();
+    reject(createAbortError());
+  }
+
+  types.forEach(type => source.addEventListener(type, handleEvent));
+  source.addEventListener('error', handleError);
+  source.onopen = (e) => handlers.onOpen?.({ status: e?.status });
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+export const eventSourceTransport = createEventSourceTransport(
+  () => (typeof window !== 'undefined' ? window.EventSource : undefined),
+  { supportsHeaders: false }
+);
+
+export const polyfillTransport = createEventSourceTransport(
+  () => EventSourcePolyfill,
+  { supportsHeaders: true }
+);
@@ -0,0 +1,29 @@
+// src/transports/fetchStream.js
+import { createSSEParser } from '../utils/sseParser';
+import { createHttpError, pipeResponseToParser } from './utils';
+
+// fetch + ReadableStream 기반 (커스텀 헤더 지원)
+const fetchStreamTransport = async ({ url, headers, withCredentials, signal }, handlers) => {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers,
+    credentials: withCredentials ? 'include' : 'same-origin',
+    signal,
+  });
+
+  if (!response.ok) {
+    throw createHttpError(response.status, response.statusText);
+  }
+
+  handlers.onOpen?.({ status: response.status });
+
+  const parser = createSSEParser({
+    onEvent: handlers.onEvent,
+    onRetry: handlers.onRetry,
+    onComment: handlers.onComment
+  });
+
+  await pipeResponseToParser(response, parser, signal);
+};
+
+export default fetchStreamTransport;
@@ -0,0 +1,32 @@
+// src/transports/index.js
+import { TRANSPORT_TYPES } from '../utils/constants';
+import fetchStreamTransport from './fetchStream';
+import { eventSourceTransport, polyfillTransport } from './eventSource';
+import longPollingTransport from './longPolling';
+
+// 트랜스포트: (request, handlers) => Promise
+// request: { url, headers, withCredentials, signal, eventTypes, pollInterval, pollTimeout }
+// handlers: { onOpen, onEvent, onRetry, onComment }
+// 스트림이 끝나면 resolve, 오류/중단 시 reject (HTTP 오류는 error.status 포함)
+export const TRANSPORTS = {
+  [TRANSPORT_TYPES.FETCH]: fetchStreamTransport,
+  [TRANSPORT_TYPES.EVENT_SOURCE]: eventSourceTransport,
+  [TRANSPORT_TYPES.POLYFILL]: polyfillTransport,
+  [TRANSPORT_TYPES.LONG_POLLING]: longPollingTransport
+};
+
+export const resolveTransport = (transport = TRANSPORT_TYPES.FETCH) => {
+  if (typeof transport === 'function') return transport;
+  const resolved = TRANSPORTS[transport];
+  if (!resolved) {
+    throw new Error(`알 수 없는 트랜스포트: ${transport}`);
+  }
+  return resolved;
+};
+
+export {
+  fetchStreamTransport,
+  eventSourceTransport,
+  polyfillTransport,
+  longPollingTransport
+};
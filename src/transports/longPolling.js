@@ -0,0 +1,68 @@
+// src/transports/longPolling.js
+import { createSSEParser } from '../utils/sseParser';
+import { SSE_CONFIG } from '../utils/constants';
+import { createAbortError, createHttpError, pipeResponseToParser, sleep } from './utils';
+
+// HTTP 롱 폴링 (스트리밍 응답을 버퍼링하는 프록시 환경용)
+// 요청마다 최대 pollTimeout 동안 응답을 읽고, 마지막 이벤트 ID로 다시 요청
+const longPollingTransport = async ({
+  url,
+  headers = {},
+  withCredentials,
+  signal,
+  pollInterval = SSE_CONFIG.LONG_POLL_INTERVAL,
+  pollTimeout = SSE_CONFIG.LONG_POLL_TIMEOUT
+}, handlers) => {
+  const parser = createSSEParser({
+    lastEventId: headers['Last-Event-ID'] || '',
+    onEvent: handlers.onEvent,
+    onRetry: handlers.onRetry,
+    onComment: handlers.onComment
+  });
+  let opened = false;
+
+  while (!signal.aborted) {
+    const pollController = new AbortController();
+    const abortPoll = () => pollController.abort();
+    const timer = setTimeout(abortPoll, pollTimeout);
+    signal.addEventListener('abort', abortPoll, { once: true });
+
+    const pollHeaders = { ...headers };
+    const lastEventId = parser.getLastEventId();
+    if (lastEventId) {
+      pollHeaders['Last-Event-ID'] = lastEventId;
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: pollHeaders,
+        credentials: withCredentials ? 'include' : 'same-origin',
+        signal: pollController.signal,
+      });
+
+      if (!response.ok) {
+        throw createHttpError(response.status, response.statusText);
+      }
+
+      if (!opened) {
+        opened = true;
+        handlers.onOpen?.({ status: response.status });
+      }
+
+      await pipeResponseToParser(response, parser, pollController.signal);
+    } catch (err) {
+      if (signal.aborted) throw createAbortError();
+      // 폴링 타임아웃은 정상 종료로 보고 다음 요청
+      if (err.name !== 'AbortError') throw err;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abortPoll);
+      parser.reset();
+    }
+
+    await sleep(pollInterval, signal);
+  }
+};
+
+export default longPollingTransport;
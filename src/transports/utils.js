@@ -0,0 +1,51 @@
+// src/transports/utils.js
+
+export const createAbortError = () => {
+  const error = new Error('연결이 중단되었습니다');
+  error.name = 'AbortError';
+  return error;
+};
+
+// HTTP 오류 응답 (status는 useSSE의 오류 분류에 사용)
+export const createHttpError = (status, statusText = '') => Object.assign(
+  new Error(`서버 오류: ${status} ${statusText}`),
+  { status, statusText }
+);
+
+export const appendQueryParams = (url, params) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  if (!query) return url;
+  return url + (url.includes('?') ? '&' : '?') + query;
+};
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// ReadableStream 응답 본문을 SSE 파서로 전달
+export const pipeResponseToParser = async (response, parser, signal) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (!signal.aborted) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    parser.feed(decoder.decode(value, { stream: true }));
+  }
+};
@@ -5,6 +5,21 @@ export const SSE_CONFIG = {
     DEFAULT_PAGE_SIZE: 100,
     MAX_REPLAY_EVENTS: 10000,
     MAX_BUFFER_SIZE: 1000,
+    RECONNECT_JITTER_RATIO: 0.2,
+    LONG_POLL_INTERVAL: 1000,
+    LONG_POLL_TIMEOUT: 30000,
+    LEADER_HEARTBEAT_INTERVAL: 1000,
+    LEADER_TIMEOUT: 3000,
+    PERSISTED_BUFFER_SIZE: 200,
+    PERSIST_THROTTLE: 1000,
+    DEDUPE_WINDOW_SIZE: 5000,
+    REORDER_WINDOW: 100,
+    REORDER_DELAY: 200,
+    REPLAY_RATE_SMOOTHING: 0.3,
+    METRICS_BUCKET_MS: 1000,
+    METRICS_WINDOW_MS: 60000,
+    METRICS_MAX_SAMPLES_PER_BUCKET: 500,
+    AUTH_REFRESH_LEAD_TIME: 60000,
     RECONNECT_DELAYS: {
         network: { base: 1000, max: 30000, multiplier: 2 },
         server_error: { base: 2000, max: 60000, multiplier: 2 },
@@ -17,7 +32,46 @@ export const LOG_TYPES = {
     SUCCESS: 'success',
     ERROR: 'error',
     WARNING: 'warning',
-    INFO: 'info'
+    INFO: 'info',
+    MESSAGE: 'message'
+};
+
+export const EXPORT_FORMATS = {
+    JSON: 'json',
+    NDJSON: 'ndjson',
+    CSV: 'csv',
+    SSE_TRANSCRIPT: 'sse'
+};
+
+export const LOAD_TEST_CONFIG = {
+    MAX_CONCURRENCY: 200,
+    TICK_MS: 50,
+    PROGRESS_INTERVAL: 250,
+    REQUEST_TIMEOUT: 10000,
+    DELIVERY_GRACE_MS: 5000,
+    DELIVERY_REFRESH_INTERVAL: 1000,
+    POOL_REFRESH_INTERVAL: 250,
+    POOL_STAGGER_MS: 50
+};
+
+export const AUTH_CONFIG = {
+    TICK_INTERVAL: 1000,
+    REFRESH_RETRY_INTERVAL: 10000,
+    CHANNEL_NAME: 'sse-gateway-auth',
+    REFRESH_LOCK_NAME: 'sse-gateway-auth-refresh'
+};
+
+// 게이트웨이 API 경로 (환경 프로필에서 바꿀 수 있음)
+export const GATEWAY_ENDPOINTS = {
+    SUBSCRIBE: '/sse/api/subscribe',
+    CAST: '/sse/api/cast',
+    AUTH_TOKEN: '/sse/api/auth/token',
+    AUTH_REFRESH: '/sse/api/auth/token/refresh'
+};
+
+export const LOG_CONFIG = {
+    MAX_ENTRIES: 5000,
+    FLUSH_INTERVAL: 200
 };
 
 export const CONNECTION_STATES = {
@@ -28,6 +82,19 @@ export const CONNECTION_STATES = {
     FAILED: 'failed'
 };
 
+export const TRANSPORT_TYPES = {
+    FETCH: 'fetch',
+    EVENT_SOURCE: 'eventsource',
+    POLYFILL: 'polyfill',
+    LONG_POLLING: 'long-polling'
+};
+
+export const CONNECTION_MODES = {
+    TAB: 'tab',
+    LEADER: 'leader',
+    SHARED_WORKER: 'shared-worker'
+};
+
 export const EVENT_TYPES = {
     REPLAY_START: 'replay_start',
     REPLAY_END: 'replay_end',
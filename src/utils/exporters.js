@@ -0,0 +1,126 @@
+// src/utils/exporters.js
+// 로그, 이벤트 버퍼, 메트릭 내보내기 (JSON, NDJSON, CSV, SSE 원문)
+// SSE 원문은 백엔드 버그 리포트 첨부용이며 다시 가져올 수 있음
+import { EXPORT_FORMATS } from './constants';
+import { createSSEParser } from './sseParser';
+
+const TRANSCRIPT_HEADER = 'sse-transcript v1';
+const TIMESTAMP_COMMENT = 'ts=';
+// JSON처럼 보이는 문자열 데이터 표시 (다시 읽을 때 객체로 복원하지 않음)
+const TEXT_COMMENT = 'text';
+
+const parseJSONData = (data) => {
+  try {
+    return { ok: true, value: JSON.parse(data) };
+  } catch {
+    return { ok: false };
+  }
+};
+
+export const toJSON = (records) => JSON.stringify(records, null, 2);
+
+export const toNDJSON = (records) => records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+const toCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 컬럼은 모든 레코드의 키 합집합 (등장 순서 유지), 중첩 객체는 JSON 문자열
+export const toCSV = (records, columns) => {
+  const header = columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+  const rows = records.map(record => header.map(column => toCSVCell(record[column])).join(','));
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+// text/event-stream 원문 (수신 시각은 주석으로 보존, parseSSETranscript로 다시 읽을 수 있음)
+export const toSSETranscript = (events, meta = {}) => {
+  const header = [
+    `: ${TRANSCRIPT_HEADER}`,
+    ...Object.entries(meta).map(([key, value]) => `: ${key}=${value}`)
+  ].join('\n');
+
+  const body = events.map(event => {
+    const isText = typeof event.data === 'string';
+    const data = (isText ? event.data : JSON.stringify(event.data)) ?? '';
+    const lines = [];
+    if (event.timestamp) lines.push(`: ${TIMESTAMP_COMMENT}${new Date(event.timestamp).toISOString()}`);
+    if (isText && parseJSONData(data).ok) lines.push(`: ${TEXT_COMMENT}`);
+    if (event.id) lines.push(`id: ${event.id}`);
+    if (event.type && event.type !== 'message') lines.push(`event: ${event.type}`);
+    data.split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`));
+    return lines.join('\n');
+  });
+
+  return [header, ...body].join('\n\n') + '\n\n';
+};
+
+// SSE 원문을 이벤트 목록으로 (JSON 데이터는 객체로 복원)
+export const parseSSETranscript = (text) => {
+  const events = [];
+  let timestamp = null;
+  let isText = false;
+
+  const parser = createSSEParser({
+    onComment: (comment) => {
+      const value = comment.trim();
+      if (value.startsWith(TIMESTAMP_COMMENT)) {
+        timestamp = Date.parse(value.slice(TIMESTAMP_COMMENT.length)) || null;
+      } else if (value === TEXT_COMMENT) {
+        isText = true;
+      }
+    },
+    onEvent: ({ type, data, id }) => {
+      // 텍스트 데이터는 그대로 유지
+      const parsed = isText ? { ok: false } : parseJSONData(data);
+      events.push({ type, data: parsed.ok ? parsed.value : data, id, timestamp });
+      timestamp = null;
+      isText = false;
+    }
+  });
+  parser.feed(text.endsWith('\n\n') ? text : `${text}\n\n`);
+  return events;
+};
+
+const FORMAT_INFO = {
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json', serialize: records => toJSON(records) },
+  [EXPORT_FORMATS.NDJSON]: { extension: 'ndjson', mimeType: 'application/x-ndjson', serialize: records => toNDJSON(records) },
+  [EXPORT_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv', serialize: records => toCSV(records) },
+  [EXPORT_FORMATS.SSE_TRANSCRIPT]: { extension: 'sse', mimeType: 'text/event-stream', serialize: toSSETranscript }
+};
+
+export const serializeRecords = (records, format, meta) => {
+  const info = FORMAT_INFO[format];
+  if (!info) {
+    throw new Error(`지원하지 않는 내보내기 형식: ${format}`);
+  }
+  return {
+    content: info.serialize(records, meta),
+    extension: info.extension,
+    mimeType: info.mimeType
+  };
+};
+
+// 브라우저 다운로드
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// 셸에서 그대로 실행할 수 있도록 작은따옴표로 감쌈
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// 이벤트를 다시 받아볼 수 있는 curl 명령 (-N: 스트림 버퍼링 끔)
+export const toCurlCommand = ({ url, headers = {} }) => [
+  'curl -N',
+  ...Object.entries(headers).map(([name, value]) => `-H ${shellQuote(`${name}: ${value}`)}`),
+  shellQuote(url)
+].join(' \\\n  ');
@@ -0,0 +1,51 @@
+import { toCSV, toNDJSON, toSSETranscript, parseSSETranscript, serializeRecords, toCurlCommand } from './exporters';
+import { EXPORT_FORMATS } from './constants';
+
+test('writes CSV with a union header and escaped cells', () => {
+  const csv = toCSV([
+    { id: '1', message: 'say "hi", bye' },
+    { id: '2', data: { n: 1 } }
+  ]);
+
+  expect(csv).toBe('id,message,data\r\n1,"say ""hi"", bye",\r\n2,,"{""n"":1}"\r\n');
+  expect(toNDJSON([{ a: 1 }, { b: 2 }])).toBe('{"a":1}\n{"b":2}\n');
+});
+
+test('round-trips events through the SSE transcript', () => {
+  const events = [
+    { type: 'notification', data: { text: 'line1\nline2' }, id: '1-1', timestamp: Date.UTC(2024, 0, 1) },
+    { type: 'message', data: 'plain\ntext', id: '1-2', timestamp: null }
+  ];
+
+  const transcript = toSSETranscript(events, { url: 'http://localhost/sse' });
+  expect(transcript.startsWith(': sse-transcript v1\n: url=http://localhost/sse\n\n')).toBe(true);
+  expect(parseSSETranscript(transcript)).toEqual(events);
+});
+
+test('keeps JSON-looking text as text and writes missing data as an empty line', () => {
+  const events = [
+    { type: 'message', data: '123', id: '1-1', timestamp: null },
+    { type: 'message', data: '{"a":1}', id: '1-2', timestamp: null },
+    { type: 'message', data: 123, id: '1-3', timestamp: null }
+  ];
+
+  expect(parseSSETranscript(toSSETranscript(events))).toEqual(events);
+  expect(toSSETranscript([{ type: 'message', id: '1-4' }])).toBe(': sse-transcript v1\n\nid: 1-4\ndata: \n\n');
+});
+
+test('rejects unknown formats', () => {
+  expect(serializeRecords([], EXPORT_FORMATS.CSV).extension).toBe('csv');
+  expect(() => serializeRecords([], 'xml')).toThrow('지원하지 않는 내보내기 형식: xml');
+});
+
+test('builds a copy-pasteable curl command', () => {
+  expect(toCurlCommand({
+    url: 'http://localhost/sse?q=it\'s',
+    headers: { Accept: 'text/event-stream', 'Last-Event-ID': '1-1' }
+  })).toBe([
+    'curl -N',
+    "-H 'Accept: text/event-stream'",
+    "-H 'Last-Event-ID: 1-1'",
+    "'http://localhost/sse?q=it'\\''s'"
+  ].join(' \\\n  '));
+});
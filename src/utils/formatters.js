@@ -0,0 +1,16 @@
+// src/utils/formatters.js
+// 화면 표시용 포맷 함수
+export const formatBytes = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+export const formatDuration = (ms) => {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms/1000).toFixed(1)}초`;
+  if (ms < 3600000) return `${Math.floor(ms/60000)}분 ${Math.floor((ms%60000)/1000)}초`;
+  return `${Math.floor(ms/3600000)}시간 ${Math.floor((ms%3600000)/60000)}분`;
+};
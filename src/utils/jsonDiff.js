@@ -0,0 +1,37 @@
+// src/utils/jsonDiff.js
+// 두 JSON 값의 차이를 경로 단위로 계산 (이벤트 버퍼 비교용)
+
+export const DIFF_KINDS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+// 경로 표기: $.order.items[0].price
+export const joinPath = (parent, key) => (typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`);
+
+export const diffJSON = (before, after, path = '$') => {
+  if (Object.is(before, after)) return [];
+
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects = isContainer(before) && isContainer(after) && !Array.isArray(before) && !Array.isArray(after);
+  if (!bothArrays && !bothObjects) {
+    return [{ path, kind: DIFF_KINDS.CHANGED, before, after }];
+  }
+
+  const keys = bothArrays
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys.flatMap(key => {
+    const childPath = joinPath(path, key);
+    const inBefore = bothArrays ? key < before.length : Object.prototype.hasOwnProperty.call(before, key);
+    const inAfter = bothArrays ? key < after.length : Object.prototype.hasOwnProperty.call(after, key);
+
+    if (!inBefore) return [{ path: childPath, kind: DIFF_KINDS.ADDED, before: undefined, after: after[key] }];
+    if (!inAfter) return [{ path: childPath, kind: DIFF_KINDS.REMOVED, before: before[key], after: undefined }];
+    return diffJSON(before[key], after[key], childPath);
+  });
+};
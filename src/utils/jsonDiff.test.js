@@ -0,0 +1,21 @@
+import { diffJSON, DIFF_KINDS } from './jsonDiff';
+
+test('reports changed, added and removed paths in objects and arrays', () => {
+  const before = { status: 'pending', items: [{ sku: 'a', qty: 1 }], note: 'x' };
+  const after = { status: 'paid', items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }], paidAt: 10 };
+
+  expect(diffJSON(before, after)).toEqual([
+    { path: '$.status', kind: DIFF_KINDS.CHANGED, before: 'pending', after: 'paid' },
+    { path: '$.items[0].qty', kind: DIFF_KINDS.CHANGED, before: 1, after: 2 },
+    { path: '$.items[1]', kind: DIFF_KINDS.ADDED, before: undefined, after: { sku: 'b', qty: 1 } },
+    { path: '$.note', kind: DIFF_KINDS.REMOVED, before: 'x', after: undefined },
+    { path: '$.paidAt', kind: DIFF_KINDS.ADDED, before: undefined, after: 10 }
+  ]);
+});
+
+test('treats type changes as a single change and equal values as no diff', () => {
+  expect(diffJSON({ a: [1] }, { a: { 0: 1 } })).toEqual([
+    { path: '$.a', kind: DIFF_KINDS.CHANGED, before: [1], after: { 0: 1 } }
+  ]);
+  expect(diffJSON({ a: null, b: [1, 2] }, { a: null, b: [1, 2] })).toEqual([]);
+});
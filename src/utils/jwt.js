@@ -0,0 +1,152 @@
+// src/utils/jwt.js
+// JWT 디코딩과 클레임 검사 (서명은 검증하지 않음)
+// - base64url(패딩 생략, -/_)과 UTF-8 클레임을 올바르게 디코딩
+// - iat/nbf/exp를 로컬 시계와 비교해 만료/시계 오차를 표시
+// - 로그인 때 입력한 값과 토큰의 accountId/sessionId/uuid를 비교
+
+export const TIME_CLAIMS = ['iat', 'nbf', 'exp'];
+export const EXPECTED_CLAIMS = ['accountId', 'sessionId', 'uuid'];
+
+export const JWT_ISSUE_LEVELS = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// 서버 시계와 이만큼까지 차이는 정상으로 봄 (iat/exp는 초 단위)
+export const DEFAULT_SKEW_TOLERANCE = 30000;
+
+// base64url -> UTF-8 문자열 (atob는 바이트 문자열만 돌려주므로 한글 등은 다시 디코딩)
+export const decodeBase64Url = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+// UTF-8 문자열 -> base64url (패딩 생략)
+export const encodeBase64Url = (text) => {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeSegment = (segment, label) => {
+  let value;
+  try {
+    value = JSON.parse(decodeBase64Url(segment));
+  } catch {
+    throw new Error(`JWT ${label}를 디코딩할 수 없습니다`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`JWT ${label}가 JSON 객체가 아닙니다`);
+  }
+  return value;
+};
+
+// { header, payload, signature }, 형식이 잘못되면 예외
+export const parseJWT = (token) => {
+  const parts = String(token ?? '').trim().split('.');
+  if (parts.length !== 3 || !parts[0] || !parts[1]) {
+    throw new Error('JWT 형식이 아닙니다 (header.payload.signature)');
+  }
+  return {
+    header: decodeSegment(parts[0], 'header'),
+    payload: decodeSegment(parts[1], 'payload'),
+    signature: parts[2]
+  };
+};
+
+// exp만 과거(now - ago)로 바꾼 토큰 (만료 재현용, 서명은 원래 값이라 서버도 거부)
+export const createExpiredToken = (token, { now = Date.now(), ago = 60000 } = {}) => {
+  const { header, payload, signature } = parseJWT(token);
+  const expired = { ...payload, exp: Math.floor((now - ago) / 1000) };
+  return [encodeBase64Url(JSON.stringify(header)), encodeBase64Url(JSON.stringify(expired)), signature].join('.');
+};
+
+// payload만 (header는 보지 않음, 디코딩 실패 시 null)
+export const decodeJWT = (token) => {
+  try {
+    return decodeSegment(String(token).split('.')[1] ?? '', 'payload');
+  } catch {
+    return null;
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// 토큰 검사 결과
+// - now: 비교할 로컬 시각, receivedAt: 토큰을 받은 로컬 시각 (있으면 iat와 비교해 시계 오차 추정)
+// - expected: 로그인 때 입력한 { accountId, sessionId, uuid }
+// - clockSkew: 서버 시계 - 로컬 시계 (ms, 양수면 서버가 빠름), 추정할 수 없으면 null
+export const inspectJWT = (token, {
+  now = Date.now(),
+  receivedAt = null,
+  expected = null,
+  skewTolerance = DEFAULT_SKEW_TOLERANCE
+} = {}) => {
+  const { header, payload, signature } = parseJWT(token);
+  const issues = [];
+  const addIssue = (level, claim, message) => issues.push({ level, claim, message });
+
+  const claims = Object.entries(payload).map(([name, value]) => ({
+    name,
+    value,
+    time: TIME_CLAIMS.includes(name) && typeof value === 'number' ? value * 1000 : null
+  }));
+  const times = {};
+  TIME_CLAIMS.forEach(name => {
+    if (payload[name] === undefined) return;
+    if (typeof payload[name] !== 'number') {
+      addIssue(JWT_ISSUE_LEVELS.ERROR, name, `${name}가 숫자(초 단위 시각)가 아닙니다`);
+      return;
+    }
+    times[name] = payload[name] * 1000;
+  });
+
+  if (times.exp === undefined) {
+    addIssue(JWT_ISSUE_LEVELS.WARNING, 'exp', '만료 시각(exp)이 없습니다');
+  } else if (times.exp <= now) {
+    addIssue(JWT_ISSUE_LEVELS.ERROR, 'exp', '토큰이 만료되었습니다');
+  }
+  if (times.nbf !== undefined && times.nbf > now) {
+    addIssue(
+      times.nbf > now + skewTolerance ? JWT_ISSUE_LEVELS.ERROR : JWT_ISSUE_LEVELS.WARNING,
+      'nbf',
+      '아직 사용할 수 없는 토큰입니다 (nbf가 로컬 시각보다 미래)'
+    );
+  }
+  if (times.iat !== undefined && times.exp !== undefined && times.exp <= times.iat) {
+    addIssue(JWT_ISSUE_LEVELS.ERROR, 'exp', '만료 시각이 발급 시각보다 이릅니다');
+  }
+
+  // 받은 시각을 알면 iat와 비교, 모르면 iat가 미래인 경우만 오차로 판단
+  let clockSkew = null;
+  if (times.iat !== undefined) {
+    if (receivedAt !== null) {
+      clockSkew = times.iat - receivedAt;
+    } else if (times.iat > now) {
+      clockSkew = times.iat - now;
+    }
+  }
+  if (clockSkew !== null && Math.abs(clockSkew) > skewTolerance) {
+    addIssue(
+      JWT_ISSUE_LEVELS.WARNING,
+      'iat',
+      `로컬 시계가 서버보다 약 ${Math.round(Math.abs(clockSkew) / 1000)}초 ${clockSkew > 0 ? '느립니다' : '빠릅니다'}`
+    );
+  }
+
+  // 숫자로 변환해 보낸 accountId가 문자열로 돌아와도 같은 값으로 봄
+  const expectedClaims = EXPECTED_CLAIMS
+    .filter(name => expected && !isBlank(expected[name]))
+    .map(name => {
+      const actual = payload[name];
+      const match = !isBlank(actual) && String(actual) === String(expected[name]);
+      if (isBlank(actual)) {
+        addIssue(JWT_ISSUE_LEVELS.ERROR, name, `${name} 클레임이 없습니다`);
+      } else if (!match) {
+        addIssue(JWT_ISSUE_LEVELS.ERROR, name, `${name}가 로그인 때 입력한 값과 다릅니다`);
+      }
+      return { name, expected: expected[name], actual: actual ?? null, match };
+    });
+
+  return { header, payload, signature, claims, expectedClaims, clockSkew, issues };
+};
@@ -0,0 +1,73 @@
+import { createExpiredToken, decodeJWT, inspectJWT, parseJWT, JWT_ISSUE_LEVELS } from './jwt';
+
+// 패딩 없는 base64url 세그먼트 (UTF-8)
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const createToken = (payload, header = { alg: 'HS256', typ: 'JWT' }) => [encode(header), encode(payload), 'sig'].join('.');
+
+const NOW = 1700000000000;
+
+test('decodes base64url segments with UTF-8 claims', () => {
+  // '?>' 같은 문자가 들어가면 base64url에서 -, _가 나옴
+  const payload = { name: '홍길동', note: '?>?>~~', accountId: 1 };
+  const token = createToken(payload);
+  expect(token.split('.')[1]).toMatch(/[-_]/);
+
+  expect(parseJWT(token)).toEqual({ header: { alg: 'HS256', typ: 'JWT' }, payload, signature: 'sig' });
+  expect(decodeJWT(token)).toEqual(payload);
+  expect(decodeJWT('not-a-jwt')).toBeNull();
+  expect(() => parseJWT('a.b')).toThrow('JWT 형식이 아닙니다');
+});
+
+test('reports time claims, expiry and clock skew', () => {
+  const iat = NOW / 1000 + 120;
+  const token = createToken({ iat, nbf: iat, exp: NOW / 1000 - 10 });
+  const result = inspectJWT(token, { now: NOW });
+
+  expect(result.claims.map(claim => [claim.name, claim.time])).toEqual([
+    ['iat', iat * 1000],
+    ['nbf', iat * 1000],
+    ['exp', NOW - 10000]
+  ]);
+  expect(result.clockSkew).toBe(120000);
+  expect(result.issues.map(issue => [issue.level, issue.claim])).toEqual([
+    [JWT_ISSUE_LEVELS.ERROR, 'exp'],
+    [JWT_ISSUE_LEVELS.ERROR, 'nbf'],
+    [JWT_ISSUE_LEVELS.ERROR, 'exp'],
+    [JWT_ISSUE_LEVELS.WARNING, 'iat']
+  ]);
+
+  // 받은 시각 기준으로는 로컬 시계가 빠른 경우도 감지
+  const fresh = inspectJWT(createToken({ iat: NOW / 1000 - 60, exp: NOW / 1000 + 3600 }), { now: NOW, receivedAt: NOW });
+  expect(fresh.clockSkew).toBe(-60000);
+  expect(fresh.issues).toEqual([
+    { level: JWT_ISSUE_LEVELS.WARNING, claim: 'iat', message: '로컬 시계가 서버보다 약 60초 빠릅니다' }
+  ]);
+});
+
+test('validates expected claims against login input', () => {
+  const token = createToken({ accountId: '12345', sessionId: 'session_other', exp: NOW / 1000 + 60 });
+  const result = inspectJWT(token, {
+    now: NOW,
+    expected: { accountId: 12345, sessionId: 'session_abcdef', uuid: 'u-1' }
+  });
+
+  expect(result.expectedClaims).toEqual([
+    { name: 'accountId', expected: 12345, actual: '12345', match: true },
+    { name: 'sessionId', expected: 'session_abcdef', actual: 'session_other', match: false },
+    { name: 'uuid', expected: 'u-1', actual: null, match: false }
+  ]);
+  expect(result.issues.map(issue => issue.claim)).toEqual(['sessionId', 'uuid']);
+  expect(inspectJWT(token, { now: NOW }).expectedClaims).toEqual([]);
+});
+
+test('rewrites only exp into the past for an expired copy of a token', () => {
+  const token = createToken({ name: '홍길동', accountId: 1, exp: NOW / 1000 + 3600 });
+  const expired = createExpiredToken(token, { now: NOW, ago: 10000 });
+
+  expect(parseJWT(expired)).toEqual({
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: { name: '홍길동', accountId: 1, exp: NOW / 1000 - 10 },
+    signature: 'sig'
+  });
+  expect(inspectJWT(expired, { now: NOW }).issues.map(issue => issue.claim)).toContain('exp');
+});
@@ -0,0 +1,34 @@
+// src/utils/logFilter.js
+// 로그 콘솔 필터 (레벨 + 일반 텍스트/정규식 검색)
+
+// 검색어로 판별 함수 생성 (잘못된 정규식이면 error에 메시지)
+export const createLogMatcher = ({ types, query = '', useRegex = false } = {}) => {
+  const typeSet = types ? new Set(types) : null;
+  const trimmed = query.trim();
+  let test = () => true;
+  let error = null;
+
+  if (trimmed) {
+    if (useRegex) {
+      try {
+        const regex = new RegExp(trimmed, 'i');
+        test = (message) => regex.test(message);
+      } catch (regexError) {
+        error = `잘못된 정규식: ${regexError.message}`;
+      }
+    } else {
+      const needle = trimmed.toLowerCase();
+      test = (message) => message.toLowerCase().includes(needle);
+    }
+  }
+
+  return {
+    error,
+    match: (entry) => (!typeSet || typeSet.has(entry.type)) && test(String(entry.message))
+  };
+};
+
+export const filterLogs = (logs, filter) => {
+  const { match } = createLogMatcher(filter);
+  return logs.filter(match);
+};
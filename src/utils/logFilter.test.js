@@ -0,0 +1,21 @@
+import { createLogMatcher, filterLogs } from './logFilter';
+
+const logs = [
+  { id: 1, type: 'info', message: '[notification] {"id":1}' },
+  { id: 2, type: 'error', message: 'SSE 오류 (network): Failed to fetch' },
+  { id: 3, type: 'success', message: 'SSE 연결 성공 (연결 #2, fetch)' }
+];
+
+test('filters by level and case-insensitive text', () => {
+  expect(filterLogs(logs, { types: ['info', 'error'] }).map(l => l.id)).toEqual([1, 2]);
+  expect(filterLogs(logs, { query: 'sse' }).map(l => l.id)).toEqual([2, 3]);
+  expect(filterLogs(logs, { types: ['success'], query: 'SSE' }).map(l => l.id)).toEqual([3]);
+});
+
+test('supports regex search and reports invalid patterns without filtering', () => {
+  expect(filterLogs(logs, { query: '연결 #\\d+', useRegex: true }).map(l => l.id)).toEqual([3]);
+
+  const matcher = createLogMatcher({ query: '([', useRegex: true });
+  expect(matcher.error).toMatch(/^잘못된 정규식/);
+  expect(logs.filter(matcher.match)).toHaveLength(3);
+});
@@ -0,0 +1,54 @@
+// src/utils/reconnectPolicy.js
+import { SSE_CONFIG } from './constants';
+
+// 재연결 지연 시간 계산
+// 1. 오류 타입별 백오프: base * multiplier^(attempt - 1), 최대 max
+// 2. 하한: 서버 retry 값이 있으면 그 값, 없으면 reconnectInterval 옵션
+// 3. 오프라인이면 2배
+// 4. 지터는 더하기만 하므로 하한을 깨지 않음
+export const computeReconnectDelay = ({
+  attempt = 1,
+  errorType = 'default',
+  serverRetry = null,
+  reconnectInterval = 0,
+  delays = SSE_CONFIG.RECONNECT_DELAYS,
+  jitterRatio = SSE_CONFIG.RECONNECT_JITTER_RATIO,
+  isOnline = true,
+  random = Math.random
+} = {}) => {
+  const config = delays[errorType] || delays.default;
+  const backoff = Math.min(
+    config.base * Math.pow(config.multiplier, Math.max(attempt, 1) - 1),
+    config.max
+  );
+
+  const floor = serverRetry > 0 ? serverRetry : Math.max(reconnectInterval || 0, 0);
+  let delay = Math.max(backoff, floor);
+
+  if (!isOnline) {
+    delay *= 2;
+  }
+
+  return Math.round(delay + random() * delay * jitterRatio);
+};
+
+// 오류 타입별 지연 표 검증 (설정 화면/프로필 가져오기용), 오류 메시지 목록 반환
+export const validateReconnectDelays = (delays) => {
+  if (!delays || typeof delays !== 'object' || Array.isArray(delays)) return ['재연결 지연 표는 객체여야 합니다'];
+
+  const errors = [];
+  Object.keys(SSE_CONFIG.RECONNECT_DELAYS).forEach(type => {
+    const config = delays[type];
+    if (!config || typeof config !== 'object') {
+      errors.push(`${type} 항목이 필요합니다`);
+      return;
+    }
+    if (!Number.isInteger(config.base) || config.base < 0) errors.push(`${type}.base는 0 이상의 정수여야 합니다`);
+    if (!Number.isInteger(config.max) || config.max < config.base) errors.push(`${type}.max는 base 이상의 정수여야 합니다`);
+    if (typeof config.multiplier !== 'number' || !(config.multiplier >= 1)) errors.push(`${type}.multiplier는 1 이상이어야 합니다`);
+  });
+  Object.keys(delays)
+    .filter(type => !(type in SSE_CONFIG.RECONNECT_DELAYS))
+    .forEach(type => errors.push(`알 수 없는 오류 타입: ${type}`));
+  return errors;
+};
@@ -0,0 +1,39 @@
+import { computeReconnectDelay, validateReconnectDelays } from './reconnectPolicy';
+import { SSE_CONFIG } from './constants';
+
+const noJitter = () => 0;
+
+test('backs off per error type up to the configured max', () => {
+  const delays = [1, 2, 3, 10].map(attempt =>
+    computeReconnectDelay({ attempt, errorType: 'network', random: noJitter })
+  );
+  expect(delays).toEqual([1000, 2000, 4000, 30000]);
+});
+
+test('uses the server retry value as a floor over the reconnectInterval option', () => {
+  expect(computeReconnectDelay({ attempt: 1, errorType: 'network', reconnectInterval: 3000, random: noJitter })).toBe(3000);
+  expect(computeReconnectDelay({ attempt: 1, errorType: 'network', reconnectInterval: 3000, serverRetry: 5000, random: noJitter })).toBe(5000);
+  expect(computeReconnectDelay({ attempt: 5, errorType: 'network', serverRetry: 5000, random: noJitter })).toBe(16000);
+});
+
+test('falls back to the default table and doubles while offline', () => {
+  expect(computeReconnectDelay({ attempt: 1, errorType: 'unknown', random: noJitter })).toBe(1500);
+  expect(computeReconnectDelay({ attempt: 1, errorType: 'network', isOnline: false, random: noJitter })).toBe(2000);
+});
+
+test('adds bounded jitter on top of the delay', () => {
+  expect(computeReconnectDelay({ attempt: 1, errorType: 'network', random: () => 1 })).toBe(1200);
+});
+
+test('validates an edited delay table', () => {
+  expect(validateReconnectDelays(SSE_CONFIG.RECONNECT_DELAYS)).toEqual([]);
+  expect(validateReconnectDelays({
+    ...SSE_CONFIG.RECONNECT_DELAYS,
+    network: { base: 5000, max: 1000, multiplier: 0.5 },
+    timeout: { base: 1, max: 1, multiplier: 1 }
+  })).toEqual([
+    'network.max는 base 이상의 정수여야 합니다',
+    'network.multiplier는 1 이상이어야 합니다',
+    '알 수 없는 오류 타입: timeout'
+  ]);
+});
@@ -0,0 +1,162 @@
+// src/utils/sseParser.js
+// WHATWG event-stream 규칙을 따르는 SSE 파서
+// https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+
+const BOM = 0xFEFF;
+
+export const createSSEParser = ({ onEvent, onRetry, onComment, lastEventId: initialLastEventId = '' } = {}) => {
+  // 스트림 상태 (청크 경계를 넘어 유지)
+  let buffer = '';
+  let bomChecked = false;
+  let skipLeadingLF = false;
+
+  // 이벤트 상태 (빈 줄에서 초기화)
+  let dataBuffer = '';
+  let eventType = '';
+  let eventId = null;
+
+  // 마지막 이벤트 ID (연결이 바뀌어도 유지)
+  let lastEventId = initialLastEventId || '';
+
+  const dispatch = () => {
+    if (dataBuffer === '') {
+      eventType = '';
+      eventId = null;
+      return;
+    }
+
+    const event = {
+      type: eventType || 'message',
+      data: dataBuffer.endsWith('\n') ? dataBuffer.slice(0, -1) : dataBuffer,
+      id: eventId,
+      lastEventId
+    };
+
+    dataBuffer = '';
+    eventType = '';
+    eventId = null;
+
+    onEvent?.(event);
+  };
+
+  const processField = (field, value) => {
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        dataBuffer += value + '\n';
+        break;
+      case 'id':
+        // NULL 문자가 포함된 id는 무시
+        if (!value.includes('\0')) {
+          eventId = value;
+          lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          onRetry?.(parseInt(value, 10));
+        }
+        break;
+      default:
+        // 알 수 없는 필드는 무시
+        break;
+    }
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    if (line[0] === ':') {
+      onComment?.(line.slice(1));
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    if (colonIndex === -1) {
+      processField(line, '');
+      return;
+    }
+
+    let value = line.slice(colonIndex + 1);
+    if (value[0] === ' ') {
+      value = value.slice(1);
+    }
+    processField(line.slice(0, colonIndex), value);
+  };
+
+  // 디코딩된 텍스트 청크 입력 (CR, LF, CRLF 모두 줄 끝으로 처리)
+  const feed = (chunk) => {
+    if (!chunk) return;
+
+    if (!bomChecked) {
+      bomChecked = true;
+      if (chunk.charCodeAt(0) === BOM) {
+        chunk = chunk.slice(1);
+      }
+    }
+
+    // 이전 청크가 CR로 끝났다면 이어지는 LF는 같은 줄 끝
+    if (skipLeadingLF) {
+      skipLeadingLF = false;
+      if (chunk[0] === '\n') {
+        chunk = chunk.slice(1);
+      }
+    }
+
+    buffer += chunk;
+
+    let lineStart = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch !== '\r' && ch !== '\n') continue;
+
+      processLine(buffer.slice(lineStart, i));
+
+      if (ch === '\r') {
+        if (i + 1 < buffer.length) {
+          if (buffer[i + 1] === '\n') i++;
+        } else {
+          skipLeadingLF = true;
+        }
+      }
+      lineStart = i + 1;
+    }
+
+    buffer = buffer.slice(lineStart);
+  };
+
+  // 새 스트림 시작 시 호출 (완료되지 않은 이벤트는 버림, lastEventId는 유지)
+  const reset = () => {
+    buffer = '';
+    bomChecked = false;
+    skipLeadingLF = false;
+    dataBuffer = '';
+    eventType = '';
+    eventId = null;
+  };
+
+  return {
+    feed,
+    reset,
+    getLastEventId: () => lastEventId
+  };
+};
+
+// 완결된 SSE 텍스트를 한 번에 파싱
+export const parseSSEText = (text, options = {}) => {
+  const events = [];
+  const parser = createSSEParser({
+    ...options,
+    onEvent: (event) => {
+      events.push(event);
+      options.onEvent?.(event);
+    }
+  });
+  parser.feed(text);
+  return events;
+};
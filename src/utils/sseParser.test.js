@@ -0,0 +1,64 @@
+import { createSSEParser, parseSSEText } from './sseParser';
+
+const collect = (chunks, options = {}) => {
+  const events = [];
+  const parser = createSSEParser({ ...options, onEvent: e => events.push(e) });
+  chunks.forEach(chunk => parser.feed(chunk));
+  return { events, parser };
+};
+
+test('parses a simple event with optional space after the colon', () => {
+  const events = parseSSEText('event: notification\nid:1-1\ndata:{"a":1}\n\n');
+  expect(events).toEqual([
+    { type: 'notification', data: '{"a":1}', id: '1-1', lastEventId: '1-1' }
+  ]);
+});
+
+test('joins multi-line data with LF and accepts CR, LF and CRLF line endings', () => {
+  const events = parseSSEText('data: {\r\ndata:   "a": 1\rdata: }\n\r\n');
+  expect(events).toHaveLength(1);
+  expect(events[0].data).toBe('{\n  "a": 1\n}');
+  expect(JSON.parse(events[0].data)).toEqual({ a: 1 });
+});
+
+test('keeps events that straddle chunk boundaries, including a split CRLF', () => {
+  const { events } = collect(['id: 7\r', '\ndata: hel', 'lo\r', '\n', '\r', '\n']);
+  expect(events).toEqual([{ type: 'message', data: 'hello', id: '7', lastEventId: '7' }]);
+});
+
+test('ignores comment lines and reports them as keep-alives', () => {
+  const comments = [];
+  const { events } = collect([': ping\n\n', ':\ndata: x\n\n'], { onComment: c => comments.push(c) });
+  expect(comments).toEqual([' ping', '']);
+  expect(events.map(e => e.data)).toEqual(['x']);
+});
+
+test('strips a leading BOM only at the start of the stream', () => {
+  const { events } = collect(['\uFEFFdata: a\n\n', '\uFEFFdata: b\n\n']);
+  expect(events).toHaveLength(1);
+  expect(events[0].data).toBe('a');
+});
+
+test('resets event type and id per event while keeping the last event id', () => {
+  const events = parseSSEText('event: custom\nid: 1\ndata: a\n\ndata: b\n\n');
+  expect(events[1]).toEqual({ type: 'message', data: 'b', id: null, lastEventId: '1' });
+});
+
+test('does not dispatch blocks without data and drops an unterminated trailing event', () => {
+  const events = parseSSEText('event: foo\n\nid: 3\n\ndata: tail');
+  expect(events).toEqual([]);
+});
+
+test('handles retry only when the value is all ASCII digits', () => {
+  const retries = [];
+  parseSSEText('retry: 5000\nretry: 1e3\nretry:  200\nretry\n\n', { onRetry: ms => retries.push(ms) });
+  expect(retries).toEqual([5000]);
+});
+
+test('reset discards a partial event but preserves lastEventId', () => {
+  const { events, parser } = collect(['id: 9\ndata: a\n\ndata: partial\n']);
+  parser.reset();
+  parser.feed('\n');
+  expect(events).toHaveLength(1);
+  expect(parser.getLastEventId()).toBe('9');
+});
@@ -0,0 +1,8 @@
+// src/workers/createSSESharedWorker.js
+// import.meta를 사용하므로 SharedWorker를 쓸 때만 동적으로 import
+const createSSESharedWorker = (name = 'sse-shared-worker') => new SharedWorker(
+  new URL('./sseSharedWorker.js', import.meta.url),
+  { name }
+);
+
+export default createSSESharedWorker;
@@ -0,0 +1,80 @@
+// src/workers/sharedWorkerProtocol.js
+// 탭(SharedWorkerSSEClient)과 공유 워커(sseSharedWorker)가 주고받는 메시지 규약
+//
+// 탭 -> 워커: attach { url, options }, options { options }, connect { connectOptions },
+//             disconnect, forceReconnect, detach
+// 워커 -> 탭: state { state }, event { event }, notify { event, args }
+import { decodeJWT } from '../utils/jwt';
+
+// 연결 수명주기 알림만 중계 (이벤트에서 파생되는 알림은 탭에서 원본 이벤트를 처리하며 발생)
+export const RELAYED_NOTIFICATIONS = [
+  'open',
+  'error',
+  'close',
+  'reconnectAttempt',
+  'reconnectFailed',
+  'heartbeatMissed',
+  'networkLost',
+  'networkRestore',
+  'networkUnavailable',
+  'retryIntervalUpdate',
+  'duplicateConnection',
+  'resumeFromLastEvent'
+];
+
+// 구조화 복제가 가능한 옵션만 전달 (콜백, 사용자 정의 트랜스포트 제외)
+export const toWorkerOptions = (options) => {
+  const workerOptions = {};
+  Object.entries(options).forEach(([key, value]) => {
+    if (typeof value !== 'function') workerOptions[key] = value;
+  });
+  // auth는 탭이 토큰을 받아 정적 설정으로 따로 전달 (SharedWorkerSSEClient.syncWorkerAuth)
+  delete workerOptions.auth;
+  // 워커 쪽 클라이언트는 항상 단일 연결로 동작하고 네트워크 상태도 직접 감시
+  delete workerOptions.connectionMode;
+  delete workerOptions.monitorNetwork;
+  return workerOptions;
+};
+
+// 같은 스트림을 받는지 가르는 옵션 (나머지는 재연결 지연 등 동작 설정이라 연결을 공유해도 됨)
+const CONNECTION_KEY_OPTIONS = [
+  'transport',
+  'withCredentials',
+  'headers',
+  'auth',
+  'eventTypes',
+  'enablePaging',
+  'pageSize',
+  'maxReplayEvents',
+  'persistence'
+];
+
+// 키 순서와 무관한 JSON 문자열
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// 토큰은 갱신마다 바뀌므로 JWT면 주체(sub)로 계정만 구분
+const toAuthIdentity = ({ token, ...config }) => ({ ...config, subject: decodeJWT(token)?.sub ?? token ?? null });
+
+// 워커의 연결 키: URL + 연결 관련 옵션 (URL이 같아도 계정이나 구독 조건이 다르면 따로 연결)
+export const getConnectionKey = (url, options = {}) => {
+  const relevant = Object.fromEntries(CONNECTION_KEY_OPTIONS.map(key => [key, options[key]]));
+  if (relevant.auth) relevant.auth = toAuthIdentity(relevant.auth);
+  return `${url}#${canonicalize(relevant)}`;
+};
+
+export const serializeArg = (arg) => (arg instanceof Error
+  ? { __error: true, name: arg.name, message: arg.message, status: arg.status, statusText: arg.statusText }
+  : arg);
+
+export const deserializeArg = (arg) => (arg && arg.__error
+  ? Object.assign(new Error(arg.message), { name: arg.name, status: arg.status, statusText: arg.statusText })
+  : arg);
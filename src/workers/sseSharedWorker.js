@@ -0,0 +1,152 @@
+/* eslint-env worker, es2020 */
+// src/workers/sseSharedWorker.js
+// 연결 키(URL + 연결 관련 옵션)별로 하나의 SSE 연결을 유지하고, 붙어 있는 모든 탭(MessagePort)에 중계
+import SSEClient from '../core/SSEClient';
+import { RELAYED_NOTIFICATIONS, getConnectionKey, serializeArg } from './sharedWorkerProtocol';
+
+// 워커의 전역 객체 (네트워크 감시도 이 객체의 online/offline 이벤트 사용)
+const scope = globalThis;
+
+// key -> { client, ports: Map<MessagePort, { wantsConnection }>, cleanups }
+const connections = new Map();
+// MessagePort -> key
+const portKeys = new Map();
+
+const broadcast = (connection, message) => {
+  connection.ports.forEach((_, port) => port.postMessage(message));
+};
+
+const getConnection = (key, url, options) => {
+  const existing = connections.get(key);
+  if (existing) return existing;
+
+  const client = new SSEClient(url, options, { globalScope: scope });
+  const connection = { client, ports: new Map(), cleanups: [] };
+
+  connection.cleanups.push(
+    client.on('state', state => broadcast(connection, { kind: 'state', state })),
+    client.on('rawEvent', event => broadcast(connection, { kind: 'event', event })),
+    ...RELAYED_NOTIFICATIONS.map(event => client.on(event, (...args) => broadcast(connection, {
+      kind: 'notify',
+      event,
+      args: args.map(serializeArg)
+    })))
+  );
+
+  connections.set(key, connection);
+  return connection;
+};
+
+const releaseIfUnused = (key) => {
+  const connection = connections.get(key);
+  if (!connection) return;
+
+  if (connection.ports.size === 0) {
+    connection.cleanups.forEach(cleanup => cleanup());
+    connection.client.destroy();
+    connections.delete(key);
+    return;
+  }
+
+  // 연결을 원하는 탭이 하나도 없으면 스트림 종료
+  const wanted = [...connection.ports.values()].some(port => port.wantsConnection);
+  if (!wanted) {
+    connection.client.disconnect();
+  }
+};
+
+const detachPort = (port) => {
+  const key = portKeys.get(port);
+  if (key === undefined) return;
+
+  portKeys.delete(port);
+  connections.get(key)?.ports.delete(port);
+  releaseIfUnused(key);
+};
+
+// 포트를 key의 연결로 옮김 (연결을 원하던 탭이면 옮긴 연결도 시작)
+const movePort = (port, key, url, options) => {
+  const previous = connections.get(portKeys.get(port))?.ports.get(port);
+  detachPort(port);
+  const next = getConnection(key, url, options);
+  next.ports.set(port, { wantsConnection: previous?.wantsConnection || false });
+  portKeys.set(port, key);
+  port.postMessage({ kind: 'state', state: next.client.getState() });
+  if (previous?.wantsConnection) next.client.connect();
+};
+
+const handlePortMessage = (port, message) => {
+  const key = portKeys.get(port);
+  const connection = connections.get(key);
+
+  switch (message.kind) {
+    case 'attach': {
+      const nextKey = getConnectionKey(message.url, message.options);
+      if (connection && key === nextKey) {
+        port.postMessage({ kind: 'state', state: connection.client.getState() });
+        return;
+      }
+      // URL이나 연결 관련 옵션이 바뀐 경우 기존 연결에서 분리 후 이동
+      movePort(port, nextKey, message.url, message.options);
+      break;
+    }
+
+    case 'options': {
+      if (!connection) return;
+      const nextKey = getConnectionKey(connection.client.url, message.options);
+      if (nextKey === key) {
+        connection.client.setOptions(message.options);
+        return;
+      }
+      // 계정이나 구독 조건이 바뀌면 다른 탭과 공유하던 연결은 그대로 두고 이 탭만 이동
+      if (connection.ports.size === 1 && !connections.has(nextKey)) {
+        connections.delete(key);
+        connections.set(nextKey, connection);
+        portKeys.set(port, nextKey);
+        connection.client.setOptions(message.options);
+        // 열린 스트림은 이전 조건으로 연결된 것이므로 새 옵션으로 다시 연결
+        if (connection.client.abortController) connection.client.restartStream();
+        return;
+      }
+      movePort(port, nextKey, connection.client.url, message.options);
+      break;
+    }
+
+    case 'connect': {
+      if (!connection) return;
+      connection.ports.get(port).wantsConnection = true;
+      const { client } = connection;
+      // 이미 연결(시도) 중이면 현재 상태만 전달
+      if (client.abortController || client.reconnectTimeout) {
+        port.postMessage({ kind: 'state', state: client.getState() });
+        return;
+      }
+      client.connect(message.connectOptions);
+      break;
+    }
+
+    case 'disconnect':
+      if (!connection) return;
+      connection.ports.get(port).wantsConnection = false;
+      releaseIfUnused(key);
+      break;
+
+    case 'forceReconnect':
+      connection?.client.forceReconnect();
+      break;
+
+    case 'detach':
+      detachPort(port);
+      port.close();
+      break;
+
+    default:
+      break;
+  }
+};
+
+scope.onconnect = (event) => {
+  const port = event.ports[0];
+  port.onmessage = (e) => handlePortMessage(port, e.data);
+  port.start();
+};